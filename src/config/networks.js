@@ -0,0 +1,71 @@
+/**
+ * Network Profiles
+ * Abstract networks the backend can run against, selected by ABSTRACT_NETWORK
+ */
+
+const NETWORKS = {
+  testnet: {
+    name: 'abstract-testnet',
+    displayName: 'Abstract Testnet',
+    chainId: 11124,
+    rpcUrls: ['https://api.testnet.abs.xyz'],
+    explorerUrl: 'https://sepolia.abscan.org'
+  },
+  mainnet: {
+    name: 'abstract',
+    displayName: 'Abstract',
+    chainId: 2741,
+    rpcUrls: ['https://api.mainnet.abs.xyz'],
+    explorerUrl: 'https://abscan.org'
+  }
+};
+
+/**
+ * Get the network profile selected by ABSTRACT_NETWORK (default testnet)
+ * ABSTRACT_CHAIN_ID, if set, must match the profile, so a mainnet chain id
+ * can't be combined with the testnet profile by accident.
+ *
+ * @returns {object} { key, name, displayName, chainId, rpcUrls, explorerUrl }
+ */
+function getNetworkProfile() {
+  const key = (process.env.ABSTRACT_NETWORK || 'testnet').trim().toLowerCase();
+  const profile = NETWORKS[key];
+
+  if (!profile) {
+    throw new Error(
+      `Unknown ABSTRACT_NETWORK "${key}". Use one of: ${Object.keys(NETWORKS).join(', ')}`
+    );
+  }
+
+  if (process.env.ABSTRACT_CHAIN_ID && parseInt(process.env.ABSTRACT_CHAIN_ID) !== profile.chainId) {
+    throw new Error(
+      `ABSTRACT_CHAIN_ID ${process.env.ABSTRACT_CHAIN_ID} does not match the ` +
+      `${key} network (chain id ${profile.chainId})`
+    );
+  }
+
+  return {
+    key,
+    ...profile,
+    explorerUrl: process.env.ABSTRACT_EXPLORER_URL || profile.explorerUrl
+  };
+}
+
+/**
+ * RPC URLs to use: ABSTRACT_RPC_URLS (comma-separated), else ABSTRACT_RPC_URL,
+ * else the profile's public endpoints
+ * @param {object} profile
+ * @returns {string[]}
+ */
+function getRpcUrls(profile) {
+  const configured = process.env.ABSTRACT_RPC_URLS || process.env.ABSTRACT_RPC_URL || '';
+  const urls = configured.split(',').map(url => url.trim()).filter(Boolean);
+
+  return urls.length > 0 ? [...new Set(urls)] : profile.rpcUrls;
+}
+
+module.exports = {
+  NETWORKS,
+  getNetworkProfile,
+  getRpcUrls
+};
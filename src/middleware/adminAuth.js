@@ -0,0 +1,70 @@
+/**
+ * Admin Authentication Middleware
+ * Protects the /api/admin routes with per-operator API keys
+ *
+ * ADMIN_API_KEYS is a comma-separated list of actor:key pairs, e.g.
+ * "alice:3f9c...,bob:a71e...". The actor name is taken from the matching key,
+ * so it cannot be spoofed by the caller.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse ADMIN_API_KEYS into [{ actor, key }]
+ */
+function loadAdminKeys() {
+  return (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return {
+        actor: entry.slice(0, separator),
+        key: entry.slice(separator + 1)
+      };
+    })
+    .filter(({ actor, key }) => actor && key);
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Require a valid admin API key (Authorization: Bearer <key>)
+ * Sets req.adminActor to the actor the key belongs to.
+ */
+function requireAdmin(req, res, next) {
+  const adminKeys = loadAdminKeys();
+
+  if (adminKeys.length === 0) {
+    return res.status(503).json({
+      success: false,
+      message: 'Admin API is not configured'
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  const match = token && adminKeys.find(({ key }) => safeEqual(key, token));
+
+  if (!match) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or missing admin API key'
+    });
+  }
+
+  req.adminActor = match.actor;
+  next();
+}
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,177 @@
+/**
+ * Idempotency Middleware
+ * Makes retried requests safe for endpoints that send transactions
+ *
+ * Clients may send an Idempotency-Key header (1-255 visible ASCII characters).
+ * The first request with a key claims it together with a fingerprint of the
+ * request (method, path and body). A retry with the same key:
+ * - gets the stored response back (Idempotent-Replayed: true) once the first
+ *   request has completed,
+ * - gets 409 with Retry-After while the first request is still running,
+ * - is rejected with 422 if its payload differs from the original.
+ *
+ * Responses that were rejected before anything happened (4xx, and 503 "retry
+ * later") release the key so the client can retry with it. Every other
+ * response is stored, including errors after a transaction may have been sent.
+ * Keys expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24). A request cut off
+ * by a restart stays PENDING until then, because whether its transaction was
+ * sent is unknown; reconciliation records the bet if it was.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const SupabaseService = require('../services/supabaseService');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * JSON with sorted object keys, so equal payloads hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * sha256 fingerprint of a request
+ */
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Whether a response means the request was rejected before doing anything
+ */
+function isRetryable(statusCode) {
+  return (statusCode >= 400 && statusCode < 500) || statusCode === 503;
+}
+
+/**
+ * Answer a request whose key was already claimed
+ */
+function respondToExisting(res, existing, fingerprint) {
+  if (existing && existing.fingerprint !== fingerprint) {
+    return res.status(422).json({
+      success: false,
+      message: 'Idempotency-Key was already used with a different request'
+    });
+  }
+
+  if (!existing || existing.status === 'PENDING') {
+    res.set('Retry-After', '5');
+    return res.status(409).json({
+      success: false,
+      status: 'PENDING',
+      message: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(existing.response_status).json(existing.response_body);
+}
+
+/**
+ * Idempotency-Key support for a route
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1-255 visible ASCII characters'
+    });
+  }
+
+  const supabaseService = SupabaseService.getInstance();
+  const fingerprint = fingerprintRequest(req);
+  const ttlHours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+  const expiresAt = new Date(Date.now() + ttlHours * 3600 * 1000).toISOString();
+  const keyData = {
+    key,
+    fingerprint,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    expiresAt
+  };
+
+  try {
+    let claimed = await supabaseService.claimIdempotencyKey(keyData);
+
+    if (!claimed) {
+      const existing = await supabaseService.getIdempotencyKey(key);
+
+      if (existing && new Date(existing.expires_at) > new Date()) {
+        return respondToExisting(res, existing, fingerprint);
+      }
+
+      // Expired (or released in the meantime) - claim it afresh
+      if (existing) {
+        await supabaseService.releaseIdempotencyKey(key, existing.fingerprint);
+      }
+      claimed = await supabaseService.claimIdempotencyKey(keyData);
+
+      if (!claimed) {
+        return respondToExisting(res, await supabaseService.getIdempotencyKey(key), fingerprint);
+      }
+    }
+  } catch (error) {
+    logger.error('Idempotency key check failed', { error: error.message, key });
+    return res.status(503).json({
+      success: false,
+      message: 'Unable to check Idempotency-Key. Please retry.'
+    });
+  }
+
+  // Capture the response so retries can get it back
+  const json = res.json.bind(res);
+  res.json = body => {
+    const settle = isRetryable(res.statusCode)
+      ? supabaseService.releaseIdempotencyKey(key, fingerprint)
+      : supabaseService.completeIdempotencyKey(key, res.statusCode, body);
+
+    settle.catch(error => {
+      logger.error('Failed to store idempotent response', {
+        error: error.message,
+        key,
+        status: res.statusCode
+      });
+    });
+
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,458 @@
+/**
+ * Admin Routes
+ * Operator controls for the game lifecycle
+ *
+ * All endpoints require an admin API key (see middleware/adminAuth).
+ * Every state-changing action requires a reason and is written to the
+ * admin_actions audit log together with the acting operator.
+ *
+ * Endpoints:
+ * - GET  /api/admin/status - Automation, bet queue, treasury nonce, in-flight transactions and RPC endpoint state
+ * - POST /api/admin/automation/pause - Pause game automation on all replicas
+ * - POST /api/admin/automation/resume - Resume game automation
+ * - POST /api/admin/pot/lock - Force-lock the current pot
+ * - POST /api/admin/pot/cancel - Emergency-cancel the current pot
+ * - POST /api/admin/pot/finish/retry - Retry finishing a stuck locked pot
+ * - GET  /api/admin/config - Read the contract game config
+ * - PUT  /api/admin/config - Update the contract game config
+ * - GET  /api/admin/reconcile - Last chain-to-database reconciliation run
+ * - POST /api/admin/reconcile - Reconcile a block range now
+ * - GET  /api/admin/transactions - Operator transaction journal
+ * - GET  /api/admin/treasury - Treasury gas balance, runway and top-ups
+ * - GET  /api/admin/eos/endpoints - EOS RPC endpoint health and circuit breakers
+ * - GET  /api/admin/proofs/audit - EOS proof audit counts and failed proofs
+ */
+
+const express = require('express');
+const winston = require('winston');
+const { body, query, validationResult } = require('express-validator');
+const ContractService = require('../services/contractService');
+const SupabaseService = require('../services/supabaseService');
+const GameManager = require('../services/gameManager');
+const ReconciliationService = require('../services/reconciliationService');
+const BetQueueService = require('../services/betQueueService');
+const WalletService = require('../services/walletService');
+const TransactionSender = require('../services/transactionSender');
+const TreasuryMonitor = require('../services/treasuryMonitor');
+const RpcProviderPool = require('../services/rpcProviderPool');
+const EosService = require('../services/eosService');
+const ProofAuditor = require('../services/proofAuditor');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const reasonRequired = body('reason')
+  .trim()
+  .notEmpty()
+  .withMessage('reason is required');
+
+/**
+ * Run an admin action, audit it and send the response
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {string} action - Action name for the audit log
+ * @param {object|null} params - Action parameters for the audit log
+ * @param {Function} handler - Performs the action and returns its result
+ */
+async function runAdminAction(req, res, action, params, handler) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const actor = req.adminActor;
+  const { reason } = req.body;
+
+  logger.warn('Admin action requested', { actor, action, reason, params });
+
+  let result = null;
+  let failure = null;
+
+  try {
+    result = await handler();
+  } catch (error) {
+    failure = error;
+  }
+
+  try {
+    await SupabaseService.getInstance().recordAdminAction({
+      actor,
+      action,
+      reason,
+      params,
+      result,
+      error: failure ? failure.message : null
+    });
+  } catch (error) {
+    // The action already happened; never hide its outcome from the operator
+    logger.error('Failed to write admin audit log', { actor, action, error: error.message });
+  }
+
+  if (failure) {
+    logger.error('Admin action failed', { actor, action, error: failure.message });
+    return res.status(failure.code === 'NOT_LEADER' ? 409 : 500).json({
+      success: false,
+      message: `Admin action ${action} failed`,
+      error: failure.message
+    });
+  }
+
+  logger.warn('Admin action completed', { actor, action, result });
+
+  res.json({
+    success: true,
+    action,
+    result
+  });
+}
+
+/**
+ * GET /api/admin/status
+ * Current automation state of this replica
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const gameManager = GameManager.getInstance();
+    const contractService = ContractService.getInstance();
+
+    const potState = await contractService.getPotState();
+
+    res.json({
+      success: true,
+      automation: gameManager.getStatus(),
+      betQueue: BetQueueService.getInstance().getStatus(),
+      nonce: WalletService.getInstance().getNonceStatus(),
+      transactions: TransactionSender.getInstance().getStatus(),
+      rpc: RpcProviderPool.getInstance().getStatus(),
+      potState
+    });
+  } catch (error) {
+    console.error('Error fetching admin status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch automation status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/automation/pause
+ */
+router.post('/automation/pause', [reasonRequired], (req, res) =>
+  runAdminAction(req, res, 'automation.pause', null, async () => {
+    await GameManager.getInstance().setPaused(true, req.adminActor);
+    return { paused: true };
+  })
+);
+
+/**
+ * POST /api/admin/automation/resume
+ */
+router.post('/automation/resume', [reasonRequired], (req, res) =>
+  runAdminAction(req, res, 'automation.resume', null, async () => {
+    await GameManager.getInstance().setPaused(false, req.adminActor);
+    return { paused: false };
+  })
+);
+
+/**
+ * POST /api/admin/pot/lock
+ * Lock the current pot now, ignoring the timer
+ */
+router.post('/pot/lock', [reasonRequired], (req, res) =>
+  runAdminAction(req, res, 'pot.lock', null, () =>
+    GameManager.getInstance().forceLock()
+  )
+);
+
+/**
+ * POST /api/admin/pot/cancel
+ * Emergency-cancel the current pot (refunds all entries)
+ */
+router.post('/pot/cancel', [reasonRequired], (req, res) =>
+  runAdminAction(req, res, 'pot.cancel', null, () =>
+    GameManager.getInstance().forceCancel(req.body.reason)
+  )
+);
+
+/**
+ * POST /api/admin/pot/finish/retry
+ * Retry finishing a locked pot with its committed randomness target
+ */
+router.post('/pot/finish/retry', [reasonRequired], (req, res) =>
+  runAdminAction(req, res, 'pot.finish.retry', null, () =>
+    GameManager.getInstance().retryFinish()
+  )
+);
+
+/**
+ * GET /api/admin/config
+ * Read the game config from the contract
+ */
+router.get('/config', async (req, res) => {
+  try {
+    const config = await ContractService.getInstance().getGameConfig();
+
+    res.json({
+      success: true,
+      config
+    });
+  } catch (error) {
+    console.error('Error fetching game config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch game config',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/config
+ * Update the game config on the contract (all fields required)
+ * Sent by the game leader only; other replicas answer 409.
+ *
+ * Request body:
+ * - timerDuration, minParticipants, idleTimeout, feePercentage, minEntryAmount (integers)
+ * - reason: string
+ */
+router.put(
+  '/config',
+  [
+    reasonRequired,
+    body(['timerDuration', 'minParticipants', 'idleTimeout', 'feePercentage', 'minEntryAmount'])
+      .exists()
+      .withMessage('is required')
+      .bail()
+      .matches(/^\d+$/)
+      .withMessage('must be a non-negative integer')
+  ],
+  (req, res) => {
+    const config = {
+      timerDuration: String(req.body.timerDuration),
+      minParticipants: String(req.body.minParticipants),
+      idleTimeout: String(req.body.idleTimeout),
+      feePercentage: String(req.body.feePercentage),
+      minEntryAmount: String(req.body.minEntryAmount)
+    };
+
+    return runAdminAction(req, res, 'config.update', config, () =>
+      GameManager.getInstance().updateConfig(config)
+    );
+  }
+);
+
+/**
+ * GET /api/admin/reconcile
+ * State of the reconciliation job and its last run
+ */
+router.get('/reconcile', (req, res) => {
+  res.json({
+    success: true,
+    reconciliation: ReconciliationService.getInstance().getStatus()
+  });
+});
+
+/**
+ * POST /api/admin/reconcile
+ * Reconcile a block range (or from the checkpoint when no range is given)
+ *
+ * Request body:
+ * - fromBlock, toBlock: integers (optional, both or neither)
+ * - reason: string
+ */
+router.post(
+  '/reconcile',
+  [
+    reasonRequired,
+    body(['fromBlock', 'toBlock'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('must be a block number'),
+    body('toBlock')
+      .if(body('fromBlock').exists())
+      .exists()
+      .withMessage('toBlock is required with fromBlock')
+  ],
+  (req, res) => {
+    const range = req.body.fromBlock !== undefined
+      ? { fromBlock: parseInt(req.body.fromBlock), toBlock: parseInt(req.body.toBlock) }
+      : {};
+
+    return runAdminAction(req, res, 'reconcile', range, () =>
+      ReconciliationService.getInstance().run({ ...range, trigger: `admin:${req.adminActor}` })
+    );
+  }
+);
+
+/**
+ * GET /api/admin/transactions
+ * Operator transaction journal, newest first
+ *
+ * Query (all optional):
+ * - potId: integer
+ * - purpose: bet | permit | start | lock | finish | cancel | config
+ * - status: PENDING | MINED | REVERTED | REPLACED | DROPPED | FAILED
+ * - nonce: integer
+ * - txHash: transaction hash (matches the entry and its replacements)
+ * - limit: number (default 50, max 500)
+ */
+router.get(
+  '/transactions',
+  [
+    query(['potId', 'nonce'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('must be a non-negative integer'),
+    query('purpose')
+      .optional()
+      .isIn(['bet', 'permit', 'start', 'lock', 'finish', 'cancel', 'config'])
+      .withMessage('Invalid purpose'),
+    query('status')
+      .optional()
+      .customSanitizer(value => String(value).toUpperCase())
+      .isIn(['PENDING', 'MINED', 'REVERTED', 'REPLACED', 'DROPPED', 'FAILED'])
+      .withMessage('Invalid status'),
+    query('txHash')
+      .optional()
+      .matches(/^0x[0-9a-fA-F]{64}$/)
+      .withMessage('Invalid transaction hash'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('limit must be between 1 and 500')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const transactions = await SupabaseService.getInstance().getOperatorTransactions({
+        potId: req.query.potId !== undefined ? String(req.query.potId) : null,
+        purpose: req.query.purpose || null,
+        status: req.query.status || null,
+        nonce: req.query.nonce !== undefined ? parseInt(req.query.nonce) : null,
+        txHash: req.query.txHash || null,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        count: transactions.length,
+        transactions
+      });
+    } catch (error) {
+      console.error('Error fetching operator transactions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch operator transactions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/treasury
+ * Treasury gas balance, burn rate, runway, top-up state and active alerts
+ */
+router.get('/treasury', async (req, res) => {
+  try {
+    const treasury = await TreasuryMonitor.getInstance().getReport();
+
+    res.json({
+      success: true,
+      treasury
+    });
+  } catch (error) {
+    console.error('Error fetching treasury report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch treasury report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/admin/eos/endpoints
+ * Per-endpoint EOS RPC stats: latency percentiles, error rate, head lag and
+ * circuit breaker state (as seen by this replica)
+ */
+router.get('/eos/endpoints', (req, res) => {
+  res.json({
+    success: true,
+    eos: EosService.getInstance().getStatus()
+  });
+});
+
+/**
+ * GET /api/admin/proofs/audit
+ * EOS proof audit: counts per status, the proofs that failed (MISMATCH or
+ * UNVERIFIABLE) with their check details, active alerts and the last run
+ *
+ * Query:
+ * - limit: number of failed proofs (default 50, max 500)
+ */
+router.get(
+  '/proofs/audit',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('limit must be between 1 and 500')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const audit = await ProofAuditor.getInstance().getReport(parseInt(req.query.limit) || 50);
+
+      res.json({
+        success: true,
+        audit
+      });
+    } catch (error) {
+      console.error('Error fetching proof audit report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch proof audit report',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,14 +4,22 @@
  *
  * Endpoints:
  * - POST /api/bets/enter - Enter the pot on behalf of a player (operator model)
+ * - GET /api/bets/intent/domain - EIP-712 domain and types for signing bet intents
+ * - GET /api/bets/permit - Whether SMOL supports EIP-2612 permit, and what to sign
+ * - GET /api/bets/:betId - Status of a queued bet
  * - GET /api/bets/history/:address - Get bet history for a player
  * - GET /api/pot/state - Get current pot state
  */
 
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const ContractService = require('../services/contractService');
 const SupabaseService = require('../services/supabaseService');
+const GameManager = require('../services/gameManager');
+const BetIntentService = require('../services/betIntentService');
+const BetQueueService = require('../services/betQueueService');
+const { idempotency } = require('../middleware/idempotency');
+const { parseSmol, toWei, withFormatted, formatRow } = require('../utils/amounts');
 
 const router = express.Router();
 
@@ -19,17 +27,37 @@ const router = express.Router();
  * POST /api/bets/enter
  * Enter the pot on behalf of a player
  *
+ * The player must sign a BetIntent (see GET /api/bets/intent/domain) over the
+ * bet amount in wei, the pot id, a fresh nonce and a deadline.
+ *
+ * Send an Idempotency-Key header to retry safely: a retry with the same key
+ * returns the original result instead of entering the pot again.
+ *
  * Request body:
  * - userAddress: string (player's wallet address)
- * - betAmount: string (amount in SMOL tokens)
+ * - betAmount: string (amount in SMOL tokens, up to 18 decimals)
+ * - potId, nonce, deadline: strings (the signed intent fields)
+ * - signature: string (EIP-712 signature by userAddress)
+ * - permit: object (optional) { value, deadline, v, r, s } - EIP-2612 permit for
+ *   SmolPotCore, submitted by the treasury so the player needs no approve transaction
  *
- * Response:
+ * The bet is validated and queued; the response does not wait for the
+ * transaction. Poll GET /api/bets/:betId for its status and ticket range.
+ * Bets are refused (409) from BET_QUEUE_LOCK_BUFFER_SECONDS before the pot
+ * locks, and (503) while the queue is full.
+ *
+ * Response (202):
  * - success: boolean
- * - txHash: string (transaction hash)
+ * - betId: string (bet request id)
+ * - status: QUEUED
+ * - statusUrl: string
+ * - amount: string (wei), amountFormatted: string (SMOL)
+ * - potId: string
  * - message: string
  */
 router.post(
   '/enter',
+  idempotency,
   [
     body('userAddress')
       .trim()
@@ -41,8 +69,38 @@ router.post(
       .trim()
       .notEmpty()
       .withMessage('betAmount is required')
-      .isFloat({ min: 0.000001 })
-      .withMessage('betAmount must be a positive number')
+      .matches(/^\d+(\.\d{1,18})?$/)
+      .withMessage('betAmount must be a SMOL amount with at most 18 decimals')
+      .bail()
+      .custom(value => parseSmol(value) > 0n)
+      .withMessage('betAmount must be a positive number'),
+    body(['potId', 'nonce', 'deadline'])
+      .trim()
+      .notEmpty()
+      .withMessage('is required')
+      .bail()
+      .matches(/^\d+$/)
+      .withMessage('must be a non-negative integer'),
+    body('signature')
+      .trim()
+      .matches(/^0x[0-9a-fA-F]{130}$/)
+      .withMessage('signature must be a 65-byte hex string'),
+    body('permit')
+      .optional()
+      .isObject()
+      .withMessage('permit must be an object'),
+    body(['permit.value', 'permit.deadline'])
+      .if(body('permit').exists())
+      .matches(/^\d+$/)
+      .withMessage('must be a non-negative integer'),
+    body('permit.v')
+      .if(body('permit').exists())
+      .isInt({ min: 0, max: 255 })
+      .withMessage('permit.v must be a byte'),
+    body(['permit.r', 'permit.s'])
+      .if(body('permit').exists())
+      .matches(/^0x[0-9a-fA-F]{64}$/)
+      .withMessage('must be a 32-byte hex string')
   ],
   async (req, res) => {
     try {
@@ -55,57 +113,96 @@ router.post(
         });
       }
 
-      const { userAddress, betAmount } = req.body;
+      const { userAddress, betAmount, potId, nonce, deadline, signature, permit } = req.body;
+      const amountWei = parseSmol(betAmount);
 
       // Get services
       const contractService = ContractService.getInstance();
       const supabaseService = SupabaseService.getInstance();
+      const betIntentService = BetIntentService.getInstance();
+      const betQueueService = BetQueueService.getInstance();
 
-      // Get or create user
-      const user = await supabaseService.getOrCreateUser(userAddress);
+      // Only the player can authorize spending their tokens
+      const intent = await betIntentService.verify(
+        { player: userAddress, amount: amountWei, potId, nonce, deadline },
+        signature
+      );
 
-      // Get current game round
-      let currentRound = await supabaseService.getCurrentGameRound();
+      // In on-bet start mode the first bet opens the round
+      const gameManager = GameManager.getInstance();
+      if (gameManager.getRoundStartMode() === 'on-bet') {
+        const roundOpen = await gameManager.ensureRoundStarted();
+        if (!roundOpen) {
+          res.set('Retry-After', '5');
+          return res.status(503).json({
+            success: false,
+            message: 'A new round is starting. Please retry in a few seconds.'
+          });
+        }
+      }
 
-      // If no active round exists, create one
-      if (!currentRound) {
-        currentRound = await supabaseService.createGameRound();
+      // The intent is only valid for the pot that is open right now
+      const potState = await contractService.getPotState();
+      if (potState.potId !== intent.potId.toString()) {
+        return res.status(409).json({
+          success: false,
+          message: `Bet intent is for pot ${intent.potId}, but the open pot is ${potState.potId}`
+        });
       }
 
-      // Check if game is locked
-      if (currentRound.status === 'LOCKED') {
-        return res.status(400).json({
+      // Stop taking bets shortly before the pot locks
+      const betting = await betQueueService.isAcceptingBets(potState);
+      if (!betting.open) {
+        return res.status(409).json({
           success: false,
-          message: 'Game is locked. Please wait for the next round.'
+          message: betting.reason
         });
       }
 
-      // Enter the pot on-chain (this is where the treasury wallet acts as operator)
-      const txResult = await contractService.enterPotFor(userAddress, betAmount);
+      // Backpressure: don't queue more than the worker can send in time
+      if (!await betQueueService.hasCapacity()) {
+        res.set('Retry-After', '5');
+        return res.status(503).json({
+          success: false,
+          message: 'Too many bets are waiting to be submitted. Please retry in a few seconds.'
+        });
+      }
 
-      // Record the bet in the database
-      await supabaseService.recordBet({
-        roundId: currentRound.id,
-        userId: user.id,
-        amount: betAmount,
-        txHash: txResult.txHash
-      });
+      // A permit replaces the approve transaction, so allowance isn't checked yet
+      if (permit) {
+        if (!await contractService.supportsPermit()) {
+          throw new Error('SMOL token does not support permit. Please approve SMOL token spending first');
+        }
+        if (toWei(permit.value) < amountWei) {
+          throw new Error('Permit value is below the bet amount');
+        }
+      }
+      await contractService.validateEntry(userAddress, amountWei, { skipAllowance: Boolean(permit) });
 
-      // Update the total pot amount for the round
-      const newTotalPot = (
-        parseFloat(currentRound.total_pot || '0') + parseFloat(betAmount)
-      ).toString();
+      await betIntentService.consume(intent, signature);
+
+      // Get or create user
+      const user = await supabaseService.getOrCreateUser(userAddress);
 
-      await supabaseService.updateGameRound(currentRound.id, {
-        total_pot: newTotalPot
+      // Queue the bet; the bet queue worker submits it to the pot
+      const betRequest = await supabaseService.createBetRequest({
+        userId: user.id,
+        walletAddress: userAddress,
+        amount: amountWei,
+        potId: potState.potId,
+        permit: permit ? { ...permit, v: parseInt(permit.v) } : null
       });
 
-      res.json({
+      betQueueService.wake();
+
+      res.status(202).json({
         success: true,
-        txHash: txResult.txHash,
-        blockNumber: txResult.blockNumber,
-        roundId: currentRound.id,
-        message: 'Bet placed successfully'
+        betId: betRequest.id,
+        status: betRequest.status,
+        statusUrl: `/api/bets/${betRequest.id}`,
+        ...withFormatted({ amount: amountWei }, ['amount']),
+        potId: potState.potId,
+        message: 'Bet queued'
       });
     } catch (error) {
       console.error('Error placing bet:', error);
@@ -114,11 +211,22 @@ router.post(
       let errorMessage = 'Failed to place bet';
       let statusCode = 500;
 
-      if (error.message.includes('insufficient')) {
+      if (error.statusCode) {
+        errorMessage = error.message;
+        statusCode = error.statusCode;
+      } else if (error.message.includes('insufficient')) {
         errorMessage = error.message;
         statusCode = 400;
       } else if (error.message.includes('not approved')) {
-        errorMessage = 'Please approve SMOL token spending first';
+        const permitSupported = await ContractService.getInstance()
+          .supportsPermit()
+          .catch(() => false);
+        errorMessage = permitSupported
+          ? 'Please approve SMOL token spending first, or include a permit signature'
+          : 'Please approve SMOL token spending first';
+        statusCode = 400;
+      } else if (error.message.includes('permit') || error.message.includes('Permit')) {
+        errorMessage = error.message;
         statusCode = 400;
       } else if (error.message.includes('minimum') || error.message.includes('maximum')) {
         errorMessage = error.message;
@@ -134,6 +242,79 @@ router.post(
   }
 );
 
+/**
+ * GET /api/bets/intent/domain
+ * EIP-712 domain, types and the current pot id for signing a BetIntent
+ *
+ * While the pot is idle, potId is the last pot; sign again once a round opens.
+ */
+router.get('/intent/domain', async (req, res) => {
+  try {
+    const betIntentService = BetIntentService.getInstance();
+    const potState = await ContractService.getInstance().getPotState();
+
+    res.json({
+      success: true,
+      domain: await betIntentService.getDomain(),
+      types: betIntentService.getTypes(),
+      primaryType: 'BetIntent',
+      potId: potState.potId,
+      phase: potState.phase,
+      maxTtlSeconds: betIntentService.maxTtlSeconds
+    });
+  } catch (error) {
+    console.error('Error fetching bet intent domain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bet intent domain',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/bets/permit
+ * Whether the SMOL token supports EIP-2612 permit, with the token, spender and
+ * (given ?owner=) the owner's permit nonce
+ */
+router.get(
+  '/permit',
+  [
+    query('owner')
+      .optional()
+      .isEthereumAddress()
+      .withMessage('Invalid Ethereum address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const permit = await ContractService.getInstance().getPermitInfo(req.query.owner || null);
+
+      res.json({
+        success: true,
+        permit,
+        message: permit.supported
+          ? undefined
+          : 'SMOL token does not support permit; players must approve SmolPotCore first'
+      });
+    } catch (error) {
+      console.error('Error fetching permit support:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch permit support',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 /**
  * GET /api/bets/history/:address
  * Get bet history for a specific player
@@ -182,15 +363,27 @@ router.get(
 /**
  * GET /api/pot/state
  * Get the current pot state from the smart contract
+ *
+ * Once the pot is locked, randomnessProvider and randomnessTarget publish the
+ * randomness committed to (null before lock); eosTargetBlock is set for EOS.
+ * totalAmount is in wei, with totalAmountFormatted in SMOL.
  */
 router.get('/pot/state', async (req, res) => {
   try {
     const contractService = ContractService.getInstance();
+    const supabaseService = SupabaseService.getInstance();
     const potState = await contractService.getPotState();
+    const round = await supabaseService.getGameRoundByPotId(potState.potId);
 
     res.json({
       success: true,
-      potState
+      potState: {
+        ...withFormatted(potState, ['totalAmount']),
+        randomnessProvider: round ? round.randomness_provider || null : null,
+        randomnessTarget: round && round.randomness_target ? Number(round.randomness_target) : null,
+        eosTargetBlock: round && round.eos_target_block ? Number(round.eos_target_block) : null,
+        eosTargetCommittedAt: round ? round.eos_target_committed_at || null : null
+      }
     });
   } catch (error) {
     console.error('Error fetching pot state:', error);
@@ -204,18 +397,23 @@ router.get('/pot/state', async (req, res) => {
 
 /**
  * GET /api/pot/history
- * Get historical game rounds
+ * Get historical game rounds, including cancelled (refunded) rounds
+ *
+ * Query:
+ * - limit: number (default 10)
+ * - phase: COMPLETE | CANCELLED | ... (optional filter)
  */
 router.get('/pot/history', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
+    const phase = req.query.phase ? String(req.query.phase).toUpperCase() : null;
     const supabaseService = SupabaseService.getInstance();
 
-    const history = await supabaseService.getGameRoundHistory(limit);
+    const history = await supabaseService.getGameRoundHistory(limit, phase);
 
     res.json({
       success: true,
-      history
+      history: history.map(round => formatRow(round, ['total_amount']))
     });
   } catch (error) {
     console.error('Error fetching pot history:', error);
@@ -258,7 +456,7 @@ router.get(
 
       res.json({
         success: true,
-        bets
+        bets: bets.map(bet => formatRow(bet, ['amount', 'refund_amount']))
       });
     } catch (error) {
       console.error('Error fetching bets for round:', error);
@@ -271,4 +469,61 @@ router.get(
   }
 );
 
+/**
+ * GET /api/bets/:betId
+ * Status of a bet queued by POST /api/bets/enter
+ *
+ * Response:
+ * - bet.status: QUEUED | SUBMITTED | CONFIRMED | FAILED
+ * - bet.tx_hash, bet.block_number, bet.ticket_start, bet.ticket_end once known
+ * - bet.error when FAILED
+ */
+router.get(
+  '/:betId',
+  [
+    param('betId')
+      .trim()
+      .isUUID()
+      .withMessage('Invalid bet ID')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const supabaseService = SupabaseService.getInstance();
+      const betRequest = await supabaseService.getBetRequest(req.params.betId);
+
+      if (!betRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bet not found'
+        });
+      }
+
+      // The permit signature is not for display
+      const bet = { ...betRequest };
+      delete bet.permit;
+
+      res.json({
+        success: true,
+        bet: formatRow(bet, ['amount'])
+      });
+    } catch (error) {
+      console.error('Error fetching bet status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch bet status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 module.exports = router;
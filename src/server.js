@@ -22,9 +22,16 @@ const ContractService = require('./services/contractService');
 const SupabaseService = require('./services/supabaseService');
 const EosService = require('./services/eosService');
 const GameManager = require('./services/gameManager');
+const LeaderElectionService = require('./services/leaderElectionService');
+const ReconciliationService = require('./services/reconciliationService');
+const BetQueueService = require('./services/betQueueService');
+const TransactionJournal = require('./services/transactionJournal');
+const TreasuryMonitor = require('./services/treasuryMonitor');
+const ProofAuditor = require('./services/proofAuditor');
 
 // Routes
 const betRoutes = require('./routes/betRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -109,7 +116,8 @@ app.get('/health', (req, res) => {
       supabase: SupabaseService.getInstance().isInitialized(),
       eos: EosService.getInstance().isInitialized(),
       gameManager: GameManager.getInstance().isManagerRunning()
-    }
+    },
+    leader: LeaderElectionService.getInstance().getStatus()
   });
 });
 
@@ -123,12 +131,29 @@ app.get('/', (req, res) => {
       health: 'GET /health',
       bets: {
         enter: 'POST /api/bets/enter',
+        intentDomain: 'GET /api/bets/intent/domain',
+        permit: 'GET /api/bets/permit',
+        status: 'GET /api/bets/:betId',
         history: 'GET /api/bets/history/:address',
         round: 'GET /api/bets/round/:roundId'
       },
       pot: {
         state: 'GET /api/pot/state',
         history: 'GET /api/pot/history'
+      },
+      admin: {
+        status: 'GET /api/admin/status',
+        pause: 'POST /api/admin/automation/pause',
+        resume: 'POST /api/admin/automation/resume',
+        lock: 'POST /api/admin/pot/lock',
+        cancel: 'POST /api/admin/pot/cancel',
+        retryFinish: 'POST /api/admin/pot/finish/retry',
+        config: 'GET|PUT /api/admin/config',
+        reconcile: 'GET|POST /api/admin/reconcile',
+        transactions: 'GET /api/admin/transactions',
+        treasury: 'GET /api/admin/treasury',
+        eosEndpoints: 'GET /api/admin/eos/endpoints',
+        proofAudit: 'GET /api/admin/proofs/audit'
       }
     }
   });
@@ -137,6 +162,9 @@ app.get('/', (req, res) => {
 // Bet routes
 app.use('/api/bets', betRoutes);
 
+// Admin routes (API key protected)
+app.use('/api/admin', adminRoutes);
+
 // 404 handler
 app.use(notFoundHandler);
 
@@ -215,11 +243,34 @@ async function startServer() {
     // Initialize all services first
     await initializeServices();
 
+    // Settle journal entries a previous run left pending (leader only)
+    TransactionJournal.getInstance().start();
+
     // Start Game Manager
     const gameManager = GameManager.getInstance();
-    gameManager.start();
+    await gameManager.start();
     logger.info('✓ Game Manager started');
 
+    // Backfill anything the database missed, then keep it in sync
+    ReconciliationService.getInstance().start();
+    logger.info('✓ Reconciliation started');
+
+    // Submit queued bets (leader only)
+    BetQueueService.getInstance().start();
+    logger.info('✓ Bet queue worker started');
+
+    // Track EOS RPC endpoint health
+    EosService.getInstance().start();
+    logger.info('✓ EOS endpoint health checks started');
+
+    // Watch the treasury gas balance (leader only)
+    TreasuryMonitor.getInstance().start();
+    logger.info('✓ Treasury monitor started');
+
+    // Re-verify stored EOS proofs (leader only)
+    ProofAuditor.getInstance().start();
+    logger.info('✓ Proof auditor started');
+
     // Start Express server
     app.listen(PORT, () => {
       logger.info('=================================');
@@ -228,7 +279,7 @@ async function startServer() {
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info(`Port: ${PORT}`);
       logger.info(`Treasury Wallet: ${WalletService.getInstance().getTreasuryAddress()}`);
-      logger.info(`Game Manager: Running`);
+      logger.info(`Game Manager: Running (leader: ${gameManager.isLeader()})`);
       logger.info('=================================');
     });
   } catch (error) {
@@ -259,21 +310,31 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  ReconciliationService.getInstance().stop();
+  TreasuryMonitor.getInstance().stop();
+  EosService.getInstance().stop();
+  ProofAuditor.getInstance().stop();
+  await BetQueueService.getInstance().stop();
   const gameManager = GameManager.getInstance();
   if (gameManager.isManagerRunning()) {
-    gameManager.stop();
+    await gameManager.stop();
     logger.info('✓ Game Manager stopped');
   }
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
+  ReconciliationService.getInstance().stop();
+  TreasuryMonitor.getInstance().stop();
+  EosService.getInstance().stop();
+  ProofAuditor.getInstance().stop();
+  await BetQueueService.getInstance().stop();
   const gameManager = GameManager.getInstance();
   if (gameManager.isManagerRunning()) {
-    gameManager.stop();
+    await gameManager.stop();
     logger.info('✓ Game Manager stopped');
   }
   process.exit(0);
@@ -0,0 +1,161 @@
+/**
+ * Alert Service
+ * Raises operational alerts in the logs and, if configured, to a webhook
+ *
+ * Alerts are keyed (e.g. 'treasury.balance'), so a condition that persists
+ * is re-sent at most every ALERT_REPEAT_MINUTES instead of on every check.
+ * Resolving a key sends a single "resolved" notification.
+ *
+ * ALERT_WEBHOOK_URL receives a JSON POST per alert:
+ * { key, severity, message, details, resolved, timestamp, source }
+ * Webhook failures are logged and never thrown.
+ */
+
+const axios = require('axios');
+const os = require('os');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+class AlertService {
+  constructor() {
+    if (AlertService.instance) {
+      return AlertService.instance;
+    }
+
+    this.webhookUrl = process.env.ALERT_WEBHOOK_URL || null;
+    this.repeatMs = parseInt(process.env.ALERT_REPEAT_MINUTES || '60') * 60 * 1000;
+
+    // key -> { key, severity, message, details, raisedAt, lastSentAt }
+    this.active = new Map();
+
+    AlertService.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!AlertService.instance) {
+      AlertService.instance = new AlertService();
+    }
+    return AlertService.instance;
+  }
+
+  /**
+   * Raise (or refresh) an alert
+   * Sent when new, when its severity changes, or when ALERT_REPEAT_MINUTES
+   * have passed since it was last sent.
+   *
+   * @param {string} key - Identifies the condition
+   * @param {string} severity - info | warning | critical
+   * @param {string} message
+   * @param {object} details
+   */
+  async raise(key, severity, message, details = {}) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown alert severity: ${severity}`);
+    }
+
+    const now = Date.now();
+    const existing = this.active.get(key);
+    const alert = {
+      key,
+      severity,
+      message,
+      details,
+      raisedAt: existing ? existing.raisedAt : new Date(now).toISOString(),
+      lastSentAt: existing ? existing.lastSentAt : 0
+    };
+    this.active.set(key, alert);
+
+    if (existing && existing.severity === severity && now - existing.lastSentAt < this.repeatMs) {
+      return;
+    }
+
+    alert.lastSentAt = now;
+
+    const log = severity === 'info' ? logger.info : severity === 'warning' ? logger.warn : logger.error;
+    log.call(logger, `ALERT: ${message}`, { alert: key, severity, ...details });
+
+    await this.notify({ key, severity, message, details, resolved: false });
+  }
+
+  /**
+   * Clear an alert, notifying once if it was active
+   * @param {string} key
+   * @param {string} message
+   */
+  async resolve(key, message = null) {
+    const existing = this.active.get(key);
+    if (!existing) {
+      return;
+    }
+
+    this.active.delete(key);
+
+    logger.info(`RESOLVED: ${message || existing.message}`, { alert: key });
+
+    await this.notify({
+      key,
+      severity: 'info',
+      message: message || `Resolved: ${existing.message}`,
+      details: {},
+      resolved: true
+    });
+  }
+
+  /**
+   * Get the alerts currently active on this replica
+   * @returns {array}
+   */
+  getActive() {
+    return Array.from(this.active.values()).map(({ lastSentAt, ...alert }) => ({
+      ...alert,
+      lastSentAt: lastSentAt ? new Date(lastSentAt).toISOString() : null
+    }));
+  }
+
+  /**
+   * POST an alert to the webhook
+   */
+  async notify(payload) {
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    try {
+      await axios.post(this.webhookUrl, {
+        ...payload,
+        timestamp: new Date().toISOString(),
+        source: os.hostname()
+      }, {
+        timeout: 5000,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to send alert webhook', {
+        alert: payload.key,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,176 @@
+/**
+ * Bet Intent Service
+ * Verifies EIP-712 signed bet intents before the operator spends a player's SMOL
+ *
+ * The treasury wallet enters the pot on the player's behalf (enterPotFor), so
+ * knowing an address with an outstanding allowance must not be enough to bet
+ * with it. Every bet carries a BetIntent signed by the player:
+ *
+ *   BetIntent(address player,uint256 amount,uint256 potId,uint256 nonce,uint256 deadline)
+ *
+ * signed over the domain { name: 'SmolPot', version: '1', chainId,
+ * verifyingContract: SmolPotCore }. The amount is in wei, nonce is any unused
+ * uint256 chosen by the player, and deadline is a unix timestamp. Used nonces
+ * are stored per player, so a signature can only be spent once.
+ */
+
+const { ethers } = require('ethers');
+const winston = require('winston');
+const WalletService = require('./walletService');
+const ContractService = require('./contractService');
+const SupabaseService = require('./supabaseService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const BET_INTENT_TYPES = {
+  BetIntent: [
+    { name: 'player', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'potId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Build an error carrying the HTTP status for the route
+ */
+function intentError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class BetIntentService {
+  constructor() {
+    if (BetIntentService.instance) {
+      return BetIntentService.instance;
+    }
+
+    this.domain = null;
+    this.maxTtlSeconds = parseInt(process.env.BET_INTENT_MAX_TTL_SECONDS || '3600');
+
+    BetIntentService.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!BetIntentService.instance) {
+      BetIntentService.instance = new BetIntentService();
+    }
+    return BetIntentService.instance;
+  }
+
+  /**
+   * Get the EIP-712 domain players sign over
+   * @returns {Promise<object>}
+   */
+  async getDomain() {
+    if (!this.domain) {
+      const network = await WalletService.getInstance().getProvider().getNetwork();
+      const verifyingContract = await ContractService.getInstance()
+        .getContracts()
+        .smolPotCore.getAddress();
+
+      this.domain = {
+        name: 'SmolPot',
+        version: '1',
+        chainId: network.chainId.toString(),
+        verifyingContract
+      };
+    }
+
+    return this.domain;
+  }
+
+  /**
+   * Get the EIP-712 types of a bet intent
+   * @returns {object}
+   */
+  getTypes() {
+    return BET_INTENT_TYPES;
+  }
+
+  /**
+   * Check a signed intent against the bet it authorizes
+   * Does not consume the nonce; call consume() once the pot id is confirmed.
+   *
+   * @param {object} intent - { player, amount, potId, nonce, deadline } (amount in wei)
+   * @param {string} signature
+   * @returns {Promise<object>} Normalized intent
+   */
+  async verify(intent, signature) {
+    const now = Math.floor(Date.now() / 1000);
+    const deadline = BigInt(intent.deadline);
+
+    if (deadline <= BigInt(now)) {
+      throw intentError('Bet intent has expired', 400);
+    }
+    if (deadline > BigInt(now + this.maxTtlSeconds)) {
+      throw intentError(
+        `Bet intent deadline is more than ${this.maxTtlSeconds} seconds away`,
+        400
+      );
+    }
+
+    const value = {
+      player: ethers.getAddress(intent.player),
+      amount: BigInt(intent.amount),
+      potId: BigInt(intent.potId),
+      nonce: BigInt(intent.nonce),
+      deadline
+    };
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(await this.getDomain(), BET_INTENT_TYPES, value, signature);
+    } catch (error) {
+      throw intentError('Bet intent signature is malformed', 401);
+    }
+
+    if (signer !== value.player) {
+      logger.warn('Bet intent signed by another address', {
+        player: value.player,
+        signer
+      });
+      throw intentError('Bet intent was not signed by the player', 401);
+    }
+
+    return value;
+  }
+
+  /**
+   * Mark an intent's nonce as used
+   * @param {object} intent - Verified intent
+   * @param {string} signature
+   */
+  async consume(intent, signature) {
+    const consumed = await SupabaseService.getInstance().consumeBetIntentNonce({
+      walletAddress: intent.player,
+      nonce: intent.nonce.toString(),
+      potId: intent.potId.toString(),
+      deadline: intent.deadline.toString(),
+      signature
+    });
+
+    if (!consumed) {
+      throw intentError('Bet intent nonce has already been used', 409);
+    }
+  }
+}
+
+module.exports = BetIntentService;
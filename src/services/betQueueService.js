@@ -0,0 +1,410 @@
+/**
+ * Bet Queue Service
+ * Submits queued bets to the pot so /api/bets/enter doesn't wait for receipts
+ *
+ * The /enter route validates a bet, stores it in bet_requests (QUEUED) and
+ * answers 202 with its id. This worker, running on the leader replica only,
+ * takes queued requests oldest first and for each:
+ * 1. fails it if its pot is no longer open for betting,
+ * 2. submits the player's permit, if any,
+ * 3. sends enterPotFor and stores the tx hash (SUBMITTED),
+ * 4. records the bet with its ticket range and marks it CONFIRMED
+ *    (or FAILED with the error).
+ *
+ * Requests are sent one at a time from the single treasury wallet. A request
+ * whose receipt wasn't seen (e.g. after a restart) is finished later from
+ * its receipt.
+ *
+ * Backpressure: the route refuses new bets while BET_QUEUE_MAX_DEPTH requests
+ * are queued or in flight, and stops accepting bets for a pot
+ * BET_QUEUE_LOCK_BUFFER_SECONDS before its timer runs out.
+ */
+
+const winston = require('winston');
+const ContractService = require('./contractService');
+const SupabaseService = require('./supabaseService');
+const LeaderElectionService = require('./leaderElectionService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Contract phase in which bets are accepted
+const PHASE_BETTING = 1;
+
+class BetQueueService {
+  constructor() {
+    if (BetQueueService.instance) {
+      return BetQueueService.instance;
+    }
+
+    this.contractService = ContractService.getInstance();
+    this.supabaseService = SupabaseService.getInstance();
+    this.leaderElection = LeaderElectionService.getInstance();
+
+    this.pollIntervalMs = parseInt(process.env.BET_QUEUE_POLL_INTERVAL_MS || '1000');
+    this.maxDepth = parseInt(process.env.BET_QUEUE_MAX_DEPTH || '100');
+    this.lockBufferSeconds = parseInt(process.env.BET_QUEUE_LOCK_BUFFER_SECONDS || '10');
+
+    this.poller = null;
+    this.draining = null;
+    this.currentRequestId = null;
+
+    BetQueueService.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!BetQueueService.instance) {
+      BetQueueService.instance = new BetQueueService();
+    }
+    return BetQueueService.instance;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.poller) {
+      return;
+    }
+
+    // Pick up the queue (and a previous leader's half-done requests) on takeover
+    this.leaderElection.onLeadershipChange(isLeader => {
+      if (isLeader) {
+        this.wake();
+      }
+    });
+
+    this.poller = setInterval(() => {
+      this.drain();
+    }, this.pollIntervalMs);
+
+    logger.info('Bet queue worker started', {
+      poll_interval_ms: this.pollIntervalMs,
+      max_depth: this.maxDepth,
+      lock_buffer_seconds: this.lockBufferSeconds
+    });
+
+    this.wake();
+  }
+
+  /**
+   * Stop polling and wait for the request in flight
+   */
+  async stop() {
+    if (this.poller) {
+      clearInterval(this.poller);
+      this.poller = null;
+    }
+
+    if (this.draining) {
+      await this.draining;
+    }
+  }
+
+  /**
+   * Process the queue now (e.g. right after a bet was queued)
+   */
+  wake() {
+    setImmediate(() => this.drain());
+  }
+
+  /**
+   * Check whether the queue can take another bet
+   * @returns {Promise<boolean>}
+   */
+  async hasCapacity() {
+    return await this.supabaseService.countActiveBetRequests() < this.maxDepth;
+  }
+
+  /**
+   * Check whether a pot still accepts bets, leaving the lock buffer
+   * @param {object} potState - From ContractService.getPotState()
+   * @returns {Promise<object>} { open, reason }
+   */
+  async isAcceptingBets(potState) {
+    if (Number(potState.phase) !== PHASE_BETTING) {
+      return { open: false, reason: `Betting is closed for pot ${potState.potId}` };
+    }
+
+    const timer = await this.contractService.getTimerStatus();
+    const remaining = parseInt(timer.timeRemaining);
+
+    if (timer.hasExpired || (remaining > 0 && remaining <= this.lockBufferSeconds)) {
+      return {
+        open: false,
+        reason: `Pot ${potState.potId} is about to lock. Please bet on the next round.`
+      };
+    }
+
+    return { open: true, reason: null };
+  }
+
+  /**
+   * Work through the queue (leader only, one drain at a time)
+   */
+  async drain() {
+    if (!this.poller || this.draining || !this.leaderElection.isLeader()) {
+      return;
+    }
+
+    this.draining = (async () => {
+      try {
+        await this.checkSubmitted();
+
+        let requests = await this.supabaseService.getBetRequestsByStatus('QUEUED', 10);
+        while (requests.length > 0 && this.poller && this.leaderElection.isLeader()) {
+          for (const request of requests) {
+            if (!this.poller || !this.leaderElection.isLeader()) {
+              break;
+            }
+            await this.processRequest(request);
+          }
+          requests = await this.supabaseService.getBetRequestsByStatus('QUEUED', 10);
+        }
+      } catch (error) {
+        logger.error('Bet queue drain failed', { error: error.message });
+      }
+    })();
+
+    try {
+      await this.draining;
+    } finally {
+      this.draining = null;
+    }
+  }
+
+  /**
+   * Submit one queued bet and record its outcome
+   * @param {object} request - bet_requests row
+   */
+  async processRequest(request) {
+    // Claim it, so a request is never sent twice
+    const claimed = await this.supabaseService.updateBetRequest(
+      request.id,
+      { status: 'SUBMITTED', claimed_at: new Date().toISOString() },
+      'QUEUED'
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    this.currentRequestId = request.id;
+    const txHashes = [];
+
+    try {
+      const potState = await this.contractService.getPotState();
+      if (potState.potId !== request.pot_id) {
+        throw new Error(`Pot ${request.pot_id} closed before the bet was submitted`);
+      }
+
+      const betting = await this.isAcceptingBets(potState);
+      if (!betting.open) {
+        throw new Error(betting.reason);
+      }
+
+      if (request.permit) {
+        await this.contractService.permit(request.wallet_address, request.amount, request.permit);
+      }
+
+      const result = await this.contractService.enterPotFor(
+        request.wallet_address,
+        request.amount,
+        {
+          // Called for the original and every fee-bump replacement
+          onSubmitted: async hash => {
+            txHashes.push(hash.toLowerCase());
+            await this.supabaseService.updateBetRequest(request.id, {
+              tx_hash: hash.toLowerCase(),
+              tx_hashes: txHashes,
+              submitted_at: new Date().toISOString()
+            });
+          }
+        }
+      );
+
+      await this.confirmRequest(request, result);
+    } catch (error) {
+      if (txHashes.length > 0) {
+        // Sent, outcome unknown - checkSubmitted decides from the receipts
+        logger.warn('Bet transaction sent but not confirmed', {
+          bet_request_id: request.id,
+          txHashes,
+          error: error.message
+        });
+      } else {
+        await this.failRequest(request, error.message);
+      }
+    } finally {
+      this.currentRequestId = null;
+    }
+  }
+
+  /**
+   * Finish submitted requests from their receipts
+   * Runs between requests, so a SUBMITTED request without a tx hash was left
+   * by a crashed process or previous leader. It is failed, since it can't be
+   * known whether it was sent; reconciliation records the bet if it was.
+   *
+   * Any version of a replaced transaction may be the one mined, so every hash
+   * the request was sent with is checked.
+   */
+  async checkSubmitted() {
+    const submitted = await this.supabaseService.getBetRequestsByStatus('SUBMITTED');
+
+    for (const request of submitted) {
+      if (request.id === this.currentRequestId) {
+        continue;
+      }
+
+      if (!request.tx_hash) {
+        await this.failRequest(
+          request,
+          'Interrupted before the transaction was recorded; check the bet history'
+        );
+        continue;
+      }
+
+      try {
+        const result = await this.getSubmittedResult(request);
+
+        if (!result) {
+          continue;
+        }
+
+        if (result.success) {
+          await this.confirmRequest(request, result);
+        } else {
+          await this.failRequest(request, `Transaction ${result.txHash} reverted`);
+        }
+      } catch (error) {
+        logger.error('Failed to check submitted bet', {
+          bet_request_id: request.id,
+          txHashes: this.getTxHashes(request),
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Outcome of whichever version of a request's transaction was mined
+   * @param {object} request - bet_requests row
+   * @returns {Promise<object|null>} getEnterPotResult result, or null if none is mined yet
+   */
+  async getSubmittedResult(request) {
+    for (const txHash of this.getTxHashes(request)) {
+      const result = await this.contractService.getEnterPotResult(txHash, request.wallet_address);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Every hash a request's transaction was sent with, latest first
+   * @param {object} request - bet_requests row
+   * @returns {string[]}
+   */
+  getTxHashes(request) {
+    const txHashes = [...(request.tx_hashes || [])].reverse();
+    if (request.tx_hash && !txHashes.includes(request.tx_hash)) {
+      txHashes.unshift(request.tx_hash);
+    }
+    return txHashes;
+  }
+
+  /**
+   * Record the bet and mark its request CONFIRMED
+   * @param {object} request - bet_requests row
+   * @param {object} result - enterPotFor result
+   */
+  async confirmRequest(request, result) {
+    // The bet is on-chain; a database failure is left to reconciliation
+    let bet = null;
+    try {
+      const round = await this.supabaseService.getGameRoundByPotId(result.potId) ||
+        await this.supabaseService.createGameRound({ pot_id: result.potId });
+
+      bet = await this.supabaseService.recordBet({
+        roundId: round.id,
+        userId: request.user_id,
+        walletAddress: request.wallet_address,
+        amount: request.amount,
+        ticketStart: result.ticketStart,
+        ticketEnd: result.ticketEnd,
+        txHash: result.txHash,
+        blockNumber: result.blockNumber
+      });
+    } catch (error) {
+      logger.error('Bet placed on-chain but not recorded; left for reconciliation', {
+        bet_request_id: request.id,
+        txHash: result.txHash,
+        error: error.message
+      });
+    }
+
+    await this.supabaseService.updateBetRequest(request.id, {
+      status: 'CONFIRMED',
+      tx_hash: result.txHash.toLowerCase(),
+      block_number: result.blockNumber,
+      ticket_start: result.ticketStart,
+      ticket_end: result.ticketEnd,
+      bet_id: bet ? bet.id : null,
+      error: null,
+      finished_at: new Date().toISOString()
+    });
+
+    logger.info('Queued bet confirmed', {
+      bet_request_id: request.id,
+      txHash: result.txHash,
+      ticketStart: result.ticketStart,
+      ticketEnd: result.ticketEnd
+    });
+  }
+
+  /**
+   * Mark a request FAILED
+   * @param {object} request - bet_requests row
+   * @param {string} reason
+   */
+  async failRequest(request, reason) {
+    logger.warn('Queued bet failed', { bet_request_id: request.id, reason });
+
+    await this.supabaseService.updateBetRequest(request.id, {
+      status: 'FAILED',
+      error: reason,
+      finished_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get worker state (for health checks)
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.poller),
+      draining: Boolean(this.draining),
+      currentRequestId: this.currentRequestId,
+      maxDepth: this.maxDepth,
+      lockBufferSeconds: this.lockBufferSeconds
+    };
+  }
+}
+
+module.exports = BetQueueService;
@@ -11,7 +11,10 @@
 const { ethers } = require('ethers');
 const winston = require('winston');
 const WalletService = require('./walletService');
+const TransactionSender = require('./transactionSender');
+const RpcProviderPool = require('./rpcProviderPool');
 const { SmolPotCoreABI, SmolTokenABI } = require('../abis');
+const { toWei, parseSmol, formatSmol } = require('../utils/amounts');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -27,6 +30,17 @@ const logger = winston.createLogger({
   ]
 });
 
+// Operator journal purpose of each method the treasury calls
+const TX_PURPOSES = {
+  enterPotFor: 'bet',
+  permit: 'permit',
+  startGame: 'start',
+  lockGame: 'lock',
+  finishGame: 'finish',
+  emergencyCancel: 'cancel',
+  updateConfig: 'config'
+};
+
 class ContractService {
   constructor() {
     if (ContractService.instance) {
@@ -34,8 +48,10 @@ class ContractService {
     }
 
     this.walletService = WalletService.getInstance();
+    this.transactionSender = TransactionSender.getInstance();
     this.smolPotCore = null;
     this.smolToken = null;
+    this.permitSupported = null; // Detected on first use
     this.initialized = false;
 
     ContractService.instance = this;
@@ -78,24 +94,24 @@ class ContractService {
       }
 
       // Create contract instances with Treasury Wallet as signer
-      const treasuryWallet = this.walletService.getTreasuryWallet();
+      const signer = this.walletService.getSigner();
 
       this.smolPotCore = new ethers.Contract(
         coreAddress,
         SmolPotCoreABI,
-        treasuryWallet
+        signer
       );
 
       this.smolToken = new ethers.Contract(
         tokenAddress,
         SmolTokenABI,
-        treasuryWallet
+        signer
       );
 
       logger.info('Contract Service initialized successfully', {
         smolPotCore: coreAddress,
         smolToken: tokenAddress,
-        operator: treasuryWallet.address
+        operator: this.walletService.getTreasuryAddress()
       });
 
       this.initialized = true;
@@ -109,6 +125,7 @@ class ContractService {
 
   /**
    * Get the current game state
+   * Read with RPC quorum, since every lifecycle decision is based on it.
    * @returns {Promise<object>}
    */
   async getPotState() {
@@ -117,10 +134,10 @@ class ContractService {
     }
 
     try {
-      const state = await this.smolPotCore.getCurrentGameState();
+      const state = await this.quorumRead(this.smolPotCore, 'getCurrentGameState');
       return {
         potId: state.potId.toString(),
-        phase: state.phase, // 0=IDLE, 1=BETTING, 2=LOCKED, 3=COMPLETE
+        phase: Number(state.phase), // 0=IDLE, 1=BETTING, 2=LOCKED, 3=COMPLETE
         startTime: state.startTime.toString(),
         totalAmount: state.totalAmount.toString(),
         tickets: state.tickets.toString(),
@@ -133,87 +150,198 @@ class ContractService {
   }
 
   /**
-   * Enter the pot on behalf of a player (operator model)
-   * The player must have already approved the SmolPotCore contract to spend their SMOL tokens
+   * Get the game configuration from the contract
+   * The contract is the source of truth; changes arrive via ConfigUpdated events
+   * @returns {Promise<object>}
+   */
+  async getGameConfig() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const [timerDuration, minParticipants, idleTimeout, feePercentage, minEntryAmount] =
+        await Promise.all([
+          this.smolPotCore.timerDuration(),
+          this.smolPotCore.minParticipants(),
+          this.smolPotCore.idleTimeout(),
+          this.smolPotCore.feePercentage(),
+          this.smolPotCore.minEntryAmount()
+        ]);
+
+      return {
+        timerDuration: timerDuration.toString(),
+        minParticipants: minParticipants.toString(),
+        idleTimeout: idleTimeout.toString(),
+        feePercentage: feePercentage.toString(),
+        minEntryAmount: minEntryAmount.toString()
+      };
+    } catch (error) {
+      logger.error('Failed to get game config', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the betting timer as seen by the contract
+   * Uses on-chain block time, not the server clock
+   * @returns {Promise<object>} { timeRemaining, hasExpired, blockTimestamp }
+   */
+  async getTimerStatus() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const [timeRemaining, hasExpired, latestBlock] = await Promise.all([
+        this.smolPotCore.getTimeRemaining(),
+        this.smolPotCore.hasTimerExpired(),
+        this.walletService.getProvider().getBlock('latest')
+      ]);
+
+      return {
+        timeRemaining: timeRemaining.toString(),
+        hasExpired,
+        blockTimestamp: latestBlock.timestamp.toString()
+      };
+    } catch (error) {
+      logger.error('Failed to get timer status', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a player can enter the pot with an amount
+   * Validates the bet limits, the player's SMOL balance and (unless a permit
+   * will grant it) their allowance for SmolPotCore.
    *
    * @param {string} playerAddress - Address of the player
-   * @param {string} amount - Amount in SMOL tokens (as string to preserve precision)
-   * @returns {Promise<object>} Transaction receipt
+   * @param {bigint|string} amount - Amount in wei
+   * @param {object} options - { skipAllowance }
    */
-  async enterPotFor(playerAddress, amount) {
+  async validateEntry(playerAddress, amount, { skipAllowance = false } = {}) {
     if (!this.initialized) {
       throw new Error('ContractService not initialized. Call initialize() first.');
     }
 
-    try {
-      // Validate inputs
-      if (!ethers.isAddress(playerAddress)) {
-        throw new Error('Invalid player address');
-      }
+    // Validate inputs
+    if (!ethers.isAddress(playerAddress)) {
+      throw new Error('Invalid player address');
+    }
 
-      const amountBigInt = ethers.parseUnits(amount, 18); // SMOL has 18 decimals
+    const amountBigInt = toWei(amount);
 
-      if (amountBigInt <= 0n) {
-        throw new Error('Amount must be greater than 0');
-      }
+    if (amountBigInt <= 0n) {
+      throw new Error('Amount must be greater than 0');
+    }
 
-      // Check if amount is within limits
-      const minBet = ethers.parseUnits(process.env.MIN_BET_AMOUNT || '1', 18);
-      const maxBet = ethers.parseUnits(process.env.MAX_BET_AMOUNT || '1000000', 18);
+    // Check if amount is within limits
+    const minBet = parseSmol(process.env.MIN_BET_AMOUNT || '1');
+    const maxBet = parseSmol(process.env.MAX_BET_AMOUNT || '1000000');
 
-      if (amountBigInt < minBet) {
-        throw new Error(`Bet amount below minimum: ${process.env.MIN_BET_AMOUNT} SMOL`);
-      }
-      if (amountBigInt > maxBet) {
-        throw new Error(`Bet amount exceeds maximum: ${process.env.MAX_BET_AMOUNT} SMOL`);
-      }
+    if (amountBigInt < minBet) {
+      throw new Error(`Bet amount below minimum: ${formatSmol(minBet)} SMOL`);
+    }
+    if (amountBigInt > maxBet) {
+      throw new Error(`Bet amount exceeds maximum: ${formatSmol(maxBet)} SMOL`);
+    }
 
-      // Check player's SMOL token balance
-      const balance = await this.smolToken.balanceOf(playerAddress);
-      if (balance < amountBigInt) {
-        throw new Error('Player has insufficient SMOL token balance');
-      }
+    // Check player's SMOL token balance
+    const balance = await this.smolToken.balanceOf(playerAddress);
+    if (balance < amountBigInt) {
+      throw new Error('Player has insufficient SMOL token balance');
+    }
+
+    if (skipAllowance) {
+      return;
+    }
+
+    // Check player's allowance for SmolPotCore contract
+    const allowance = await this.smolToken.allowance(
+      playerAddress,
+      await this.smolPotCore.getAddress()
+    );
 
-      // Check player's allowance for SmolPotCore contract
-      const allowance = await this.smolToken.allowance(
-        playerAddress,
-        await this.smolPotCore.getAddress()
+    if (allowance < amountBigInt) {
+      throw new Error(
+        'Player has not approved sufficient SMOL tokens. ' +
+        'Player must call approve() on SMOL token contract first.'
       );
+    }
+  }
 
-      if (allowance < amountBigInt) {
-        throw new Error(
-          'Player has not approved sufficient SMOL tokens. ' +
-          'Player must call approve() on SMOL token contract first.'
-        );
-      }
+  /**
+   * Enter the pot on behalf of a player (operator model)
+   * The player must have already approved the SmolPotCore contract to spend their SMOL tokens
+   *
+   * @param {string} playerAddress - Address of the player
+   * @param {bigint|string} amount - Amount in wei
+   * @param {object} options - { onSubmitted(txHash) } called once the transaction is sent
+   * @returns {Promise<object>} Transaction receipt with the player's pot id and ticket range
+   */
+  async enterPotFor(playerAddress, amount, { onSubmitted = null } = {}) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const amountBigInt = toWei(amount);
+
+      await this.validateEntry(playerAddress, amountBigInt);
 
       logger.info('Entering pot for player', {
         player: playerAddress,
-        amount: ethers.formatUnits(amountBigInt, 18) + ' SMOL'
+        amount: formatSmol(amountBigInt) + ' SMOL'
       });
 
       // Call enterPotFor on the contract
-      const tx = await this.smolPotCore.enterPotFor(playerAddress, amountBigInt);
+      const sent = await this.sendTransaction(
+        this.smolPotCore,
+        'enterPotFor',
+        [playerAddress, amountBigInt],
+        'bet',
+        {
+          onSubmitted: async txHash => {
+            logger.info('Transaction submitted', {
+              txHash,
+              player: playerAddress
+            });
 
-      logger.info('Transaction submitted', {
-        txHash: tx.hash,
-        player: playerAddress
-      });
+            if (onSubmitted) {
+              await onSubmitted(txHash);
+            }
+          }
+        }
+      );
+      const receipt = sent.receipt;
+
+      // Extract the player's ticket range from the PlayerEntered event
+      const entry = this.parsePlayerEntered(receipt, playerAddress);
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      if (!entry) {
+        throw new Error(`PlayerEntered event not found in transaction ${receipt.hash}`);
+      }
 
       logger.info('Transaction confirmed', {
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+        gasUsed: receipt.gasUsed.toString(),
+        potId: entry.potId,
+        ticketStart: entry.ticketStart,
+        ticketEnd: entry.ticketEnd
       });
 
       return {
         success: true,
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+        gasUsed: receipt.gasUsed.toString(),
+        potId: entry.potId,
+        amount: entry.amount,
+        ticketStart: entry.ticketStart,
+        ticketEnd: entry.ticketEnd,
+        replaced: sent.replaced,
+        originalTxHash: sent.originalTxHash
       };
     } catch (error) {
       logger.error('Failed to enter pot', {
@@ -225,6 +353,246 @@ class ContractService {
     }
   }
 
+  /**
+   * Start a new game (IDLE → BETTING)
+   * Only callable by approved operator
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async startGame() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      logger.info('Starting game');
+
+      const sent = await this.sendTransaction(this.smolPotCore, 'startGame', [], 'lifecycle');
+      const receipt = sent.receipt;
+
+      logger.info('Game started successfully', {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        replaced: sent.replaced,
+        originalTxHash: sent.originalTxHash
+      };
+    } catch (error) {
+      logger.error('Failed to start game', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Decode the PlayerEntered event for a player from a transaction receipt
+   * @param {object} receipt - Transaction receipt
+   * @param {string} playerAddress
+   * @returns {object|null} { potId, player, amount, ticketStart, ticketEnd } (amount in wei)
+   */
+  parsePlayerEntered(receipt, playerAddress) {
+    const coreAddress = this.smolPotCore.target.toLowerCase();
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== coreAddress) {
+        continue;
+      }
+
+      const parsed = this.smolPotCore.interface.parseLog(log);
+      if (
+        parsed &&
+        parsed.name === 'PlayerEntered' &&
+        parsed.args.player.toLowerCase() === playerAddress.toLowerCase()
+      ) {
+        return {
+          potId: parsed.args.potId.toString(),
+          player: parsed.args.player,
+          amount: parsed.args.amount.toString(),
+          ticketStart: parsed.args.ticketStart.toString(),
+          ticketEnd: parsed.args.ticketEnd.toString()
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up the outcome of an enterPotFor transaction
+   * @param {string} txHash
+   * @param {string} playerAddress
+   * @returns {Promise<object|null>} null while pending; { success: false } if
+   *   it reverted; otherwise the same result as enterPotFor
+   */
+  async getEnterPotResult(txHash, playerAddress) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    const receipt = await this.walletService.getProvider().getTransactionReceipt(txHash);
+
+    if (!receipt) {
+      return null;
+    }
+
+    const entry = receipt.status === 1 ? this.parsePlayerEntered(receipt, playerAddress) : null;
+
+    if (!entry) {
+      return { success: false, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    }
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      potId: entry.potId,
+      amount: entry.amount,
+      ticketStart: entry.ticketStart,
+      ticketEnd: entry.ticketEnd
+    };
+  }
+
+  /**
+   * Check whether the SMOL token implements EIP-2612 permit
+   * Detected once by calling DOMAIN_SEPARATOR() and nonces(); the result is cached.
+   * @returns {Promise<boolean>}
+   */
+  async supportsPermit() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    if (this.permitSupported === null) {
+      try {
+        await Promise.all([
+          this.smolToken.DOMAIN_SEPARATOR(),
+          this.smolToken.nonces(ethers.ZeroAddress)
+        ]);
+        this.permitSupported = true;
+      } catch (error) {
+        // A revert or empty result means the functions are missing; anything
+        // else (e.g. RPC failure) is not an answer and must not be cached
+        if (error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') {
+          throw error;
+        }
+        logger.warn('SMOL token does not support EIP-2612 permit', { error: error.message });
+        this.permitSupported = false;
+      }
+    }
+
+    return this.permitSupported;
+  }
+
+  /**
+   * Get the details a player needs to sign a permit for SmolPotCore
+   * @param {string|null} owner - Player address (to include their permit nonce)
+   * @returns {Promise<object>}
+   */
+  async getPermitInfo(owner = null) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    const supported = await this.supportsPermit();
+    const info = {
+      supported,
+      token: await this.smolToken.getAddress(),
+      spender: await this.smolPotCore.getAddress()
+    };
+
+    if (supported) {
+      const [name, domainSeparator] = await Promise.all([
+        this.smolToken.name(),
+        this.smolToken.DOMAIN_SEPARATOR()
+      ]);
+      info.name = name;
+      info.domainSeparator = domainSeparator;
+      if (owner) {
+        info.nonce = (await this.smolToken.nonces(owner)).toString();
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Submit a player's EIP-2612 permit so SmolPotCore can spend their SMOL
+   * Skipped when the allowance already covers the amount. If the permit was
+   * already used (e.g. submitted by someone else first), the allowance decides.
+   *
+   * @param {string} owner - Player address
+   * @param {bigint|string} amount - Amount the bet needs, in wei
+   * @param {object} permit - { value, deadline, v, r, s } (value in wei)
+   * @returns {Promise<object>} { submitted, txHash }
+   */
+  async permit(owner, amount, permit) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    const amountBigInt = toWei(amount);
+    const spender = await this.smolPotCore.getAddress();
+
+    try {
+      if (await this.smolToken.allowance(owner, spender) >= amountBigInt) {
+        return { submitted: false, txHash: null };
+      }
+
+      if (!await this.supportsPermit()) {
+        throw new Error('SMOL token does not support permit. Please approve SMOL token spending first');
+      }
+
+      if (toWei(permit.value) < amountBigInt) {
+        throw new Error('Permit value is below the bet amount');
+      }
+      if (BigInt(permit.deadline) <= BigInt(Math.floor(Date.now() / 1000))) {
+        throw new Error('Permit has expired');
+      }
+
+      logger.info('Submitting permit for player', {
+        owner,
+        value: formatSmol(permit.value) + ' SMOL'
+      });
+
+      try {
+        const sent = await this.sendTransaction(this.smolToken, 'permit', [
+          owner,
+          spender,
+          toWei(permit.value),
+          BigInt(permit.deadline),
+          permit.v,
+          permit.r,
+          permit.s
+        ], 'bet');
+        const receipt = sent.receipt;
+
+        logger.info('Permit confirmed', {
+          owner,
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        });
+
+        return { submitted: true, txHash: receipt.hash };
+      } catch (error) {
+        if (await this.smolToken.allowance(owner, spender) >= amountBigInt) {
+          logger.warn('Permit failed but allowance is sufficient', { owner, error: error.message });
+          return { submitted: false, txHash: null };
+        }
+        throw new Error(`Permit rejected by SMOL token: ${error.shortMessage || error.message}`);
+      }
+    } catch (error) {
+      logger.error('Failed to apply permit', {
+        error: error.message,
+        owner
+      });
+      throw error;
+    }
+  }
+
   /**
    * Lock the game (prevent further bets)
    * Only callable by approved operator
@@ -238,8 +606,8 @@ class ContractService {
     try {
       logger.info('Locking game');
 
-      const tx = await this.smolPotCore.lockGame();
-      const receipt = await tx.wait();
+      const sent = await this.sendTransaction(this.smolPotCore, 'lockGame', [], 'lifecycle');
+      const receipt = sent.receipt;
 
       logger.info('Game locked successfully', {
         txHash: receipt.hash,
@@ -249,7 +617,9 @@ class ContractService {
       return {
         success: true,
         txHash: receipt.hash,
-        blockNumber: receipt.blockNumber
+        blockNumber: receipt.blockNumber,
+        replaced: sent.replaced,
+        originalTxHash: sent.originalTxHash
       };
     } catch (error) {
       logger.error('Failed to lock game', { error: error.message });
@@ -279,13 +649,20 @@ class ContractService {
         blockHash: eosBlockHash
       });
 
-      const tx = await this.smolPotCore.finishGame(eosBlockHash);
-      const receipt = await tx.wait();
+      const sent = await this.sendTransaction(
+        this.smolPotCore,
+        'finishGame',
+        [eosBlockHash],
+        'lifecycle'
+      );
+      const receipt = sent.receipt;
 
       // Extract winner from GameFinished event
-      const gameFinishedEvent = receipt.logs.find(
-        log => log.fragment && log.fragment.name === 'GameFinished'
-      );
+      const coreAddress = this.smolPotCore.target.toLowerCase();
+      const gameFinishedEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === coreAddress)
+        .map(log => this.smolPotCore.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === 'GameFinished');
 
       let winner = null;
       if (gameFinishedEvent) {
@@ -302,6 +679,8 @@ class ContractService {
         success: true,
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
+        replaced: sent.replaced,
+        originalTxHash: sent.originalTxHash,
         winner
       };
     } catch (error) {
@@ -310,6 +689,277 @@ class ContractService {
     }
   }
 
+  /**
+   * Cancel the current game and refund all entries
+   * Only callable by approved operator
+   * @returns {Promise<object>} Transaction receipt with the refund transfers it made
+   */
+  async emergencyCancel() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      logger.info('Cancelling game');
+
+      const sent = await this.sendTransaction(this.smolPotCore, 'emergencyCancel', [], 'lifecycle');
+      const receipt = sent.receipt;
+
+      const refunds = await this.getRefundTransfers(receipt);
+
+      logger.info('Game cancelled successfully', {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        refunds: refunds.length
+      });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        replaced: sent.replaced,
+        originalTxHash: sent.originalTxHash,
+        refunds
+      };
+    } catch (error) {
+      logger.error('Failed to cancel game', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Extract SMOL refund transfers (SmolPotCore → player) from a receipt
+   * @param {object} receipt - Transaction receipt
+   * @returns {Promise<array>} [{ player, amount }] with amount in wei
+   */
+  async getRefundTransfers(receipt) {
+    const tokenAddress = (await this.smolToken.getAddress()).toLowerCase();
+    return this.parseRefundTransfers(
+      receipt.logs.filter(log => log.address.toLowerCase() === tokenAddress)
+    );
+  }
+
+  /**
+   * Decode SMOL Transfer logs that move tokens out of SmolPotCore
+   * @param {array} logs - SMOL token logs
+   * @returns {array} [{ player, amount, blockNumber, transactionHash }]
+   */
+  parseRefundTransfers(logs) {
+    const coreAddress = this.smolPotCore.target.toLowerCase();
+    const refunds = [];
+
+    for (const log of logs) {
+      const parsed = this.smolToken.interface.parseLog(log);
+      if (
+        parsed &&
+        parsed.name === 'Transfer' &&
+        parsed.args.from.toLowerCase() === coreAddress
+      ) {
+        refunds.push({
+          player: parsed.args.to.toLowerCase(),
+          amount: parsed.args.value.toString(),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        });
+      }
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Get the latest Abstract block number
+   * @returns {Promise<number>}
+   */
+  async getLatestBlockNumber() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    return this.walletService.getProvider().getBlockNumber();
+  }
+
+  /**
+   * Get the timestamp of an Abstract block
+   * @param {number} blockNumber
+   * @returns {Promise<number>} Unix seconds
+   */
+  async getBlockTimestamp(blockNumber) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    const block = await this.walletService.getProvider().getBlock(blockNumber);
+    return block.timestamp;
+  }
+
+  /**
+   * Get the pot id that was current at a given block
+   * @param {number} blockNumber
+   * @returns {Promise<string>}
+   */
+  async getPotIdAt(blockNumber) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    const potId = await this.smolPotCore.currentPotId({ blockTag: blockNumber });
+    return potId.toString();
+  }
+
+  /**
+   * Decode a finishGame transaction and its GameFinished event
+   * Used to cross-check stored randomness proofs against the chain.
+   *
+   * @param {string} txHash
+   * @returns {Promise<object|null>} { to, method, seed, status, blockNumber, event }, null if not found
+   */
+  async getFinishGameInput(txHash) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    const provider = this.walletService.getProvider();
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(txHash),
+      provider.getTransactionReceipt(txHash)
+    ]);
+
+    if (!tx) {
+      return null;
+    }
+
+    const coreAddress = this.smolPotCore.target.toLowerCase();
+    const parsed = tx.to && tx.to.toLowerCase() === coreAddress
+      ? this.smolPotCore.interface.parseTransaction({ data: tx.data, value: tx.value })
+      : null;
+
+    const event = receipt
+      ? receipt.logs
+        .filter(log => log.address.toLowerCase() === coreAddress)
+        .map(log => this.smolPotCore.interface.parseLog(log))
+        .find(log => log && log.name === 'GameFinished')
+      : null;
+
+    return {
+      to: tx.to ? tx.to.toLowerCase() : null,
+      method: parsed ? parsed.name : null,
+      seed: parsed && parsed.name === 'finishGame' ? parsed.args[0].toLowerCase() : null,
+      status: receipt ? receipt.status : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      event: event
+        ? {
+          potId: event.args.potId.toString(),
+          winner: event.args.winner.toLowerCase(),
+          eosBlockHash: event.args.eosBlockHash.toLowerCase()
+        }
+        : null
+    };
+  }
+
+  /**
+   * Get SmolPotCore lifecycle events in a block range, in chain order
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<array>} [{ name, args, blockNumber, transactionHash, logIndex }]
+   */
+  async getCoreEvents(fromBlock, toBlock) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const eventNames = ['GameStarted', 'PlayerEntered', 'GameLocked', 'GameFinished'];
+      const logs = await this.smolPotCore.queryFilter('*', fromBlock, toBlock);
+
+      return logs
+        .filter(log => log.fragment && eventNames.includes(log.fragment.name))
+        .map(log => ({
+          name: log.fragment.name,
+          args: log.args,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        }))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    } catch (error) {
+      logger.error('Failed to get SmolPotCore events', {
+        error: error.message,
+        fromBlock,
+        toBlock
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get SMOL transfers out of SmolPotCore in a block range
+   * (prize payouts, fees and cancellation refunds)
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<array>} [{ player, amount, blockNumber, transactionHash }]
+   */
+  async getCoreTransfers(fromBlock, toBlock) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const filter = this.smolToken.filters.Transfer(this.smolPotCore.target);
+      const logs = await this.smolToken.queryFilter(filter, fromBlock, toBlock);
+      return this.parseRefundTransfers(logs);
+    } catch (error) {
+      logger.error('Failed to get SmolPotCore transfers', {
+        error: error.message,
+        fromBlock,
+        toBlock
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update the game configuration on the contract
+   * Emits ConfigUpdated, which the game manager listens to
+   *
+   * @param {object} config - { timerDuration, minParticipants, idleTimeout, feePercentage, minEntryAmount }
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async updateConfig(config) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    try {
+      logger.info('Updating game config', config);
+
+      const sent = await this.sendTransaction(this.smolPotCore, 'updateConfig', [
+        BigInt(config.timerDuration),
+        BigInt(config.minParticipants),
+        BigInt(config.idleTimeout),
+        BigInt(config.feePercentage),
+        BigInt(config.minEntryAmount)
+      ], 'lifecycle');
+      const receipt = sent.receipt;
+
+      logger.info('Game config updated successfully', {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        replaced: sent.replaced,
+        originalTxHash: sent.originalTxHash
+      };
+    } catch (error) {
+      logger.error('Failed to update game config', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Check if an address is an approved operator
    * @param {string} operatorAddress
@@ -340,13 +990,99 @@ class ContractService {
 
     try {
       const balance = await this.smolToken.balanceOf(address);
-      return ethers.formatUnits(balance, 18);
+      return formatSmol(balance);
     } catch (error) {
       logger.error('Failed to get SMOL balance', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Subscribe to a SmolPotCore event
+   * The listener receives the decoded event args followed by the event payload
+   *
+   * @param {string} eventName - Event name from the SmolPotCore ABI
+   * @param {Function} listener
+   */
+  async onCoreEvent(eventName, listener) {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    await this.smolPotCore.on(eventName, listener);
+    logger.debug('Subscribed to SmolPotCore event', { event: eventName });
+  }
+
+  /**
+   * Remove all SmolPotCore event listeners
+   */
+  async removeCoreListeners() {
+    if (!this.initialized) {
+      throw new Error('ContractService not initialized. Call initialize() first.');
+    }
+
+    await this.smolPotCore.removeAllListeners();
+  }
+
+  /**
+   * Send a contract call from the treasury and wait until it is mined
+   * Goes through the WalletService nonce manager; the TransactionSender bumps
+   * fees and replaces the transaction if it isn't mined in time, and journals
+   * it under the current pot (startGame's pot is taken from its event).
+   *
+   * @param {ethers.Contract} contract
+   * @param {string} method
+   * @param {array} args
+   * @param {string} priority - 'lifecycle' or 'bet'
+   * @param {object} options - { onSubmitted(txHash) }
+   * @returns {Promise<object>} { receipt, txHash, originalTxHash, replaced, txHashes }
+   */
+  async sendTransaction(contract, method, args, priority, { onSubmitted = null } = {}) {
+    const transaction = await contract[method].populateTransaction(...args);
+    const potId = method === 'startGame' ? null : await this.getJournalPotId();
+
+    return this.transactionSender.send(transaction, {
+      priority,
+      label: method,
+      onSubmitted,
+      journal: {
+        purpose: TX_PURPOSES[method],
+        potId,
+        contractInterface: contract.interface
+      }
+    });
+  }
+
+  /**
+   * Call a view method through RPC quorum (see RpcProviderPool.quorumCall)
+   * @param {ethers.Contract} contract
+   * @param {string} method
+   * @param {array} args
+   * @returns {Promise<any>} Decoded result, as a contract call would return it
+   */
+  async quorumRead(contract, method, args = []) {
+    const { result } = await RpcProviderPool.getInstance().quorumCall({
+      to: contract.target,
+      data: contract.interface.encodeFunctionData(method, args)
+    });
+    const decoded = contract.interface.decodeFunctionResult(method, result);
+
+    return decoded.length === 1 ? decoded[0] : decoded;
+  }
+
+  /**
+   * Current pot id for the transaction journal (null if it can't be read)
+   * @returns {Promise<string|null>}
+   */
+  async getJournalPotId() {
+    try {
+      return (await this.smolPotCore.currentPotId()).toString();
+    } catch (error) {
+      logger.warn('Failed to read pot id for the transaction journal', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get contract instances (for advanced usage)
    */
@@ -5,8 +5,19 @@
  * This service:
  * 1. Fetches the latest irreversible block number from EOS
  * 2. Calculates a future block number (e.g., +5 blocks)
- * 3. Polls until the future block is produced
- * 4. Returns the block hash for use as randomness seed
+ * 3. Polls until the future block is irreversible (so it can't be forked away)
+ * 4. Checks the block id encodes the target number, then returns the block
+ *    hash for use as randomness seed
+ *
+ * The randomness block must be returned identically (id and producer) by
+ * EOS_QUORUM_THRESHOLD of EOS_QUORUM_SIZE endpoints. The service refuses to
+ * start if that threshold is below 2 (one endpoint would choose the block on
+ * its own), unless EOS_QUORUM_ALLOW_SINGLE=true.
+ *
+ * Every request feeds per-endpoint stats (latency percentiles, error rate)
+ * and a circuit breaker; a periodic get_info on all endpoints adds head-block
+ * lag. Calls go to the best-scoring endpoint in rotation and fail over to the
+ * next one.
  *
  * The EOS block hash is impossible to predict before the block is produced,
  * making it a secure source of randomness.
@@ -14,6 +25,7 @@
 
 const axios = require('axios');
 const winston = require('winston');
+const { percentile } = require('../utils/stats');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -29,6 +41,43 @@ const logger = winston.createLogger({
   ]
 });
 
+// Requests remembered per endpoint for latency and error rate
+const STATS_WINDOW = 100;
+
+// Public endpoints used when EOS_RPC_ENDPOINTS is unset (enough for a quorum)
+const DEFAULT_ENDPOINTS = [
+  'https://eos.antelope.tools',
+  'https://rpc.eosys.io',
+  'https://api.eostribe.io',
+  'https://api-mainnet.eosgravity.com'
+].join(',');
+
+/**
+ * Block fields of an endpoint's quorum response (without the endpoint)
+ * @param {object} response
+ * @returns {object} { blockNum, blockId, timestamp, producer }
+ */
+function toBlock({ blockNum, blockId, timestamp, producer }) {
+  return { blockNum, blockId, timestamp, producer };
+}
+
+/**
+ * Block number embedded in an EOS block id
+ * The first 4 bytes of the id are the block number, big-endian.
+ *
+ * @param {string} blockId - 64 hex chars, with or without 0x
+ * @returns {number}
+ */
+function getBlockNumFromId(blockId) {
+  const hex = blockId.startsWith('0x') ? blockId.slice(2) : blockId;
+
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error(`Malformed EOS block id: ${blockId}`);
+  }
+
+  return parseInt(hex.slice(0, 8), 16);
+}
+
 class EosService {
   constructor() {
     if (EosService.instance) {
@@ -36,15 +85,47 @@ class EosService {
     }
 
     // Parse EOS RPC endpoints from environment variable
-    const endpoints = (process.env.EOS_RPC_ENDPOINTS || 'https://eos.antelope.tools').split(',');
-    this.rpcEndpoints = endpoints.map(url => url.trim());
-    this.currentEndpointIndex = 0;
+    const endpoints = (process.env.EOS_RPC_ENDPOINTS || DEFAULT_ENDPOINTS).split(',');
+    this.rpcEndpoints = [...new Set(endpoints.map(url => url.trim()).filter(Boolean))];
     this.futureBlockOffset = parseInt(process.env.EOS_FUTURE_BLOCKS || '5');
+    this.pollIntervalMs = parseInt(process.env.EOS_POLL_INTERVAL_MS || '1000');
+    this.irreversibleTimeoutMs = parseInt(process.env.EOS_IRREVERSIBLE_TIMEOUT_MS || '600000');
+    this.quorumSize = parseInt(process.env.EOS_QUORUM_SIZE || '3');
+    this.quorumThreshold = process.env.EOS_QUORUM_THRESHOLD
+      ? parseInt(process.env.EOS_QUORUM_THRESHOLD)
+      : null;
+    this.quorumTimeoutMs = parseInt(process.env.EOS_QUORUM_TIMEOUT_MS || '30000');
+    this.allowSingleEndpoint = process.env.EOS_QUORUM_ALLOW_SINGLE === 'true';
+    this.timeoutMs = parseInt(process.env.EOS_RPC_TIMEOUT_MS || '10000');
+    this.healthCheckIntervalMs = parseInt(process.env.EOS_HEALTH_CHECK_INTERVAL_MS || '30000');
+    this.maxHeadLag = parseInt(process.env.EOS_MAX_HEAD_LAG || '20');
+    this.circuitFailureThreshold = parseInt(process.env.EOS_CIRCUIT_FAILURE_THRESHOLD || '3');
+    this.circuitOpenMs = parseInt(process.env.EOS_CIRCUIT_OPEN_MS || '60000');
+    this.healthTimer = null;
+
+    // url -> rolling stats and circuit breaker state
+    this.endpointStats = new Map(this.rpcEndpoints.map(url => [url, {
+      circuit: 'closed', // closed | open | half-open
+      openUntil: null,
+      probing: false,
+      consecutiveFailures: 0,
+      outcomes: [],
+      latencies: [],
+      headBlockNum: null,
+      lastIrreversibleBlockNum: null,
+      lag: null,
+      lastError: null,
+      lastCheckedAt: null
+    }]));
+
+    this.checkQuorumSettings();
+
     this.initialized = true;
 
     logger.info('EOS Service initialized', {
       endpoints: this.rpcEndpoints.length,
-      futureBlockOffset: this.futureBlockOffset
+      futureBlockOffset: this.futureBlockOffset,
+      quorum: this.getQuorumSettings()
     });
 
     EosService.instance = this;
@@ -61,69 +142,306 @@ class EosService {
   }
 
   /**
-   * Get the current RPC endpoint
+   * Start the periodic endpoint health checks
+   * They refresh head lag and probe open circuits back into rotation.
+   */
+  start() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.checkHealth().catch(error => {
+      logger.error('EOS health check failed', { error: error.message });
+    });
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => {
+        logger.error('EOS health check failed', { error: error.message });
+      });
+    }, this.healthCheckIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Stop the health checks
+   */
+  stop() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Get the best available RPC endpoint
    */
   getCurrentEndpoint() {
-    return this.rpcEndpoints[this.currentEndpointIndex];
+    return this.rank()[0] || this.rpcEndpoints[0];
   }
 
   /**
-   * Switch to the next RPC endpoint (failover)
+   * Lower is better: median latency, inflated by the error rate and head lag
    */
-  switchToNextEndpoint() {
-    this.currentEndpointIndex = (this.currentEndpointIndex + 1) % this.rpcEndpoints.length;
-    logger.warn('Switching to next EOS RPC endpoint', {
-      endpoint: this.getCurrentEndpoint()
-    });
+  score(url) {
+    const stats = this.endpointStats.get(url);
+    const latency = percentile(stats.latencies, 50) ?? this.timeoutMs;
+    const errorRate = stats.outcomes.length > 0
+      ? stats.outcomes.filter(ok => !ok).length / stats.outcomes.length
+      : 0;
+
+    return latency * (1 + 4 * errorRate) + (stats.lag || 0) * 100;
+  }
+
+  /**
+   * Endpoints in rotation, best first
+   * Excludes open circuits (until their open period is over and one probe
+   * may go through) and endpoints lagging more than EOS_MAX_HEAD_LAG blocks.
+   * @returns {string[]}
+   */
+  rank() {
+    const now = Date.now();
+
+    return this.rpcEndpoints
+      .filter(url => {
+        const stats = this.endpointStats.get(url);
+        if (stats.lag !== null && stats.lag > this.maxHeadLag) {
+          return false;
+        }
+        if (stats.circuit === 'closed') {
+          return true;
+        }
+        return !stats.probing && (stats.circuit === 'half-open' || now >= stats.openUntil);
+      })
+      .sort((a, b) => this.score(a) - this.score(b));
   }
 
   /**
-   * Make an RPC call to EOS with automatic failover
+   * Make an RPC call to EOS, trying endpoints from best to worst
    * @param {string} path - API path (e.g., '/v1/chain/get_info')
    * @param {object} data - Request body
    * @returns {Promise<object>} Response data
    */
   async makeRpcCall(path, data = {}) {
-    let lastError;
-    const maxRetries = this.rpcEndpoints.length;
+    let candidates = this.rank();
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const endpoint = this.getCurrentEndpoint();
-        const url = `${endpoint}${path}`;
-
-        logger.debug('Making EOS RPC call', { url, attempt: attempt + 1 });
+    if (candidates.length === 0) {
+      // Every circuit is open: try them all rather than stall the round
+      logger.warn('No EOS RPC endpoint in rotation - trying all endpoints');
+      candidates = this.rpcEndpoints;
+    }
 
-        const response = await axios.post(url, data, {
-          timeout: 10000,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
+    let lastError;
 
-        return response.data;
+    for (let attempt = 0; attempt < candidates.length; attempt++) {
+      try {
+        return await this.callEndpoint(candidates[attempt], path, data, attempt + 1);
       } catch (error) {
+        // A 400 is an answer (e.g. block not produced yet), not an endpoint failure
+        if (error.response && error.response.status === 400) {
+          throw error;
+        }
+
         lastError = error;
         logger.error('EOS RPC call failed', {
-          endpoint: this.getCurrentEndpoint(),
+          endpoint: candidates[attempt],
           path,
           error: error.message,
           attempt: attempt + 1
         });
-
-        // Try next endpoint if available
-        if (attempt < maxRetries - 1) {
-          this.switchToNextEndpoint();
-        }
       }
     }
 
     throw new Error(
-      `Failed to connect to any EOS RPC endpoint after ${maxRetries} attempts. ` +
+      `Failed to connect to any EOS RPC endpoint after ${candidates.length} attempts. ` +
       `Last error: ${lastError.message}`
     );
   }
 
+  /**
+   * Make an RPC call to one specific EOS endpoint (no failover)
+   * Records latency and outcome for the endpoint's stats and circuit breaker.
+   *
+   * @param {string} endpoint - Base URL
+   * @param {string} path - API path
+   * @param {object} data - Request body
+   * @param {number} attempt - For logging
+   * @returns {Promise<object>} Response data
+   */
+  async callEndpoint(endpoint, path, data = {}, attempt = 1) {
+    const url = `${endpoint}${path}`;
+    const stats = this.endpointStats.get(endpoint);
+    const started = Date.now();
+
+    if (stats.circuit === 'open' && started >= stats.openUntil) {
+      stats.circuit = 'half-open';
+    }
+    const probe = stats.circuit === 'half-open';
+    if (probe) {
+      stats.probing = true;
+    }
+
+    logger.debug('Making EOS RPC call', { url, attempt, probe });
+
+    try {
+      const response = await axios.post(url, data, {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      this.record(endpoint, true, Date.now() - started);
+
+      if (path === '/v1/chain/get_info') {
+        stats.headBlockNum = response.data.head_block_num;
+        stats.lastIrreversibleBlockNum = response.data.last_irreversible_block_num;
+      }
+
+      return response.data;
+    } catch (error) {
+      // 4xx (other than rate limiting) means the endpoint answered
+      const status = error.response && error.response.status;
+      const answered = status >= 400 && status < 500 && status !== 429;
+
+      this.record(endpoint, answered, Date.now() - started, answered ? null : error);
+      throw error;
+    } finally {
+      if (probe) {
+        stats.probing = false;
+      }
+    }
+  }
+
+  /**
+   * Record a request outcome and move the endpoint's circuit breaker
+   * EOS_CIRCUIT_FAILURE_THRESHOLD consecutive failures open the circuit for
+   * EOS_CIRCUIT_OPEN_MS; after that one probe request decides whether it
+   * closes again or stays open for another period.
+   */
+  record(endpoint, ok, latencyMs, error = null) {
+    const stats = this.endpointStats.get(endpoint);
+
+    stats.outcomes.push(ok);
+    stats.latencies.push(latencyMs);
+    if (stats.outcomes.length > STATS_WINDOW) {
+      stats.outcomes.shift();
+      stats.latencies.shift();
+    }
+
+    if (ok) {
+      stats.consecutiveFailures = 0;
+      if (stats.circuit !== 'closed') {
+        stats.circuit = 'closed';
+        stats.openUntil = null;
+        logger.info('EOS RPC endpoint back in rotation', { endpoint });
+      }
+      return;
+    }
+
+    stats.consecutiveFailures++;
+    stats.lastError = error.message;
+
+    if (stats.circuit === 'half-open' ||
+        (stats.circuit === 'closed' && stats.consecutiveFailures >= this.circuitFailureThreshold)) {
+      stats.circuit = 'open';
+      stats.openUntil = Date.now() + this.circuitOpenMs;
+      logger.warn('EOS RPC endpoint taken out of rotation', {
+        endpoint,
+        consecutiveFailures: stats.consecutiveFailures,
+        retryAt: new Date(stats.openUntil).toISOString(),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fetch chain info from every endpoint that may be called, then update
+   * head lag against the best head. Open circuits whose period is over get
+   * their probe here.
+   */
+  async checkHealth() {
+    const now = Date.now();
+
+    await Promise.all(this.rpcEndpoints.map(async url => {
+      const stats = this.endpointStats.get(url);
+
+      if ((stats.circuit === 'open' && now < stats.openUntil) || stats.probing) {
+        return;
+      }
+
+      try {
+        await this.callEndpoint(url, '/v1/chain/get_info');
+      } catch (error) {
+        stats.headBlockNum = null;
+      } finally {
+        stats.lastCheckedAt = new Date().toISOString();
+      }
+    }));
+
+    const heads = this.rpcEndpoints
+      .map(url => this.endpointStats.get(url).headBlockNum)
+      .filter(head => head !== null);
+    const best = heads.length > 0 ? Math.max(...heads) : null;
+
+    for (const url of this.rpcEndpoints) {
+      const stats = this.endpointStats.get(url);
+      const wasLagging = stats.lag !== null && stats.lag > this.maxHeadLag;
+
+      stats.lag = stats.headBlockNum !== null && best !== null
+        ? best - stats.headBlockNum
+        : null;
+
+      const lagging = stats.lag !== null && stats.lag > this.maxHeadLag;
+      if (lagging !== wasLagging) {
+        logger[lagging ? 'warn' : 'info'](
+          lagging ? 'EOS RPC endpoint lagging' : 'EOS RPC endpoint caught up',
+          { endpoint: url, lag: stats.lag, maxHeadLag: this.maxHeadLag }
+        );
+      }
+    }
+  }
+
+  /**
+   * Per-endpoint health stats (for the admin API)
+   * @returns {object}
+   */
+  getStatus() {
+    const ranked = this.rank();
+
+    return {
+      quorum: {
+        ...this.getQuorumSettings(),
+        singleEndpoint: this.getQuorumSettings().threshold < 2
+      },
+      maxHeadLag: this.maxHeadLag,
+      endpoints: this.rpcEndpoints.map(url => {
+        const stats = this.endpointStats.get(url);
+
+        return {
+          endpoint: url,
+          inRotation: ranked.includes(url),
+          rank: ranked.includes(url) ? ranked.indexOf(url) + 1 : null,
+          circuit: stats.circuit,
+          openUntil: stats.openUntil ? new Date(stats.openUntil).toISOString() : null,
+          requests: stats.outcomes.length,
+          errorRate: stats.outcomes.length > 0
+            ? stats.outcomes.filter(ok => !ok).length / stats.outcomes.length
+            : null,
+          consecutiveFailures: stats.consecutiveFailures,
+          latencyP50Ms: percentile(stats.latencies, 50),
+          latencyP95Ms: percentile(stats.latencies, 95),
+          latencyP99Ms: percentile(stats.latencies, 99),
+          headBlockNum: stats.headBlockNum,
+          lastIrreversibleBlockNum: stats.lastIrreversibleBlockNum,
+          lag: stats.lag,
+          score: Math.round(this.score(url)),
+          lastError: stats.lastError,
+          lastCheckedAt: stats.lastCheckedAt
+        };
+      })
+    };
+  }
+
   /**
    * Get the latest chain info from EOS
    * @returns {Promise<object>} Chain info with last_irreversible_block_num
@@ -186,65 +504,80 @@ class EosService {
   }
 
   /**
-   * Wait for a specific block to be produced
+   * Wait for a specific block to become irreversible
+   * A block returned by get_block may still be a head block that gets forked
+   * away, so the target is only fetched once last_irreversible_block_num has
+   * reached it.
+   *
    * @param {number} targetBlockNum - Target block number
-   * @param {number} maxWaitMs - Maximum wait time in milliseconds (default: 5 minutes)
-   * @returns {Promise<object>} Block data
+   * @param {number} maxWaitMs - Maximum wait time in milliseconds (default: EOS_IRREVERSIBLE_TIMEOUT_MS)
+   * @returns {Promise<object>} Block data plus lastIrreversibleBlockNum and waitMs
    */
-  async waitForBlock(targetBlockNum, maxWaitMs = 300000) {
+  async waitForBlock(targetBlockNum, maxWaitMs = this.irreversibleTimeoutMs) {
     const startTime = Date.now();
-    const pollIntervalMs = 500; // Poll every 500ms
 
-    logger.info('Waiting for EOS block', {
+    logger.info('Waiting for EOS block to become irreversible', {
       target_block: targetBlockNum,
       max_wait_seconds: maxWaitMs / 1000
     });
 
     while (Date.now() - startTime < maxWaitMs) {
-      try {
+      const chainInfo = await this.getChainInfo();
+
+      if (chainInfo.lastIrreversibleBlockNum >= targetBlockNum) {
         const block = await this.getBlock(targetBlockNum);
 
-        if (block) {
-          logger.info('EOS block produced', {
-            block_num: block.blockNum,
-            block_id: block.blockId,
-            wait_time_seconds: (Date.now() - startTime) / 1000
-          });
-          return block;
+        if (!block) {
+          throw new Error(
+            `EOS block ${targetBlockNum} is irreversible (LIB ${chainInfo.lastIrreversibleBlockNum}) ` +
+            'but the RPC node did not return it'
+          );
         }
 
-        // Block not yet produced, wait and try again
-        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
-      } catch (error) {
-        logger.error('Error while waiting for block', {
-          error: error.message,
-          target_block: targetBlockNum
+        const waitMs = Date.now() - startTime;
+
+        logger.info('EOS block irreversible', {
+          block_num: block.blockNum,
+          block_id: block.blockId,
+          last_irreversible: chainInfo.lastIrreversibleBlockNum,
+          wait_time_seconds: waitMs / 1000
         });
-        throw error;
+
+        return {
+          ...block,
+          lastIrreversibleBlockNum: chainInfo.lastIrreversibleBlockNum,
+          waitMs
+        };
       }
+
+      logger.debug('EOS target block not yet irreversible', {
+        target_block: targetBlockNum,
+        last_irreversible: chainInfo.lastIrreversibleBlockNum,
+        head_block: chainInfo.headBlockNum
+      });
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
     }
 
     throw new Error(
-      `Timeout waiting for EOS block ${targetBlockNum} after ${maxWaitMs / 1000} seconds`
+      `Timeout waiting for EOS block ${targetBlockNum} to become irreversible ` +
+      `after ${maxWaitMs / 1000} seconds`
     );
   }
 
   /**
-   * Get a future block hash for randomness
-   * This is the main method used by the game manager
+   * Pick the future EOS block to use for randomness
+   * The caller must persist this block number before fetching its hash, so a
+   * retry or restart reuses the same block instead of picking a new one.
    *
    * @param {number} blocksInFuture - Number of blocks in the future (default: from env)
-   * @returns {Promise<object>} { blockNum, blockHash, timestamp }
+   * @returns {Promise<object>} { targetBlockNum, lastIrreversibleBlockNum }
    */
-  async getFutureBlockHash(blocksInFuture = null) {
+  async getTargetBlockNumber(blocksInFuture = null) {
     try {
       const offset = blocksInFuture || this.futureBlockOffset;
 
-      logger.info('Fetching future EOS block hash', {
-        blocks_in_future: offset
-      });
-
-      // Step 1: Get the latest irreversible block number
+      // Get the latest irreversible block number
       const chainInfo = await this.getChainInfo();
       const targetBlockNum = chainInfo.lastIrreversibleBlockNum + offset;
 
@@ -254,64 +587,304 @@ class EosService {
         blocks_to_wait: offset
       });
 
-      // Step 2: Wait for the target block to be produced
-      const block = await this.waitForBlock(targetBlockNum);
+      return {
+        targetBlockNum,
+        lastIrreversibleBlockNum: chainInfo.lastIrreversibleBlockNum
+      };
+    } catch (error) {
+      logger.error('Failed to calculate target block', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Endpoints asked for the randomness block, and how many must agree
+   * (default: a majority)
+   * @returns {object} { size, threshold }
+   */
+  getQuorumSettings() {
+    const size = Math.min(this.quorumSize, this.rpcEndpoints.length);
+    return {
+      size,
+      threshold: Math.min(this.quorumThreshold || Math.floor(size / 2) + 1, size)
+    };
+  }
+
+  /**
+   * Refuse a quorum a single endpoint can satisfy, unless explicitly allowed
+   */
+  checkQuorumSettings() {
+    const { size, threshold } = this.getQuorumSettings();
+
+    if (threshold >= 2) {
+      return;
+    }
 
-      // Step 3: Convert block ID to 0x-prefixed hex string (for Solidity bytes32)
+    if (!this.allowSingleEndpoint) {
+      throw new Error(
+        `EOS quorum threshold is ${threshold} with ${size} endpoint(s), so one endpoint ` +
+        'would choose the randomness block. Configure at least 2 EOS_RPC_ENDPOINTS and ' +
+        'EOS_QUORUM_THRESHOLD >= 2, or set EOS_QUORUM_ALLOW_SINGLE=true'
+      );
+    }
+
+    logger.warn('EOS quorum can be met by a single endpoint (EOS_QUORUM_ALLOW_SINGLE=true)', {
+      size,
+      threshold
+    });
+  }
+
+  /**
+   * Fetch an irreversible block from one endpoint
+   * Throws if that endpoint's own LIB has not reached the block yet.
+   *
+   * @param {string} endpoint
+   * @param {number} blockNum
+   * @returns {Promise<object>} { blockNum, blockId, timestamp, producer }
+   */
+  async getIrreversibleBlockFrom(endpoint, blockNum) {
+    const info = await this.callEndpoint(endpoint, '/v1/chain/get_info');
+
+    if (info.last_irreversible_block_num < blockNum) {
+      throw new Error(`block not irreversible yet (LIB ${info.last_irreversible_block_num})`);
+    }
+
+    const block = await this.callEndpoint(endpoint, '/v1/chain/get_block', {
+      block_num_or_id: blockNum
+    });
+
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(block.id || '')) {
+      throw new Error(`malformed block id: ${block.id}`);
+    }
+
+    return {
+      blockNum: block.block_num,
+      blockId: block.id.replace(/^0x/, '').toLowerCase(),
+      timestamp: block.timestamp,
+      producer: block.producer
+    };
+  }
+
+  /**
+   * Fetch a block from several endpoints and require agreement on its id and
+   * producer, so a single compromised or buggy node can't choose the seed.
+   * Endpoints that fail or lag are retried until EOS_QUORUM_TIMEOUT_MS; a
+   * conflicting answer, or fewer healthy endpoints than the threshold, fails
+   * straight away.
+   *
+   * Throws an error with code EOS_QUORUM_FAILED and the per-endpoint
+   * responses in error.details when quorum isn't reached.
+   *
+   * @param {number} blockNum
+   * @returns {Promise<object>} { block, quorum: { size, threshold, agreed, responses } }
+   */
+  async getQuorumBlock(blockNum) {
+    const { size, threshold } = this.getQuorumSettings();
+    const startTime = Date.now();
+
+    for (;;) {
+      const chosen = this.rank().slice(0, size);
+
+      if (chosen.length < threshold) {
+        const error = new Error(
+          `EOS quorum not reached for block ${blockNum}: not enough healthy endpoints ` +
+          `(${chosen.length} healthy, ${threshold} required)`
+        );
+        error.code = 'EOS_QUORUM_FAILED';
+        error.details = { blockNum, size, threshold, agreed: 0, responses: [], leading: null };
+        logger.error('EOS quorum not reached: not enough healthy endpoints', {
+          block_num: blockNum,
+          healthy: chosen.length,
+          threshold
+        });
+        throw error;
+      }
+
+      const results = await Promise.allSettled(
+        chosen.map(endpoint => this.getIrreversibleBlockFrom(endpoint, blockNum))
+      );
+
+      const responses = results.map((result, i) => (
+        result.status === 'fulfilled'
+          ? { endpoint: chosen[i], ...result.value }
+          : { endpoint: chosen[i], error: result.reason.message }
+      ));
+
+      const tally = new Map();
+      responses.filter(response => !response.error).forEach(response => {
+        const key = `${response.blockId}:${response.producer}`;
+        tally.set(key, [...(tally.get(key) || []), response]);
+      });
+
+      const votes = [...tally.values()].sort((a, b) => b.length - a.length)[0] || [];
+      const quorum = { size, threshold, agreed: votes.length, responses };
+
+      if (votes.length >= threshold) {
+        if (votes.length < responses.length) {
+          logger.warn('EOS endpoints disagree on a block', {
+            block_num: blockNum,
+            agreed: votes.map(response => response.endpoint),
+            responses
+          });
+        }
+
+        return { block: toBlock(votes[0]), quorum };
+      }
+
+      if (tally.size > 1 || Date.now() - startTime >= this.quorumTimeoutMs) {
+        const error = new Error(
+          `EOS quorum not reached for block ${blockNum}: ` +
+          `${votes.length} of ${responses.length} endpoints agree, ${threshold} required`
+        );
+        error.code = 'EOS_QUORUM_FAILED';
+        error.details = { blockNum, ...quorum, leading: this.getLeadingAnswer(tally, blockNum) };
+        logger.error('EOS quorum not reached', { block_num: blockNum, threshold, responses });
+        throw error;
+      }
+
+      logger.debug('EOS quorum incomplete, retrying', {
+        block_num: blockNum,
+        agreed: votes.length,
+        threshold
+      });
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Most common answer that at least encodes the requested block, used as the
+   * evidence row when quorum fails
+   * @param {Map} tally - 'id:producer' -> responses
+   * @param {number} blockNum
+   * @returns {object|null} { blockNum, blockId, timestamp, producer }
+   */
+  getLeadingAnswer(tally, blockNum) {
+    const groups = [...tally.values()]
+      .filter(([response]) =>
+        response.blockNum === blockNum && getBlockNumFromId(response.blockId) === blockNum
+      )
+      .sort((a, b) => b.length - a.length);
+
+    if (groups.length === 0) {
+      return null;
+    }
+
+    return toBlock(groups[0][0]);
+  }
+
+  /**
+   * Get the block hash of a specific (committed) block for randomness
+   * Waits for the block to become irreversible, requires quorum agreement on
+   * it, and checks that both the reported block number and the number embedded
+   * in the block id match the target before returning the hash.
+   *
+   * @param {number} targetBlockNum - Committed target block number
+   * @returns {Promise<object>} { blockNum, blockHash, timestamp, producer, lastIrreversibleBlockNum, irreversibleWaitMs, quorum }
+   */
+  async getBlockHashAt(targetBlockNum) {
+    try {
+      // Wait for the target block to become irreversible
+      const irreversible = await this.waitForBlock(targetBlockNum);
+
+      // Take the block the endpoints agree on, not the one the waiting endpoint returned
+      const { block, quorum } = await this.getQuorumBlock(targetBlockNum);
+
+      if (block.blockNum !== targetBlockNum) {
+        throw new Error(
+          `EOS RPC returned block ${block.blockNum} when block ${targetBlockNum} was requested`
+        );
+      }
+
+      const idBlockNum = getBlockNumFromId(block.blockId);
+      if (idBlockNum !== targetBlockNum) {
+        throw new Error(
+          `EOS block id ${block.blockId} encodes block ${idBlockNum}, ` +
+          `not the requested block ${targetBlockNum}`
+        );
+      }
+
+      // Convert block ID to 0x-prefixed hex string (for Solidity bytes32)
       const blockHash = block.blockId.startsWith('0x')
         ? block.blockId
         : '0x' + block.blockId;
 
-      logger.info('Future block hash fetched successfully', {
+      logger.info('Block hash fetched successfully', {
         block_num: block.blockNum,
         block_hash: blockHash,
-        timestamp: block.timestamp
+        timestamp: block.timestamp,
+        irreversible_wait_seconds: irreversible.waitMs / 1000,
+        quorum: `${quorum.agreed}/${quorum.responses.length}`
       });
 
       return {
         blockNum: block.blockNum,
         blockHash: blockHash,
         timestamp: block.timestamp,
-        producer: block.producer
+        producer: block.producer,
+        lastIrreversibleBlockNum: irreversible.lastIrreversibleBlockNum,
+        irreversibleWaitMs: irreversible.waitMs,
+        quorum
       };
     } catch (error) {
-      logger.error('Failed to get future block hash', {
-        error: error.message
+      logger.error('Failed to get block hash', {
+        error: error.message,
+        target_block: targetBlockNum
       });
       throw error;
     }
   }
 
   /**
-   * Verify a block hash by fetching the block again
+   * Get a future block hash for randomness
+   * Picks a target block and fetches it in one go. The game manager commits
+   * to the target first (getTargetBlockNumber + getBlockHashAt) instead.
+   *
+   * @param {number} blocksInFuture - Number of blocks in the future (default: from env)
+   * @returns {Promise<object>} Same shape as getBlockHashAt
+   */
+  async getFutureBlockHash(blocksInFuture = null) {
+    logger.info('Fetching future EOS block hash', {
+      blocks_in_future: blocksInFuture || this.futureBlockOffset
+    });
+
+    const { targetBlockNum } = await this.getTargetBlockNumber(blocksInFuture);
+    return this.getBlockHashAt(targetBlockNum);
+  }
+
+  /**
+   * Verify a block hash by fetching the block again from a quorum of endpoints
    * Used for auditing purposes
    *
    * @param {number} blockNum
    * @param {string} expectedHash
-   * @returns {Promise<boolean>} True if hash matches
+   * @returns {Promise<object>} { matches, blockHash, producer, quorum }
    */
   async verifyBlockHash(blockNum, expectedHash) {
     try {
-      const block = await this.getBlock(blockNum);
-
-      if (!block) {
-        throw new Error(`Block ${blockNum} not found`);
-      }
+      const { block, quorum } = await this.getQuorumBlock(blockNum);
 
-      const blockHash = block.blockId.startsWith('0x')
-        ? block.blockId
-        : '0x' + block.blockId;
-
-      const matches = blockHash.toLowerCase() === expectedHash.toLowerCase();
+      const blockHash = '0x' + block.blockId;
+      const matches = blockHash === expectedHash.toLowerCase() &&
+        block.blockNum === blockNum &&
+        getBlockNumFromId(block.blockId) === blockNum;
 
       logger.info('Block hash verification', {
         block_num: blockNum,
         expected: expectedHash,
         actual: blockHash,
-        matches
+        matches,
+        quorum: `${quorum.agreed}/${quorum.responses.length}`
       });
 
-      return matches;
+      return {
+        matches,
+        blockHash,
+        producer: block.producer,
+        quorum
+      };
     } catch (error) {
       logger.error('Failed to verify block hash', {
         error: error.message,
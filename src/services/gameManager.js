@@ -3,19 +3,41 @@
  * Orchestrates the entire SmolPot game lifecycle with automated state transitions
  *
  * Lifecycle:
- * 1. IDLE → Start new game (set to BETTING phase)
+ * 1. IDLE → Start new game (set to BETTING phase), depending on the round start mode
  * 2. BETTING → Monitor timer, lock when expired
- * 3. LOCKED → Fetch EOS randomness, finish game
+ * 3. LOCKED → Commit to a future randomness target (EOS block by default),
+ *    fetch its seed, finish game
  * 4. COMPLETE → Record results, return to IDLE
  *
- * This service runs continuously with a cron job checking game state every second.
+ * Rounds can also be cancelled (empty, underfilled or by an operator). The
+ * contract refunds every entry; the round is marked CANCELLED and each bet's
+ * refund is matched against the refund transfers in the cancel transaction.
+ *
+ * This service is event driven: it subscribes to SmolPotCore events (GameStarted,
+ * PlayerEntered, GameLocked, GameFinished) and reacts to them. A single local timer
+ * fires at the betting deadline, and a slow reconciliation poll re-reads the pot
+ * state as a safety net in case an event is missed.
+ *
+ * Round start modes (GAME_ROUND_START_MODE):
+ * - eager:     start a round as soon as the pot is IDLE
+ * - on-bet:    start a round only when the first bet arrives
+ * - scheduled: start a round on the GAME_ROUND_START_CRON schedule
+ *
+ * Rounds that stay below the contract's minParticipants past its idleTimeout
+ * are extended or cancelled according to GAME_UNDERFILLED_POLICY.
+ *
+ * When several replicas run, only the one holding the leader lease
+ * (LeaderElectionService) drives the lifecycle; the others stay passive.
  */
 
 const cron = require('node-cron');
 const winston = require('winston');
 const ContractService = require('./contractService');
-const EosService = require('./eosService');
 const SupabaseService = require('./supabaseService');
+const LeaderElectionService = require('./leaderElectionService');
+const AlertService = require('./alertService');
+const { createRandomnessProvider, getRandomnessProviderOrder } = require('./randomness');
+const { formatSmol } = require('../utils/amounts');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -38,11 +60,28 @@ class GameManager {
     }
 
     this.contractService = ContractService.getInstance();
-    this.eosService = EosService.getInstance();
     this.supabaseService = SupabaseService.getInstance();
-
-    this.cronJob = null;
+    this.leaderElection = LeaderElectionService.getInstance();
+    this.alertService = AlertService.getInstance();
+    this.randomnessProviders = new Map(); // name -> provider, created on first use
+
+    this.reconcileJob = null;
+    this.bettingDeadlineTimer = null;
+    this.bettingDeadlinePotId = null;
+    this.gameConfig = null; // Cached contract config, refreshed on ConfigUpdated
+    this.extensionCounts = { potId: null, count: 0 }; // Underfilled extensions of the current pot
+    this.startJob = null;
+    this.startingRound = null; // In-flight startGame promise, shared by callers
+    this.scheduledStartDue = false;
+    this.paused = false; // Automation pause flag, shared across replicas via Supabase
+    this.lastTick = null;
+    this.lastError = null;
+
+    this.roundStartMode = process.env.GAME_ROUND_START_MODE || 'eager';
+    this.underfilledPolicy = process.env.GAME_UNDERFILLED_POLICY || 'extend';
+    this.maxExtensions = parseInt(process.env.GAME_MAX_EXTENSIONS || '3');
     this.isProcessing = false; // Prevent concurrent executions
+    this.pendingCheck = false; // Re-run once the current check finishes
     this.isRunning = false;
     this.initialized = false;
 
@@ -86,7 +125,10 @@ class GameManager {
         await this.supabaseService.initialize();
       }
 
-      // EosService initializes in constructor
+      // Fail fast on an unknown or disallowed randomness provider
+      getRandomnessProviderOrder().forEach(name => this.getRandomnessProvider(name));
+
+      await this.loadGameConfig();
 
       logger.info('Game Manager initialized successfully');
       this.initialized = true;
@@ -99,10 +141,10 @@ class GameManager {
   }
 
   /**
-   * Start the game manager cron job
-   * Runs every second to monitor game state
+   * Start the game manager
+   * Subscribes to contract events and schedules the reconciliation poll
    */
-  start() {
+  async start() {
     if (this.isRunning) {
       logger.warn('Game Manager already running');
       return;
@@ -112,23 +154,57 @@ class GameManager {
       throw new Error('Game Manager not initialized. Call initialize() first.');
     }
 
+    const reconcileSchedule = process.env.GAME_RECONCILE_CRON || '*/30 * * * * *';
+
+    if (!['eager', 'on-bet', 'scheduled'].includes(this.roundStartMode)) {
+      throw new Error(`Invalid GAME_ROUND_START_MODE: ${this.roundStartMode}`);
+    }
+    if (!['extend', 'cancel'].includes(this.underfilledPolicy)) {
+      throw new Error(`Invalid GAME_UNDERFILLED_POLICY: ${this.underfilledPolicy}`);
+    }
+
     logger.info('Starting Game Manager', {
-      check_interval: process.env.GAME_CHECK_INTERVAL || '1 second'
+      reconcile_schedule: reconcileSchedule,
+      round_start_mode: this.roundStartMode,
+      underfilled_policy: this.underfilledPolicy
+    });
+
+    this.leaderElection.onLeadershipChange((isLeader) => {
+      if (isLeader) {
+        this.requestCheck('elected');
+      } else {
+        this.clearBettingDeadline();
+      }
     });
 
-    // Run every second
-    this.cronJob = cron.schedule('* * * * * *', async () => {
-      await this.checkAndProcessGameState();
+    await this.leaderElection.start();
+    await this.subscribeToEvents();
+
+    // Safety net for missed events and dropped RPC subscriptions
+    this.reconcileJob = cron.schedule(reconcileSchedule, () => {
+      this.requestCheck('reconcile');
     });
 
+    if (this.roundStartMode === 'scheduled') {
+      const startSchedule = process.env.GAME_ROUND_START_CRON || '0 */5 * * * *';
+      this.startJob = cron.schedule(startSchedule, () => {
+        this.scheduledStartDue = true;
+        this.requestCheck('scheduled-start');
+      });
+    }
+
     this.isRunning = true;
+
+    // Pick up whatever phase the pot is currently in
+    this.requestCheck('startup');
+
     logger.info('Game Manager started successfully');
   }
 
   /**
    * Stop the game manager
    */
-  stop() {
+  async stop() {
     if (!this.isRunning) {
       logger.warn('Game Manager not running');
       return;
@@ -136,34 +212,290 @@ class GameManager {
 
     logger.info('Stopping Game Manager');
 
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
+    if (this.reconcileJob) {
+      this.reconcileJob.stop();
+      this.reconcileJob = null;
+    }
+
+    if (this.startJob) {
+      this.startJob.stop();
+      this.startJob = null;
+    }
+
+    this.clearBettingDeadline();
+
+    try {
+      await this.contractService.removeCoreListeners();
+    } catch (error) {
+      logger.error('Failed to remove contract event listeners', {
+        error: error.message
+      });
     }
 
+    await this.leaderElection.stop();
+
     this.isRunning = false;
     logger.info('Game Manager stopped successfully');
   }
 
   /**
-   * Main game state checker - called every second by cron
+   * Subscribe to SmolPotCore lifecycle events
+   */
+  async subscribeToEvents() {
+    await this.contractService.onCoreEvent('GameStarted', (potId, startTime, event) =>
+      this.onGameStarted(potId.toString(), startTime.toString(), event.log)
+    );
+
+    await this.contractService.onCoreEvent(
+      'PlayerEntered',
+      (potId, player, amount, ticketStart, ticketEnd, event) =>
+        this.onPlayerEntered(
+          {
+            potId: potId.toString(),
+            player,
+            amount: amount.toString(),
+            ticketStart: ticketStart.toString(),
+            ticketEnd: ticketEnd.toString()
+          },
+          event.log
+        )
+    );
+
+    await this.contractService.onCoreEvent('GameLocked', (potId, totalAmount, totalTickets) =>
+      this.onGameLocked(potId.toString(), totalAmount.toString(), totalTickets.toString())
+    );
+
+    await this.contractService.onCoreEvent('ConfigUpdated', () => this.onConfigUpdated());
+
+    await this.contractService.onCoreEvent('GameFinished', (potId, winner, prizeAmount) =>
+      this.onGameFinished(potId.toString(), winner, prizeAmount.toString())
+    );
+
+    logger.info('Subscribed to SmolPotCore events');
+  }
+
+  /**
+   * GameStarted - record the round and arm the betting deadline
+   */
+  async onGameStarted(potId, startTime, log) {
+    logger.info('GameStarted event received', {
+      potId,
+      startTime,
+      txHash: log.transactionHash
+    });
+
+    if (!this.leaderElection.isLeader()) {
+      return;
+    }
+
+    try {
+      const existingRound = await this.supabaseService.getGameRoundByPotId(potId);
+      if (!existingRound) {
+        await this.createGameRound(potId, log.transactionHash);
+      }
+    } catch (error) {
+      logger.error('Failed to record started game', {
+        error: error.message,
+        potId
+      });
+    }
+
+    // The BETTING phase handler arms the deadline from the contract timer
+    this.requestCheck('GameStarted');
+  }
+
+  /**
+   * PlayerEntered - record the bet as seen on-chain
+   * Bets placed through /api/bets/enter are deduplicated by transaction hash
+   */
+  async onPlayerEntered(entry, log) {
+    logger.info('PlayerEntered event received', {
+      potId: entry.potId,
+      player: entry.player,
+      amount: formatSmol(entry.amount) + ' SMOL',
+      ticketStart: entry.ticketStart,
+      ticketEnd: entry.ticketEnd,
+      txHash: log.transactionHash
+    });
+
+    if (!this.leaderElection.isLeader()) {
+      return;
+    }
+
+    try {
+      let round = await this.supabaseService.getGameRoundByPotId(entry.potId);
+      if (!round) {
+        round = await this.supabaseService.createGameRound({
+          pot_id: entry.potId,
+          phase: 'BETTING',
+          started_at: new Date().toISOString()
+        });
+      }
+
+      const user = await this.supabaseService.getOrCreateUser(entry.player);
+
+      await this.supabaseService.recordBet({
+        roundId: round.id,
+        userId: user.id,
+        walletAddress: entry.player,
+        amount: entry.amount,
+        ticketStart: entry.ticketStart,
+        ticketEnd: entry.ticketEnd,
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber
+      });
+    } catch (error) {
+      logger.error('Failed to record bet from PlayerEntered event', {
+        error: error.message,
+        potId: entry.potId,
+        txHash: log.transactionHash
+      });
+    }
+
+    // A new player may bring the round up to minParticipants
+    this.clearBettingDeadline();
+    this.requestCheck('PlayerEntered');
+  }
+
+  /**
+   * GameLocked - betting is over, move on to randomness
+   */
+  onGameLocked(potId, totalAmount, totalTickets) {
+    logger.info('GameLocked event received', {
+      potId,
+      totalAmount: formatSmol(totalAmount) + ' SMOL',
+      totalTickets
+    });
+
+    this.clearBettingDeadline();
+    this.requestCheck('GameLocked');
+  }
+
+  /**
+   * GameFinished - the round is settled, start the next one
+   */
+  onGameFinished(potId, winner, prizeAmount) {
+    logger.info('GameFinished event received', {
+      potId,
+      winner,
+      prizeAmount: formatSmol(prizeAmount) + ' SMOL'
+    });
+
+    this.requestCheck('GameFinished');
+  }
+
+  /**
+   * ConfigUpdated - reload the contract config and re-arm the deadline
+   */
+  async onConfigUpdated() {
+    logger.info('ConfigUpdated event received - reloading game config');
+
+    try {
+      await this.loadGameConfig();
+    } catch (error) {
+      logger.error('Failed to reload game config', { error: error.message });
+    }
+
+    this.clearBettingDeadline();
+    this.requestCheck('ConfigUpdated');
+  }
+
+  /**
+   * Load the game config from the contract
+   */
+  async loadGameConfig() {
+    this.gameConfig = await this.contractService.getGameConfig();
+    logger.info('Game config loaded from contract', this.gameConfig);
+    return this.gameConfig;
+  }
+
+  /**
+   * Arm the local timer that fires at the betting deadline
+   * @param {string} potId
+   * @param {number} timeRemaining - Seconds left according to the contract
+   */
+  armBettingDeadline(potId, timeRemaining) {
+    this.clearBettingDeadline();
+
+    // Fire slightly after the deadline so the next block is past it
+    const delayMs = (Math.max(0, timeRemaining) + 1) * 1000;
+
+    this.bettingDeadlinePotId = potId;
+    this.bettingDeadlineTimer = setTimeout(() => {
+      this.bettingDeadlineTimer = null;
+      this.bettingDeadlinePotId = null;
+      this.requestCheck('betting-deadline');
+    }, delayMs);
+
+    logger.info('Betting deadline armed', {
+      potId,
+      timeRemaining: Math.round(delayMs / 1000) + 's'
+    });
+  }
+
+  /**
+   * Clear the betting deadline timer
+   */
+  clearBettingDeadline() {
+    if (this.bettingDeadlineTimer) {
+      clearTimeout(this.bettingDeadlineTimer);
+    }
+    this.bettingDeadlineTimer = null;
+    this.bettingDeadlinePotId = null;
+  }
+
+  /**
+   * Request a game state check
+   * If a check is already running, another one is run as soon as it finishes
+   * @param {string} reason - What triggered the check (for logging)
+   */
+  requestCheck(reason) {
+    if (!this.isRunning || !this.leaderElection.isLeader()) {
+      return;
+    }
+
+    logger.debug('Game state check requested', { reason });
+    this.checkAndProcessGameState();
+  }
+
+  /**
+   * Main game state checker - called on contract events, the betting deadline
+   * and the reconciliation poll
    */
   async checkAndProcessGameState() {
     // Prevent concurrent executions
     if (this.isProcessing) {
+      this.pendingCheck = true;
+      return;
+    }
+
+    // Followers never drive the pot
+    if (!this.leaderElection.isLeader()) {
       return;
     }
 
     this.isProcessing = true;
 
     try {
+      this.paused = await this.supabaseService.isAutomationPaused();
+      if (this.paused) {
+        logger.debug('Automation paused - skipping game state check');
+        return;
+      }
+
       const state = await this.contractService.getPotState();
       const currentPhase = parseInt(state.phase);
 
+      this.lastTick = {
+        at: new Date().toISOString(),
+        potId: state.potId,
+        phase: this.getPhaseLabel(currentPhase)
+      };
+
       logger.debug('Game state check', {
         potId: state.potId,
         phase: this.getPhaseLabel(currentPhase),
-        totalAmount: state.totalAmount,
+        totalAmount: formatSmol(state.totalAmount) + ' SMOL',
         tickets: state.tickets
       });
 
@@ -189,6 +521,7 @@ class GameManager {
           logger.error('Unknown game phase', { phase: currentPhase });
       }
     } catch (error) {
+      this.rememberError('check', error);
       logger.error('Error checking game state', {
         error: error.message,
         stack: error.stack
@@ -196,29 +529,49 @@ class GameManager {
     } finally {
       this.isProcessing = false;
     }
+
+    if (this.pendingCheck) {
+      this.pendingCheck = false;
+      setImmediate(() => this.checkAndProcessGameState());
+    }
   }
 
   /**
    * Handle IDLE phase - Start a new game
    */
   async handleIdlePhase(state) {
-    logger.info('Game in IDLE phase - starting new round', {
-      potId: state.potId
-    });
-
-    try {
-      // Call startGame() on the contract
-      const tx = await this.contractService.getContracts().smolPotCore.startGame();
-      await tx.wait();
+    let trigger = null;
+
+    if (this.roundStartMode === 'eager') {
+      trigger = 'eager';
+    } else if (this.roundStartMode === 'scheduled' && this.scheduledStartDue) {
+      trigger = 'schedule';
+    } else if (this.roundStartMode === 'on-bet') {
+      // Bets that hit a follower replica leave a start request for the leader
+      const requests = await this.supabaseService.claimRoundStartRequests();
+      if (requests.length > 0) {
+        trigger = 'bet';
+      }
+    }
 
-      logger.info('New game started successfully', {
+    if (!trigger) {
+      logger.debug('Game in IDLE phase - waiting for round start trigger', {
         potId: state.potId,
-        txHash: tx.hash
+        mode: this.roundStartMode
       });
+      return;
+    }
 
-      // Create game round record in database
-      await this.createGameRound(state.potId);
+    logger.info('Game in IDLE phase - starting new round', {
+      potId: state.potId,
+      trigger
+    });
+
+    try {
+      await this.startRound(trigger);
+      this.scheduledStartDue = false;
     } catch (error) {
+      this.rememberError('start', error, state.potId);
       logger.error('Failed to start new game', {
         error: error.message,
         potId: state.potId
@@ -227,41 +580,112 @@ class GameManager {
   }
 
   /**
-   * Handle BETTING phase - Check if timer expired
+   * Start a new round on the contract
+   * Concurrent callers share the same startGame transaction.
+   *
+   * @param {string} trigger - What started the round (eager, bet, schedule)
+   * @returns {Promise<object>} Transaction result
    */
-  async handleBettingPhase(state) {
-    try {
-      const currentTime = Math.floor(Date.now() / 1000);
-      const startTime = parseInt(state.startTime);
+  async startRound(trigger) {
+    if (!this.startingRound) {
+      this.startingRound = (async () => {
+        try {
+          this.leaderElection.assertLeader();
+
+          // The round record is created by the GameStarted event handler
+          const result = await this.contractService.startGame();
+
+          logger.info('New game started successfully', {
+            txHash: result.txHash,
+            trigger
+          });
+
+          return result;
+        } finally {
+          this.startingRound = null;
+        }
+      })();
+    }
+
+    return this.startingRound;
+  }
 
-      // Get timer duration from contract config (default 60 seconds)
-      const timerDuration = parseInt(process.env.GAME_TIMER_DURATION || '60');
-      const expiryTime = startTime + timerDuration;
+  /**
+   * Make sure a round is open for betting (on-bet start mode)
+   * The leader starts the round directly; a follower records a start request
+   * for the leader to pick up on its next check.
+   *
+   * @returns {Promise<boolean>} True if the pot is accepting bets
+   */
+  async ensureRoundStarted() {
+    const state = await this.contractService.getPotState();
+    const currentPhase = parseInt(state.phase);
 
-      const timeRemaining = expiryTime - currentTime;
+    if (currentPhase === this.GamePhase.BETTING) {
+      return true;
+    }
 
-      // Log at 30s, 10s, 5s, 0s
-      if ([30, 10, 5, 0].includes(timeRemaining)) {
-        logger.info('Game timer update', {
-          potId: state.potId,
-          timeRemaining: timeRemaining + 's',
-          totalAmount: state.totalAmount,
-          tickets: state.tickets
-        });
+    if (currentPhase !== this.GamePhase.IDLE) {
+      return false;
+    }
+
+    if (!this.leaderElection.isLeader()) {
+      await this.supabaseService.requestRoundStart('bet');
+      return false;
+    }
+
+    await this.startRound('bet');
+    return true;
+  }
+
+  /**
+   * Get the configured round start mode
+   * @returns {string} eager, on-bet or scheduled
+   */
+  getRoundStartMode() {
+    return this.roundStartMode;
+  }
+
+  /**
+   * Handle BETTING phase - Check if timer expired
+   */
+  async handleBettingPhase(state) {
+    try {
+      // The contract decides when the timer is up, using block time
+      const timer = await this.contractService.getTimerStatus();
+
+      // Never lock a round below minParticipants; extend or cancel it instead
+      if (parseInt(state.playerCount) < parseInt(this.gameConfig.minParticipants)) {
+        const round = await this.supabaseService.getGameRoundByPotId(state.potId);
+        const extensions = this.getExtensionCount(state.potId, round);
+        const elapsed = parseInt(timer.blockTimestamp) - parseInt(state.startTime);
+        const remaining = this.underfilledDeadline(extensions) - elapsed;
+
+        if (remaining <= 0) {
+          await this.handleUnderfilledRound(state, extensions);
+        } else if (this.bettingDeadlinePotId !== state.potId) {
+          this.armBettingDeadline(state.potId, remaining);
+        }
+        return;
       }
 
       // Lock game when timer expires
-      if (currentTime >= expiryTime) {
+      if (timer.hasExpired) {
         logger.info('Game timer expired - locking game', {
           potId: state.potId,
-          totalAmount: state.totalAmount,
+          totalAmount: formatSmol(state.totalAmount) + ' SMOL',
           tickets: state.tickets,
-          playerCount: state.playerCount
+          playerCount: state.playerCount,
+          blockTimestamp: timer.blockTimestamp
         });
 
         await this.lockGame(state);
+      } else if (this.bettingDeadlinePotId !== state.potId) {
+        // Arm (or re-arm, if the block clock lagged) the deadline timer
+        this.armBettingDeadline(state.potId, parseInt(timer.timeRemaining));
       }
     } catch (error) {
+      this.rememberError('betting', error, state.potId);
       logger.error('Error handling betting phase', {
         error: error.message,
         potId: state.potId
@@ -270,47 +694,143 @@ class GameManager {
   }
 
   /**
-   * Handle LOCKED phase - Fetch EOS randomness and finish game
+   * Chain seconds after round start at which an underfilled round is extended
+   * or cancelled: one idleTimeout window per extension already granted
+   * @param {number} extensions - Extensions granted so far
    */
-  async handleLockedPhase(state) {
-    logger.info('Game in LOCKED phase - fetching randomness', {
+  underfilledDeadline(extensions) {
+    const window = parseInt(this.gameConfig.idleTimeout) || parseInt(this.gameConfig.timerDuration);
+    return window * (extensions + 1);
+  }
+
+  /**
+   * Extensions granted to a pot: the higher of the stored and in-memory count
+   * The in-memory count keeps a missing round row or a lost database write
+   * from resetting it (and extending the round forever).
+   * @param {string} potId
+   * @param {object|null} round - game_rounds row
+   * @returns {number}
+   */
+  getExtensionCount(potId, round) {
+    const stored = round ? parseInt(round.extension_count) || 0 : 0;
+    const granted = this.extensionCounts.potId === potId ? this.extensionCounts.count : 0;
+    return Math.max(stored, granted);
+  }
+
+  /**
+   * Apply the underfilled round policy: extend the round or cancel it
+   * Extensions are capped by GAME_MAX_EXTENSIONS, after which the round is cancelled.
+   */
+  async handleUnderfilledRound(state, extensions) {
+    if (this.underfilledPolicy === 'extend' && extensions < this.maxExtensions) {
+      logger.info('Round below minParticipants - extending', {
+        potId: state.potId,
+        playerCount: state.playerCount,
+        minParticipants: this.gameConfig.minParticipants,
+        extension: extensions + 1
+      });
+
+      this.extensionCounts = { potId: state.potId, count: extensions + 1 };
+
+      await this.updateGameRound(state.potId, {
+        underfilled_policy: this.underfilledPolicy,
+        underfilled_action: 'EXTENDED',
+        underfilled_at: new Date().toISOString(),
+        extension_count: extensions + 1
+      });
+
+      // Wait one more idle window
+      this.armBettingDeadline(state.potId, this.underfilledDeadline(0));
+      return;
+    }
+
+    logger.warn('Round below minParticipants - cancelling', {
       potId: state.potId,
-      totalAmount: state.totalAmount,
-      tickets: state.tickets
+      playerCount: state.playerCount,
+      minParticipants: this.gameConfig.minParticipants,
+      extensions
     });
 
-    try {
-      // Check if we have tickets (at least one bet placed)
-      if (parseInt(state.tickets) === 0) {
-        logger.warn('No tickets sold - cancelling game', {
-          potId: state.potId
-        });
+    await this.cancelGame(state, 'UNDERFILLED');
+
+    await this.updateGameRound(state.potId, {
+      underfilled_policy: this.underfilledPolicy,
+      underfilled_action: 'CANCELLED',
+      underfilled_at: new Date().toISOString()
+    });
+  }
 
-        // Emergency cancel if no bets
-        const tx = await this.contractService.getContracts().smolPotCore.emergencyCancel();
-        await tx.wait();
+  /**
+   * Cancel the current game on-chain (refunds all entries)
+   * Marks the round CANCELLED and records each bet's refund
+   *
+   * @param {object} state - Current pot state
+   * @param {string} reason - NO_PARTICIPANTS, UNDERFILLED or an operator-supplied reason
+   * @returns {Promise<object>} Cancel transaction result
+   */
+  async cancelGame(state, reason) {
+    this.leaderElection.assertLeader();
+    this.clearBettingDeadline();
 
-        logger.info('Game cancelled - no participants', {
-          potId: state.potId,
-          txHash: tx.hash
-        });
+    const result = await this.contractService.emergencyCancel();
 
-        return;
-      }
+    logger.info('Game cancelled', {
+      potId: state.potId,
+      reason,
+      txHash: result.txHash,
+      refunds: result.refunds.length
+    });
 
-      // Fetch EOS block hash for randomness
-      logger.info('Fetching EOS randomness', { potId: state.potId });
-      const eosBlock = await this.eosService.getFutureBlockHash();
+    await this.recordCancellation(state.potId, reason, result);
 
-      logger.info('EOS randomness fetched', {
-        potId: state.potId,
-        blockNum: eosBlock.blockNum,
-        blockHash: eosBlock.blockHash
+    return result;
+  }
+
+  /**
+   * Record a cancelled round and its refunds in the database
+   */
+  async recordCancellation(potId, reason, result) {
+    try {
+      const round = await this.supabaseService.updateGameRoundByPotId(potId, {
+        phase: 'CANCELLED',
+        cancelled_at: new Date().toISOString(),
+        cancel_tx_hash: result.txHash,
+        cancel_reason: reason
+      });
+
+      const refunded = await this.supabaseService.applyRefunds(
+        round.id,
+        result.refunds,
+        result.txHash
+      );
+
+      logger.info('Cancelled round recorded', {
+        potId,
+        refundedBets: refunded.refunded,
+        pendingBets: refunded.pending
+      });
+    } catch (error) {
+      logger.error('Failed to record cancelled round', {
+        error: error.message,
+        potId
       });
+    }
+  }
+
+  /**
+   * Handle LOCKED phase - Fetch randomness and finish game
+   */
+  async handleLockedPhase(state) {
+    logger.info('Game in LOCKED phase - fetching randomness', {
+      potId: state.potId,
+      totalAmount: formatSmol(state.totalAmount) + ' SMOL',
+      tickets: state.tickets
+    });
 
-      // Finish game with EOS block hash
-      await this.finishGame(state, eosBlock);
+    try {
+      await this.settleLockedPot(state);
     } catch (error) {
+      this.rememberError('locked', error, state.potId);
       logger.error('Error handling locked phase', {
         error: error.message,
         potId: state.potId
@@ -318,6 +838,89 @@ class GameManager {
     }
   }
 
+  /**
+   * Settle a locked pot: cancel it if empty, otherwise finish it with the
+   * committed randomness target. Throws on failure.
+   */
+  async settleLockedPot(state) {
+    // Check if we have tickets (at least one bet placed)
+    if (parseInt(state.tickets) === 0) {
+      logger.warn('No tickets sold - cancelling game', {
+        potId: state.potId
+      });
+
+      // Emergency cancel if no bets
+      await this.cancelGame(state, 'NO_PARTICIPANTS');
+
+      return;
+    }
+
+    // Reuse the committed randomness target (or commit one now)
+    const commitment = await this.commitRandomnessTarget(state.potId);
+    const provider = this.getRandomnessProvider(commitment.provider);
+
+    logger.info('Fetching randomness', {
+      potId: state.potId,
+      ...commitment
+    });
+
+    let randomness;
+    try {
+      randomness = await provider.getRandomness(commitment.target, { potId: state.potId });
+    } catch (error) {
+      // No quorum: keep the pot locked and retry on the next check
+      if (error.code === 'EOS_QUORUM_FAILED') {
+        await this.handleEosQuorumFailure(state.potId, error);
+      }
+      throw error;
+    }
+
+    if (randomness.provider === 'eos') {
+      await this.alertService.resolve('eos.quorum', `EOS quorum reached for pot ${state.potId}`);
+    }
+
+    logger.info('Randomness fetched', {
+      potId: state.potId,
+      provider: randomness.provider,
+      target: randomness.target,
+      seed: randomness.seed
+    });
+
+    // Finish game with the seed
+    await this.finishGame(state, randomness, commitment);
+  }
+
+  /**
+   * Record the endpoints' conflicting answers as evidence and alert
+   * The pot stays LOCKED; the caller rethrows so the next check retries.
+   */
+  async handleEosQuorumFailure(potId, error) {
+    const { blockNum, size, threshold, agreed, responses, leading } = error.details;
+
+    await this.alertService.raise('eos.quorum', 'critical',
+      `EOS quorum not reached for pot ${potId}; round stays locked`, {
+        potId,
+        blockNum,
+        agreed,
+        threshold,
+        responses,
+        error: error.message
+      });
+
+    // Evidence row, keyed on the most common well-formed answer (if any)
+    if (!leading) {
+      return;
+    }
+
+    await this.storeEosProof(potId, {
+      blockNum: leading.blockNum,
+      blockHash: '0x' + leading.blockId,
+      timestamp: leading.timestamp,
+      producer: leading.producer,
+      quorum: { size, threshold, agreed, responses }
+    }, false);
+  }
+
   /**
    * Handle COMPLETE phase - Record results and transition to IDLE
    */
@@ -335,7 +938,8 @@ class GameManager {
    */
   async lockGame(state) {
     try {
-      logger.info('Locking game', { potId: state.potId });
+      const fencingToken = this.leaderElection.assertLeader();
+      logger.info('Locking game', { potId: state.potId, fencingToken });
 
       const result = await this.contractService.lockGame();
 
@@ -351,6 +955,17 @@ class GameManager {
         locked_at: new Date().toISOString(),
         lock_tx_hash: result.txHash
       });
+
+      // Commit to the randomness source right away. If this fails, the LOCKED
+      // phase handler commits before it fetches anything.
+      try {
+        await this.commitRandomnessTarget(state.potId);
+      } catch (error) {
+        logger.error('Failed to commit randomness target at lock time', {
+          error: error.message,
+          potId: state.potId
+        });
+      }
     } catch (error) {
       logger.error('Failed to lock game', {
         error: error.message,
@@ -361,17 +976,102 @@ class GameManager {
   }
 
   /**
-   * Finish the game with EOS randomness
+   * Get a randomness provider by name (cached)
+   * @param {string} name
+   * @returns {object} Provider
+   */
+  getRandomnessProvider(name) {
+    if (!this.randomnessProviders.has(name)) {
+      this.randomnessProviders.set(name, createRandomnessProvider(name));
+    }
+    return this.randomnessProviders.get(name);
+  }
+
+  /**
+   * Commit to the randomness provider and target for a locked pot
+   * Returns the already committed target if there is one. A new target is only
+   * picked when none is stored, trying the configured providers in order, and
+   * it is persisted before being returned.
+   *
+   * @param {string} potId
+   * @returns {Promise<object>} { provider, target }
    */
-  async finishGame(state, eosBlock) {
+  async commitRandomnessTarget(potId) {
+    const round = await this.supabaseService.getGameRoundByPotId(potId);
+
+    if (round && round.randomness_target) {
+      return { provider: round.randomness_provider, target: Number(round.randomness_target) };
+    }
+
+    let provider;
+    let target;
+    let lastError;
+
+    for (const name of getRandomnessProviderOrder()) {
+      try {
+        provider = name;
+        target = await this.getRandomnessProvider(name).getTarget();
+        break;
+      } catch (error) {
+        lastError = error;
+        target = undefined;
+        logger.error('Randomness provider could not pick a target', {
+          potId,
+          provider: name,
+          error: error.message
+        });
+      }
+    }
+
+    if (target === undefined) {
+      throw new Error(`No randomness provider could pick a target: ${lastError.message}`);
+    }
+
+    if (!round) {
+      await this.supabaseService.createGameRound({
+        pot_id: potId,
+        phase: 'LOCKED',
+        locked_at: new Date().toISOString(),
+        ...this.supabaseService.getRandomnessCommitmentFields(provider, target)
+      });
+    } else {
+      const committed = await this.supabaseService.commitRandomnessTarget(potId, provider, target);
+
+      if (!committed) {
+        // Another commit won the race; use the stored target
+        const current = await this.supabaseService.getGameRoundByPotId(potId);
+        return { provider: current.randomness_provider, target: Number(current.randomness_target) };
+      }
+    }
+
+    logger.info('Randomness target committed', { potId, provider, target });
+    return { provider, target };
+  }
+
+  /**
+   * Finish the game with the committed randomness
+   * Refuses any provider or target other than the committed one
+   */
+  async finishGame(state, randomness, commitment) {
+    if (randomness.provider !== commitment.provider ||
+        Number(randomness.target) !== Number(commitment.target)) {
+      throw new Error(
+        `Refusing to finish pot ${state.potId} with ${randomness.provider} target ${randomness.target}: ` +
+        `committed to ${commitment.provider} target ${commitment.target}`
+      );
+    }
+
     try {
+      const fencingToken = this.leaderElection.assertLeader();
       logger.info('Finishing game', {
         potId: state.potId,
-        eosBlockNum: eosBlock.blockNum,
-        eosBlockHash: eosBlock.blockHash
+        fencingToken,
+        provider: randomness.provider,
+        target: randomness.target,
+        seed: randomness.seed
       });
 
-      const result = await this.contractService.finishGame(eosBlock.blockHash);
+      const result = await this.contractService.finishGame(randomness.seed);
 
       logger.info('Game finished successfully', {
         potId: state.potId,
@@ -380,19 +1080,26 @@ class GameManager {
         blockNumber: result.blockNumber
       });
 
-      // Update game round with winner and EOS proof
-      await this.updateGameRound(state.potId, {
+      // Update game round with winner and randomness
+      const updates = {
         phase: 'COMPLETE',
         winner_address: result.winner,
         finished_at: new Date().toISOString(),
         finish_tx_hash: result.txHash,
-        eos_block_number: eosBlock.blockNum,
-        eos_block_hash: eosBlock.blockHash,
-        eos_timestamp: eosBlock.timestamp
-      });
+        randomness_seed: randomness.seed
+      };
+      if (randomness.provider === 'eos') {
+        updates.eos_block_number = randomness.proof.blockNum;
+        updates.eos_block_hash = randomness.proof.blockHash;
+        updates.eos_timestamp = randomness.proof.timestamp;
+      }
+      await this.updateGameRound(state.potId, updates);
 
-      // Store EOS proof for verification
-      await this.storeEosProof(state.potId, eosBlock);
+      // Store the proof for verification
+      await this.storeRandomnessProof(state.potId, randomness, result.txHash);
+      if (randomness.provider === 'eos') {
+        await this.storeEosProof(state.potId, randomness.proof);
+      }
     } catch (error) {
       logger.error('Failed to finish game', {
         error: error.message,
@@ -405,12 +1112,13 @@ class GameManager {
   /**
    * Create a new game round record in database
    */
-  async createGameRound(potId) {
+  async createGameRound(potId, startTxHash = null) {
     try {
       const roundData = {
         pot_id: potId,
         phase: 'BETTING',
         started_at: new Date().toISOString(),
+        start_tx_hash: startTxHash,
         total_amount: '0',
         total_tickets: 0,
         player_count: 0
@@ -443,10 +1151,39 @@ class GameManager {
     }
   }
 
+  /**
+   * Store the randomness proof, tagged with its provider
+   */
+  async storeRandomnessProof(potId, randomness, finishTxHash) {
+    try {
+      await this.supabaseService.createRandomnessProof({
+        pot_id: potId,
+        provider: randomness.provider,
+        target: randomness.target,
+        seed: randomness.seed,
+        proof: randomness.proof,
+        finish_tx_hash: finishTxHash
+      });
+
+      logger.info('Randomness proof stored for verification', {
+        potId,
+        provider: randomness.provider,
+        target: randomness.target
+      });
+    } catch (error) {
+      logger.error('Failed to store randomness proof', {
+        error: error.message,
+        potId
+      });
+    }
+  }
+
   /**
    * Store EOS proof for verification
+   * Also stores failed quorum attempts (quorumReached false) as evidence; a
+   * later successful fetch of the same block overwrites the row.
    */
-  async storeEosProof(potId, eosBlock) {
+  async storeEosProof(potId, eosBlock, quorumReached = true) {
     try {
       const proofData = {
         pot_id: potId,
@@ -454,6 +1191,13 @@ class GameManager {
         eos_block_hash: eosBlock.blockHash,
         eos_timestamp: eosBlock.timestamp,
         eos_producer: eosBlock.producer,
+        eos_last_irreversible_block: eosBlock.lastIrreversibleBlockNum,
+        irreversible_wait_ms: eosBlock.irreversibleWaitMs,
+        quorum_reached: quorumReached,
+        quorum_size: eosBlock.quorum ? eosBlock.quorum.size : null,
+        quorum_threshold: eosBlock.quorum ? eosBlock.quorum.threshold : null,
+        quorum_agreed: eosBlock.quorum ? eosBlock.quorum.agreed : null,
+        quorum_responses: eosBlock.quorum ? eosBlock.quorum.responses : null,
         fetched_at: new Date().toISOString()
       };
 
@@ -461,7 +1205,8 @@ class GameManager {
 
       logger.info('EOS proof stored for verification', {
         potId,
-        blockNum: eosBlock.blockNum
+        blockNum: eosBlock.blockNum,
+        quorumReached
       });
     } catch (error) {
       logger.error('Failed to store EOS proof', {
@@ -471,6 +1216,135 @@ class GameManager {
     }
   }
 
+  /**
+   * Record the last error for the admin status endpoint
+   */
+  rememberError(context, error, potId = null) {
+    this.lastError = {
+      at: new Date().toISOString(),
+      context,
+      potId,
+      message: error.message
+    };
+  }
+
+  /**
+   * Run a manual (admin) action exclusively with the game loop
+   * Waits for an in-flight check to finish, then blocks checks until done.
+   *
+   * @param {Function} action - Receives the current pot state
+   * @returns {Promise<*>} Result of the action
+   */
+  async runExclusive(action) {
+    const waitStart = Date.now();
+    while (this.isProcessing) {
+      if (Date.now() - waitStart > 60000) {
+        throw new Error('Game loop is busy; try again shortly');
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    this.isProcessing = true;
+    try {
+      this.leaderElection.assertLeader();
+      const state = await this.contractService.getPotState();
+      return await action(state);
+    } catch (error) {
+      this.rememberError('admin', error);
+      throw error;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Pause or resume automation on every replica
+   * @param {boolean} paused
+   * @param {string} actor
+   */
+  async setPaused(paused, actor) {
+    await this.supabaseService.setAutomationPaused(paused, actor);
+    this.paused = paused;
+
+    logger.warn(paused ? 'Automation paused' : 'Automation resumed', { actor });
+
+    if (!paused) {
+      this.requestCheck('resumed');
+    }
+  }
+
+  /**
+   * Force-lock the current pot, regardless of the timer
+   */
+  async forceLock() {
+    return this.runExclusive(async (state) => {
+      if (parseInt(state.phase) !== this.GamePhase.BETTING) {
+        throw new Error(`Pot ${state.potId} is ${this.getPhaseLabel(parseInt(state.phase))}, not BETTING`);
+      }
+
+      this.clearBettingDeadline();
+      await this.lockGame(state);
+      return { potId: state.potId };
+    });
+  }
+
+  /**
+   * Cancel the current pot and refund all entries
+   * @param {string} reason - Operator-supplied reason, stored on the round
+   */
+  async forceCancel(reason) {
+    return this.runExclusive(async (state) => {
+      const phase = parseInt(state.phase);
+      if (phase !== this.GamePhase.BETTING && phase !== this.GamePhase.LOCKED) {
+        throw new Error(`Pot ${state.potId} is ${this.getPhaseLabel(phase)}; nothing to cancel`);
+      }
+
+      const result = await this.cancelGame(state, `ADMIN: ${reason}`);
+      return { potId: state.potId, txHash: result.txHash, refunds: result.refunds.length };
+    });
+  }
+
+  /**
+   * Retry finishing a locked pot that got stuck
+   */
+  async retryFinish() {
+    return this.runExclusive(async (state) => {
+      if (parseInt(state.phase) !== this.GamePhase.LOCKED) {
+        throw new Error(`Pot ${state.potId} is ${this.getPhaseLabel(parseInt(state.phase))}, not LOCKED`);
+      }
+
+      await this.settleLockedPot(state);
+      return { potId: state.potId };
+    });
+  }
+
+  /**
+   * Update the game config on the contract
+   * A treasury transaction like the lifecycle ones, so leader only.
+   * @param {object} config - { timerDuration, minParticipants, idleTimeout, feePercentage, minEntryAmount }
+   */
+  async updateConfig(config) {
+    return this.runExclusive(() => this.contractService.updateConfig(config));
+  }
+
+  /**
+   * Get automation status (for the admin API)
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      paused: this.paused,
+      processing: this.isProcessing,
+      leader: this.leaderElection.getStatus(),
+      roundStartMode: this.roundStartMode,
+      underfilledPolicy: this.underfilledPolicy,
+      bettingDeadlinePotId: this.bettingDeadlinePotId,
+      gameConfig: this.gameConfig,
+      lastTick: this.lastTick,
+      lastError: this.lastError
+    };
+  }
+
   /**
    * Get human-readable phase label
    */
@@ -491,6 +1365,13 @@ class GameManager {
     return this.isRunning;
   }
 
+  /**
+   * Check if this replica is driving the game lifecycle
+   */
+  isLeader() {
+    return this.leaderElection.isLeader();
+  }
+
   /**
    * Check if the manager is initialized
    */
@@ -0,0 +1,303 @@
+/**
+ * Leader Election Service
+ * Makes sure only one backend replica drives the game lifecycle
+ *
+ * Every replica serves the API, but only the holder of the 'game-manager' lease
+ * (stored in Supabase) may send startGame, lockGame, finishGame or
+ * emergencyCancel transactions. The leader renews its lease with a heartbeat;
+ * if it dies, the lease expires and another replica takes over automatically.
+ *
+ * Each new acquisition bumps a fencing token. A replica only considers itself
+ * leader while its last successful renewal is younger than the lease TTL, so a
+ * replica that was partitioned away stops driving the pot before anyone else
+ * can acquire the lease. That alone relies on the local clock and on the
+ * process not pausing between the check and the send, so every lifecycle
+ * transaction is also fenced: right before it is broadcast, verifyLease asks
+ * the database whether this replica still holds the lease with its token.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const winston = require('winston');
+const SupabaseService = require('./supabaseService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Build the error thrown when this replica may not drive the pot
+ */
+function notLeaderError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_LEADER';
+  return error;
+}
+
+class LeaderElectionService {
+  constructor() {
+    if (LeaderElectionService.instance) {
+      return LeaderElectionService.instance;
+    }
+
+    this.supabaseService = SupabaseService.getInstance();
+
+    this.enabled = process.env.LEADER_ELECTION_ENABLED !== 'false';
+    this.leaseName = process.env.LEADER_LEASE_NAME || 'game-manager';
+    this.holderId = process.env.LEADER_ID ||
+      `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.leaseTtlSeconds = parseInt(process.env.LEADER_LEASE_TTL_SECONDS || '15');
+    this.renewIntervalMs = parseInt(
+      process.env.LEADER_RENEW_INTERVAL_MS || String((this.leaseTtlSeconds * 1000) / 3)
+    );
+
+    this.leader = false;
+    this.fencingToken = null;
+    this.leaseValidUntil = 0;
+    this.heartbeat = null;
+    this.listeners = [];
+    this.running = false;
+
+    LeaderElectionService.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!LeaderElectionService.instance) {
+      LeaderElectionService.instance = new LeaderElectionService();
+    }
+    return LeaderElectionService.instance;
+  }
+
+  /**
+   * Start competing for the lease
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    if (!this.enabled) {
+      logger.warn('Leader election disabled - this replica always drives the game');
+      this.setLeader(true, null);
+      return;
+    }
+
+    logger.info('Starting leader election', {
+      lease: this.leaseName,
+      holder_id: this.holderId,
+      ttl_seconds: this.leaseTtlSeconds
+    });
+
+    await this.renew();
+
+    this.heartbeat = setInterval(() => {
+      this.renew();
+    }, this.renewIntervalMs);
+  }
+
+  /**
+   * Stop the heartbeat and release the lease so another replica can take over
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    if (this.enabled && this.leader) {
+      try {
+        await this.supabaseService.getClient().rpc('release_service_lease', {
+          p_name: this.leaseName,
+          p_holder_id: this.holderId
+        });
+        logger.info('Leader lease released', { lease: this.leaseName });
+      } catch (error) {
+        logger.error('Failed to release leader lease', { error: error.message });
+      }
+    }
+
+    this.setLeader(false, null);
+  }
+
+  /**
+   * Acquire or renew the lease
+   */
+  async renew() {
+    // Measure validity from before the request, never from the response
+    const requestedAt = Date.now();
+
+    try {
+      const { data: token, error } = await this.supabaseService.getClient().rpc(
+        'acquire_service_lease',
+        {
+          p_name: this.leaseName,
+          p_holder_id: this.holderId,
+          p_ttl_seconds: this.leaseTtlSeconds
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      if (token === null || token === undefined) {
+        this.setLeader(false, null);
+        return;
+      }
+
+      this.leaseValidUntil = requestedAt + this.leaseTtlSeconds * 1000;
+      this.setLeader(true, String(token));
+    } catch (error) {
+      logger.error('Failed to renew leader lease', {
+        error: error.message,
+        lease: this.leaseName
+      });
+
+      // Keep leading until the lease we already hold runs out
+      if (this.leader && Date.now() >= this.leaseValidUntil) {
+        this.setLeader(false, null);
+      }
+    }
+  }
+
+  /**
+   * Update leadership state and notify listeners on change
+   */
+  setLeader(isLeader, fencingToken) {
+    const wasLeader = this.leader;
+
+    this.leader = isLeader;
+    this.fencingToken = fencingToken;
+
+    if (wasLeader === isLeader) {
+      return;
+    }
+
+    if (isLeader) {
+      logger.info('This replica is now the leader', {
+        holder_id: this.holderId,
+        fencing_token: fencingToken
+      });
+    } else {
+      logger.warn('This replica is no longer the leader', {
+        holder_id: this.holderId
+      });
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener(isLeader);
+      } catch (error) {
+        logger.error('Leadership listener failed', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Register a listener called with true/false whenever leadership changes
+   * @param {Function} listener
+   */
+  onLeadershipChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Check if this replica currently holds a valid lease
+   * @returns {boolean}
+   */
+  isLeader() {
+    if (!this.enabled) {
+      return this.leader;
+    }
+    return this.leader && Date.now() < this.leaseValidUntil;
+  }
+
+  /**
+   * Throw unless this replica holds a valid lease (by its own clock)
+   * Throws with code NOT_LEADER; see verifyLease for the check against the
+   * database.
+   * @returns {string|null} Current fencing token
+   */
+  assertLeader() {
+    if (!this.isLeader()) {
+      throw notLeaderError('This replica is not the game leader; refusing to drive the pot');
+    }
+    return this.fencingToken;
+  }
+
+  /**
+   * Confirm with the database that this replica still holds the lease
+   * Fails once the lease expired or another replica acquired it (with a newer
+   * fencing token), even while the local lease looks valid. Called right
+   * before every lifecycle transaction is broadcast.
+   *
+   * @returns {Promise<string|null>} Current fencing token
+   */
+  async verifyLease() {
+    const fencingToken = this.assertLeader();
+
+    if (!this.enabled) {
+      return fencingToken;
+    }
+
+    const { data: held, error } = await this.supabaseService.getClient().rpc(
+      'check_service_lease',
+      {
+        p_name: this.leaseName,
+        p_holder_id: this.holderId,
+        p_fencing_token: fencingToken
+      }
+    );
+
+    if (error) {
+      throw new Error(`Could not verify the leader lease: ${error.message}`);
+    }
+
+    if (!held) {
+      logger.warn('Leader lease lost before sending', {
+        lease: this.leaseName,
+        fencing_token: fencingToken
+      });
+      this.setLeader(false, null);
+      throw notLeaderError('This replica is not the game leader (lease lost); refusing to drive the pot');
+    }
+
+    return fencingToken;
+  }
+
+  /**
+   * Get leadership details (for health checks)
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      holderId: this.holderId,
+      isLeader: this.isLeader(),
+      fencingToken: this.fencingToken,
+      leaseValidUntil: this.leaseValidUntil ? new Date(this.leaseValidUntil).toISOString() : null
+    };
+  }
+}
+
+module.exports = LeaderElectionService;
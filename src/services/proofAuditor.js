@@ -0,0 +1,331 @@
+/**
+ * Proof Auditor
+ * Re-checks stored EOS randomness proofs in the background
+ *
+ * On a schedule (PROOF_AUDIT_CRON) the leader replica takes up to
+ * PROOF_AUDIT_BATCH_SIZE unaudited eos_proofs rows, oldest first, and for each:
+ * 1. re-fetches the block from an EOS endpoint quorum and compares its id,
+ *    number and producer with the stored proof (EosService.verifyBlockHash),
+ * 2. decodes the round's finishGame transaction on Abstract and checks that
+ *    its input and GameFinished event carry the stored hash and pot id.
+ *
+ * A proof passing both is marked verified. Any definite difference marks it
+ * MISMATCH with the per-check details and raises a critical alert. Checks
+ * that can't complete (endpoints down, no quorum, transaction not found) are
+ * retried on later runs; after PROOF_AUDIT_MAX_ATTEMPTS the proof is marked
+ * UNVERIFIABLE and a warning is raised.
+ */
+
+const cron = require('node-cron');
+const winston = require('winston');
+const EosService = require('./eosService');
+const ContractService = require('./contractService');
+const SupabaseService = require('./supabaseService');
+const LeaderElectionService = require('./leaderElectionService');
+const AlertService = require('./alertService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+class ProofAuditor {
+  constructor() {
+    if (ProofAuditor.instance) {
+      return ProofAuditor.instance;
+    }
+
+    this.eosService = EosService.getInstance();
+    this.contractService = ContractService.getInstance();
+    this.supabaseService = SupabaseService.getInstance();
+    this.leaderElection = LeaderElectionService.getInstance();
+    this.alertService = AlertService.getInstance();
+
+    this.batchSize = parseInt(process.env.PROOF_AUDIT_BATCH_SIZE || '20');
+    this.maxAttempts = parseInt(process.env.PROOF_AUDIT_MAX_ATTEMPTS || '5');
+
+    this.cronJob = null;
+    this.running = null;
+    this.lastRun = null;
+
+    ProofAuditor.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ProofAuditor.instance) {
+      ProofAuditor.instance = new ProofAuditor();
+    }
+    return ProofAuditor.instance;
+  }
+
+  /**
+   * Audit once now and then on the PROOF_AUDIT_CRON schedule
+   */
+  start() {
+    if (this.cronJob) {
+      return;
+    }
+
+    const schedule = process.env.PROOF_AUDIT_CRON || '0 */10 * * * *';
+
+    this.cronJob = cron.schedule(schedule, () => {
+      this.runScheduled();
+    });
+
+    logger.info('Proof auditor scheduled', {
+      schedule,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts
+    });
+
+    this.runScheduled();
+  }
+
+  /**
+   * Stop the scheduled audits
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  /**
+   * Scheduled audit (leader only, one at a time, errors logged)
+   */
+  async runScheduled() {
+    if (this.running || !this.leaderElection.isLeader()) {
+      return;
+    }
+
+    this.running = this.run();
+    try {
+      await this.running;
+    } catch (error) {
+      logger.error('Proof audit failed', { error: error.message });
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Audit one batch of unaudited proofs
+   * @returns {Promise<object>} Run summary
+   */
+  async run() {
+    const startedAt = new Date().toISOString();
+    const proofs = await this.supabaseService.getUnauditedEosProofs(this.batchSize);
+    const summary = { VERIFIED: 0, MISMATCH: 0, UNVERIFIABLE: 0, RETRY: 0 };
+
+    for (const proof of proofs) {
+      const outcome = await this.auditProof(proof);
+      summary[outcome]++;
+    }
+
+    this.lastRun = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      audited: proofs.length,
+      ...summary
+    };
+
+    if (proofs.length > 0) {
+      logger.info('Proof audit run complete', this.lastRun);
+    }
+
+    return this.lastRun;
+  }
+
+  /**
+   * Audit one proof and record the result
+   * @param {object} proof - eos_proofs row
+   * @returns {Promise<string>} VERIFIED | MISMATCH | UNVERIFIABLE | RETRY
+   */
+  async auditProof(proof) {
+    const checks = {
+      eos: await this.checkEosBlock(proof),
+      finishTx: await this.checkFinishTransaction(proof)
+    };
+
+    const results = Object.values(checks);
+    const attempts = (proof.audit_attempts || 0) + 1;
+    const auditedAt = new Date().toISOString();
+    let outcome;
+
+    if (results.some(check => check.matches === false)) {
+      outcome = 'MISMATCH';
+    } else if (results.every(check => check.matches === true)) {
+      outcome = 'VERIFIED';
+    } else {
+      outcome = attempts >= this.maxAttempts ? 'UNVERIFIABLE' : 'RETRY';
+    }
+
+    const auditError = results
+      .filter(check => check.error)
+      .map(check => check.error)
+      .join('; ') || null;
+
+    await this.supabaseService.updateEosProofAudit(proof.id, {
+      verified: outcome === 'VERIFIED',
+      audit_status: outcome === 'RETRY' ? null : outcome,
+      audited_at: auditedAt,
+      audit_attempts: attempts,
+      audit_error: auditError,
+      audit_details: checks
+    });
+
+    if (outcome === 'MISMATCH') {
+      await this.alertService.raise(`proofs.mismatch.${proof.pot_id}`, 'critical',
+        `EOS proof for pot ${proof.pot_id} failed its audit`, {
+          potId: proof.pot_id,
+          blockNum: proof.eos_block_number,
+          storedHash: proof.eos_block_hash,
+          checks
+        });
+    } else if (outcome === 'UNVERIFIABLE') {
+      await this.alertService.raise(`proofs.unverifiable.${proof.pot_id}`, 'warning',
+        `EOS proof for pot ${proof.pot_id} could not be verified after ${attempts} attempts`, {
+          potId: proof.pot_id,
+          blockNum: proof.eos_block_number,
+          error: auditError
+        });
+    }
+
+    logger[outcome === 'VERIFIED' || outcome === 'RETRY' ? 'info' : 'warn']('EOS proof audited', {
+      potId: proof.pot_id,
+      blockNum: proof.eos_block_number,
+      outcome,
+      attempts,
+      error: auditError
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Re-fetch the block from an endpoint quorum
+   * @returns {Promise<object>} { matches: true|false|null, ... } (null: inconclusive)
+   */
+  async checkEosBlock(proof) {
+    const blockNum = Number(proof.eos_block_number);
+
+    try {
+      const { matches, blockHash, producer, quorum } =
+        await this.eosService.verifyBlockHash(blockNum, proof.eos_block_hash);
+      const producerMatches = !proof.eos_producer || proof.eos_producer === producer;
+
+      return {
+        matches: matches && producerMatches,
+        stored: { blockHash: proof.eos_block_hash, producer: proof.eos_producer },
+        fetched: { blockHash, producer },
+        agreed: quorum.agreed,
+        responses: quorum.responses
+      };
+    } catch (error) {
+      return {
+        matches: null,
+        error: `EOS re-fetch: ${error.message}`,
+        responses: error.details ? error.details.responses : undefined
+      };
+    }
+  }
+
+  /**
+   * Check the finishGame transaction used the stored hash for this pot
+   * @returns {Promise<object>} { matches: true|false|null, ... } (null: inconclusive)
+   */
+  async checkFinishTransaction(proof) {
+    try {
+      const round = await this.supabaseService.getGameRoundByPotId(proof.pot_id);
+
+      if (!round || !round.finish_tx_hash) {
+        return { matches: null, error: 'finishGame: no finish transaction recorded for the round' };
+      }
+
+      const input = await this.contractService.getFinishGameInput(round.finish_tx_hash);
+
+      if (!input || input.status === null) {
+        return {
+          matches: null,
+          txHash: round.finish_tx_hash,
+          error: `finishGame: transaction ${round.finish_tx_hash} not found`
+        };
+      }
+
+      const storedHash = proof.eos_block_hash.toLowerCase();
+      const mismatches = [];
+
+      if (input.method !== 'finishGame') {
+        mismatches.push(`transaction calls ${input.method || 'another contract'}, not finishGame`);
+      }
+      if (input.status !== 1) {
+        mismatches.push('transaction reverted');
+      }
+      if (input.seed !== storedHash) {
+        mismatches.push('input hash differs from the stored hash');
+      }
+      if (!input.event) {
+        mismatches.push('no GameFinished event');
+      } else {
+        if (input.event.eosBlockHash !== storedHash) {
+          mismatches.push('GameFinished hash differs from the stored hash');
+        }
+        if (input.event.potId !== String(proof.pot_id)) {
+          mismatches.push(`GameFinished is for pot ${input.event.potId}`);
+        }
+      }
+
+      return {
+        matches: mismatches.length === 0,
+        txHash: round.finish_tx_hash,
+        blockNumber: input.blockNumber,
+        inputHash: input.seed,
+        eventHash: input.event ? input.event.eosBlockHash : null,
+        eventPotId: input.event ? input.event.potId : null,
+        mismatches
+      };
+    } catch (error) {
+      return { matches: null, error: `finishGame: ${error.message}` };
+    }
+  }
+
+  /**
+   * Audit report for the admin API
+   * @param {number} limit - Max failed proofs to list
+   * @returns {Promise<object>}
+   */
+  async getReport(limit = 50) {
+    const { counts, failed } = await this.supabaseService.getEosProofAuditSummary(limit);
+
+    return {
+      counts,
+      failed: failed.map(proof => ({
+        potId: proof.pot_id,
+        blockNum: Number(proof.eos_block_number),
+        blockHash: proof.eos_block_hash,
+        status: proof.audit_status,
+        auditedAt: proof.audited_at,
+        attempts: proof.audit_attempts,
+        error: proof.audit_error,
+        details: proof.audit_details
+      })),
+      alerts: this.alertService.getActive().filter(alert => alert.key.startsWith('proofs.')),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = ProofAuditor;
@@ -0,0 +1,255 @@
+/**
+ * drand Randomness Provider
+ * Seed is the randomness of a future drand beacon round
+ *
+ * The target round is the round due DRAND_FUTURE_ROUNDS periods from now.
+ * Relays are not trusted: every beacon's BLS signature is verified against
+ * the pinned public key of the chain (the message is sha256 of the round
+ * number), and its randomness must be sha256 of that signature. A relay that
+ * serves a different chain, a bad beacon or no beacon is skipped for the next.
+ *
+ * Only bls-unchained-g1-rfc9380 chains (signatures on G1, like quicknet) are
+ * supported.
+ *
+ * Config:
+ * - DRAND_URLS: HTTP relays, comma-separated, tried in order
+ * - DRAND_CHAIN_HASH: beacon chain (default: quicknet, 3s rounds)
+ * - DRAND_PUBLIC_KEY: the chain's public key (hex; required unless quicknet)
+ */
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const winston = require('winston');
+const { bls12_381: bls } = require('@noble/curves/bls12-381');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const QUICKNET_CHAIN_HASH = '52db9ba70e0cc0f6eaf7803dd07447a1f5477735fd3f661792ba94600c84e971';
+const QUICKNET_PUBLIC_KEY =
+  '83cf0f2896adee7eb8b5f01fcad3912212c437e0073e911fb90022d3e760183c' +
+  '8c4b450b6a0a6c3ac6a5776a2d1064510d1fec758c921cc22b0e17e63aaf4bcb' +
+  '5ed66304de9cf809bd274ca73bab4af5a6e9c76a4bc09e76eae8991ef5ece45a';
+
+const SCHEME_ID = 'bls-unchained-g1-rfc9380';
+const SIGNATURE_DST = 'BLS_SIG_BLS12381G1_XMD:SHA-256_SSWU_RO_NUL_';
+
+/**
+ * Message a round's beacon signs: sha256 of the round as a uint64 big-endian
+ */
+function roundMessage(round) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(round));
+  return ethers.getBytes(ethers.sha256(buffer));
+}
+
+class DrandRandomnessProvider {
+  constructor() {
+    this.name = 'drand';
+    this.urls = (process.env.DRAND_URLS || 'https://api.drand.sh,https://drand.cloudflare.com')
+      .split(',')
+      .map(url => url.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+    this.chainHash = (process.env.DRAND_CHAIN_HASH || QUICKNET_CHAIN_HASH).trim().toLowerCase();
+    this.publicKey = (
+      process.env.DRAND_PUBLIC_KEY ||
+      (this.chainHash === QUICKNET_CHAIN_HASH ? QUICKNET_PUBLIC_KEY : '')
+    ).trim().toLowerCase().replace(/^0x/, '');
+    if (!this.publicKey) {
+      throw new Error('DRAND_PUBLIC_KEY is required for a drand chain other than quicknet');
+    }
+    this.futureRounds = parseInt(process.env.DRAND_FUTURE_ROUNDS || '2');
+    this.timeoutMs = parseInt(process.env.DRAND_TIMEOUT_MS || '10000');
+    this.waitTimeoutMs = parseInt(process.env.DRAND_WAIT_TIMEOUT_MS || '120000');
+    this.pollIntervalMs = parseInt(process.env.DRAND_POLL_INTERVAL_MS || '1000');
+    this.chainInfo = null;
+  }
+
+  /**
+   * GET a path from the first relay with a valid answer
+   * A relay that fails, has nothing (404/425: round not produced yet) or
+   * whose answer doesn't pass `check` is skipped for the next one. Only an
+   * invalid answer is an error; unreachable relays just mean "not yet".
+   *
+   * @param {string} path
+   * @param {Function} check - Throws if an answer is not valid
+   * @returns {Promise<object|null>} Answer, or null if no relay had it
+   */
+  async get(path, check = () => {}) {
+    let invalid = null;
+
+    for (const url of this.urls) {
+      let data;
+      try {
+        const response = await axios.get(`${url}/${this.chainHash}${path}`, {
+          timeout: this.timeoutMs
+        });
+        data = response.data;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        if (status !== 404 && status !== 425) {
+          logger.warn('drand relay request failed', { url, path, error: error.message });
+        }
+        continue;
+      }
+
+      try {
+        check(data);
+        return data;
+      } catch (error) {
+        invalid = error;
+        logger.error('drand relay returned an invalid answer', { url, path, error: error.message });
+      }
+    }
+
+    if (invalid) {
+      throw new Error(`No drand relay answered ${path} validly. Last error: ${invalid.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Chain parameters (period, genesis time), cached
+   * The relay's chain must have the configured hash, public key and scheme.
+   */
+  async getChainInfo() {
+    if (this.chainInfo) {
+      return this.chainInfo;
+    }
+
+    const info = await this.get('/info', data => {
+      if (!data || data.hash !== this.chainHash) {
+        throw new Error(`info is for chain ${data && data.hash}, expected ${this.chainHash}`);
+      }
+      if (String(data.public_key).toLowerCase() !== this.publicKey) {
+        throw new Error(`chain ${this.chainHash} has public key ${data.public_key}, expected ${this.publicKey}`);
+      }
+      if (data.schemeID !== SCHEME_ID) {
+        throw new Error(`chain ${this.chainHash} uses scheme ${data.schemeID}; only ${SCHEME_ID} is supported`);
+      }
+    });
+
+    if (!info) {
+      throw new Error(`No drand relay has chain ${this.chainHash}`);
+    }
+
+    this.chainInfo = {
+      period: Number(info.period),
+      genesisTime: Number(info.genesis_time)
+    };
+    return this.chainInfo;
+  }
+
+  /**
+   * Pick the drand round to commit to
+   * @returns {Promise<number>} Target round
+   */
+  async getTarget() {
+    const { period, genesisTime } = await this.getChainInfo();
+    const currentRound = Math.floor((Date.now() / 1000 - genesisTime) / period) + 1;
+
+    return currentRound + this.futureRounds;
+  }
+
+  /**
+   * Wait for the committed round and return its randomness as the seed
+   * @param {number} target - Committed round
+   * @returns {Promise<object>} { provider, target, seed, proof }
+   */
+  async getRandomness(target) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < this.waitTimeoutMs) {
+      const beacon = await this.get(`/public/${target}`, data => this.checkBeacon(data, target));
+
+      if (beacon) {
+        const proof = this.checkBeacon(beacon, target);
+
+        logger.info('drand beacon fetched', {
+          round: target,
+          randomness: proof.randomness,
+          wait_time_seconds: (Date.now() - startTime) / 1000
+        });
+
+        return {
+          provider: this.name,
+          target,
+          seed: '0x' + proof.randomness,
+          proof
+        };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+
+    throw new Error(
+      `Timeout waiting for drand round ${target} after ${this.waitTimeoutMs / 1000} seconds`
+    );
+  }
+
+  /**
+   * Check a beacon is for the target round, its signature is valid for the
+   * chain's public key and its randomness is sha256(signature)
+   * @returns {object} Proof: { chainHash, round, randomness, signature }
+   */
+  checkBeacon(beacon, target) {
+    if (Number(beacon.round) !== Number(target)) {
+      throw new Error(`drand relay returned round ${beacon.round} when round ${target} was requested`);
+    }
+
+    const signature = String(beacon.signature).toLowerCase();
+    let valid;
+    try {
+      valid = bls.verifyShortSignature(signature, roundMessage(target), this.publicKey, {
+        DST: SIGNATURE_DST
+      });
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      throw new Error(`drand round ${target}: invalid signature for chain ${this.chainHash}`);
+    }
+
+    const randomness = String(beacon.randomness).toLowerCase();
+    const expected = ethers.sha256('0x' + signature).slice(2);
+
+    if (randomness !== expected) {
+      throw new Error(`drand round ${target}: randomness is not sha256 of the signature`);
+    }
+
+    return {
+      chainHash: this.chainHash,
+      round: Number(beacon.round),
+      randomness,
+      signature
+    };
+  }
+
+  /**
+   * Re-fetch the beacon and compare its randomness with the seed
+   * @returns {Promise<boolean>}
+   */
+  async verify(target, seed) {
+    const beacon = await this.get(`/public/${target}`, data => this.checkBeacon(data, target));
+    if (!beacon) {
+      throw new Error(`drand round ${target} not available from any relay`);
+    }
+
+    const proof = this.checkBeacon(beacon, target);
+    return '0x' + proof.randomness === seed.toLowerCase();
+  }
+}
+
+module.exports = DrandRandomnessProvider;
@@ -0,0 +1,50 @@
+/**
+ * EOS Randomness Provider
+ * Seed is the id of a future EOS block, fetched once irreversible and agreed
+ * on by an endpoint quorum (see EosService)
+ */
+
+const EosService = require('../eosService');
+
+class EosRandomnessProvider {
+  constructor() {
+    this.name = 'eos';
+    this.eosService = EosService.getInstance();
+  }
+
+  /**
+   * Pick the EOS block to commit to
+   * @returns {Promise<number>} Target block number
+   */
+  async getTarget() {
+    const { targetBlockNum } = await this.eosService.getTargetBlockNumber();
+    return targetBlockNum;
+  }
+
+  /**
+   * Wait for the committed block and return its id as the seed
+   * @param {number} target - Committed block number
+   * @returns {Promise<object>} { provider, target, seed, proof }
+   */
+  async getRandomness(target) {
+    const block = await this.eosService.getBlockHashAt(target);
+
+    return {
+      provider: this.name,
+      target,
+      seed: block.blockHash,
+      proof: block
+    };
+  }
+
+  /**
+   * Re-fetch the block and compare its id with the seed
+   * @returns {Promise<boolean>}
+   */
+  async verify(target, seed) {
+    const { matches } = await this.eosService.verifyBlockHash(target, seed);
+    return matches;
+  }
+}
+
+module.exports = EosRandomnessProvider;
@@ -0,0 +1,63 @@
+/**
+ * Randomness Providers
+ * Sources of the bytes32 seed passed to finishGame
+ *
+ * Every provider implements:
+ * - getTarget(): pick a future target (EOS block, drand round, ...) to commit to
+ * - getRandomness(target, { potId }): wait for the target and return
+ *   { provider, target, seed, proof }
+ * - verify(target, seed, proof): re-check a stored seed
+ *
+ * RANDOMNESS_PROVIDER selects the provider (eos, drand, local; default eos).
+ * RANDOMNESS_FALLBACK_PROVIDERS (comma-separated) are tried in order when the
+ * primary can't pick a target at lock time. Fallback only happens before a
+ * target is committed: once a round is committed to a provider and target,
+ * that is the only randomness it can be finished with.
+ */
+
+const EosRandomnessProvider = require('./eosProvider');
+const DrandRandomnessProvider = require('./drandProvider');
+const LocalRandomnessProvider = require('./localProvider');
+
+const RANDOMNESS_PROVIDERS = {
+  eos: EosRandomnessProvider,
+  drand: DrandRandomnessProvider,
+  local: LocalRandomnessProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name
+ * @returns {object} Provider
+ */
+function createRandomnessProvider(name) {
+  const Provider = RANDOMNESS_PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown randomness provider "${name}". Use one of: ${Object.keys(RANDOMNESS_PROVIDERS).join(', ')}`
+    );
+  }
+
+  return new Provider();
+}
+
+/**
+ * Provider names in the configured order: primary first, then fallbacks
+ * @returns {string[]}
+ */
+function getRandomnessProviderOrder() {
+  const primary = (process.env.RANDOMNESS_PROVIDER || 'eos').trim().toLowerCase();
+  const fallbacks = (process.env.RANDOMNESS_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set([primary, ...fallbacks])];
+}
+
+module.exports = {
+  createRandomnessProvider,
+  getRandomnessProviderOrder,
+  RANDOMNESS_PROVIDERS
+};
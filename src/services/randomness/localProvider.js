@@ -0,0 +1,56 @@
+/**
+ * Local Randomness Provider
+ * Deterministic seed for tests and sandboxes: keccak256("<seed>:<potId>:<target>")
+ *
+ * Anyone who knows RANDOMNESS_LOCAL_SEED can compute every outcome, so this
+ * provider refuses to run on mainnet.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkProfile } = require('../../config/networks');
+
+class LocalRandomnessProvider {
+  constructor() {
+    if (getNetworkProfile().key === 'mainnet') {
+      throw new Error('The local randomness provider cannot be used on mainnet');
+    }
+
+    this.name = 'local';
+    this.seed = process.env.RANDOMNESS_LOCAL_SEED || 'smolpot-local';
+  }
+
+  /**
+   * The commit time (ms) doubles as the target
+   * @returns {Promise<number>}
+   */
+  async getTarget() {
+    return Date.now();
+  }
+
+  /**
+   * @param {number} target
+   * @param {object} context - { potId }
+   * @returns {Promise<object>} { provider, target, seed, proof }
+   */
+  async getRandomness(target, { potId }) {
+    const preimage = `${this.seed}:${potId}:${target}`;
+
+    return {
+      provider: this.name,
+      target,
+      seed: ethers.keccak256(ethers.toUtf8Bytes(preimage)),
+      proof: { preimage }
+    };
+  }
+
+  /**
+   * Recompute the seed from the stored preimage
+   * @returns {Promise<boolean>}
+   */
+  async verify(target, seed, proof) {
+    return ethers.keccak256(ethers.toUtf8Bytes(proof.preimage)) === seed.toLowerCase() &&
+      proof.preimage.endsWith(`:${target}`);
+  }
+}
+
+module.exports = LocalRandomnessProvider;
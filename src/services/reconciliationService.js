@@ -0,0 +1,470 @@
+/**
+ * Reconciliation Service
+ * Rebuilds the database view of the game from SmolPotCore logs
+ *
+ * The game manager and /enter route write to Supabase on a best-effort basis,
+ * so a failed write can leave a bet, round or result missing. This service
+ * scans contract logs from a stored checkpoint block and upserts:
+ * - rounds (GameStarted)
+ * - bets with ticket ranges and block numbers (PlayerEntered)
+ * - lock totals (GameLocked)
+ * - winners (GameFinished)
+ * - cancellations and refunds (SMOL transfers out of SmolPotCore that don't
+ *   belong to a GameFinished transaction)
+ *
+ * Every write compares against what is stored first, so re-running a range is
+ * safe. Each run reports the discrepancies it fixed.
+ *
+ * Runs at startup, on a schedule (RECONCILE_CRON) and on demand for a block
+ * range via the admin API. Only the leader replica runs it.
+ */
+
+const cron = require('node-cron');
+const winston = require('winston');
+const ContractService = require('./contractService');
+const SupabaseService = require('./supabaseService');
+const LeaderElectionService = require('./leaderElectionService');
+const { toWei } = require('../utils/amounts');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const CHECKPOINT_NAME = 'smolpot-core';
+
+class ReconciliationService {
+  constructor() {
+    if (ReconciliationService.instance) {
+      return ReconciliationService.instance;
+    }
+
+    this.contractService = ContractService.getInstance();
+    this.supabaseService = SupabaseService.getInstance();
+    this.leaderElection = LeaderElectionService.getInstance();
+
+    this.startBlock = parseInt(process.env.RECONCILE_START_BLOCK || '0');
+    this.blockChunkSize = parseInt(process.env.RECONCILE_BLOCK_CHUNK || '2000');
+    this.confirmations = parseInt(process.env.RECONCILE_CONFIRMATIONS || '2');
+
+    this.cronJob = null;
+    this.currentRun = null;
+    this.lastRun = null;
+
+    ReconciliationService.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!ReconciliationService.instance) {
+      ReconciliationService.instance = new ReconciliationService();
+    }
+    return ReconciliationService.instance;
+  }
+
+  /**
+   * Run once now and then on the RECONCILE_CRON schedule
+   */
+  start() {
+    if (this.cronJob) {
+      return;
+    }
+
+    const schedule = process.env.RECONCILE_CRON || '0 */5 * * * *';
+
+    this.cronJob = cron.schedule(schedule, () => {
+      this.runScheduled('scheduled');
+    });
+
+    logger.info('Reconciliation scheduled', { schedule });
+
+    this.runScheduled('startup');
+  }
+
+  /**
+   * Stop the scheduled runs
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  /**
+   * Scheduled run from the checkpoint (leader only, errors logged)
+   */
+  async runScheduled(trigger) {
+    if (!this.leaderElection.isLeader()) {
+      return;
+    }
+
+    try {
+      await this.run({ trigger });
+    } catch (error) {
+      logger.error('Reconciliation run failed', { trigger, error: error.message });
+    }
+  }
+
+  /**
+   * Reconcile a block range
+   * Without a range, continues from the stored checkpoint up to the latest
+   * confirmed block and advances the checkpoint. Explicit ranges never move it.
+   *
+   * @param {object} options - { fromBlock, toBlock, trigger }
+   * @returns {Promise<object>} Run summary with the discrepancies fixed
+   */
+  async run(options = {}) {
+    if (this.currentRun) {
+      throw new Error('A reconciliation run is already in progress');
+    }
+
+    this.currentRun = this.reconcile(options);
+    try {
+      return await this.currentRun;
+    } finally {
+      this.currentRun = null;
+    }
+  }
+
+  /**
+   * Do the actual reconciliation (see run)
+   */
+  async reconcile({ fromBlock = null, toBlock = null, trigger = 'manual' }) {
+    const explicitRange = fromBlock !== null && fromBlock !== undefined;
+    const startedAt = new Date().toISOString();
+
+    if (!explicitRange) {
+      const checkpoint = await this.supabaseService.getSyncCheckpoint(CHECKPOINT_NAME);
+      fromBlock = checkpoint !== null ? checkpoint + 1 : this.startBlock;
+    }
+
+    if (toBlock === null || toBlock === undefined) {
+      const latest = await this.contractService.getLatestBlockNumber();
+      toBlock = latest - this.confirmations;
+    }
+
+    const discrepancies = [];
+
+    if (fromBlock > toBlock) {
+      logger.debug('Reconciliation up to date', { fromBlock, toBlock });
+      return { trigger, fromBlock, toBlock, discrepancies };
+    }
+
+    logger.info('Reconciliation started', { trigger, fromBlock, toBlock });
+
+    for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += this.blockChunkSize) {
+      const chunkEnd = Math.min(chunkStart + this.blockChunkSize - 1, toBlock);
+
+      await this.reconcileChunk(chunkStart, chunkEnd, discrepancies);
+
+      if (!explicitRange) {
+        await this.supabaseService.setSyncCheckpoint(CHECKPOINT_NAME, chunkEnd);
+      }
+    }
+
+    const summary = { trigger, fromBlock, toBlock, discrepancies };
+
+    try {
+      await this.supabaseService.recordReconciliationRun({
+        trigger,
+        from_block: fromBlock,
+        to_block: toBlock,
+        discrepancy_count: discrepancies.length,
+        discrepancies,
+        started_at: startedAt,
+        finished_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to store reconciliation run', { error: error.message });
+    }
+
+    this.lastRun = { ...summary, finishedAt: new Date().toISOString() };
+
+    if (discrepancies.length > 0) {
+      logger.warn('Reconciliation fixed discrepancies', {
+        fromBlock,
+        toBlock,
+        count: discrepancies.length,
+        types: [...new Set(discrepancies.map(d => d.type))]
+      });
+    } else {
+      logger.info('Reconciliation finished - database matches chain', { fromBlock, toBlock });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reconcile one block chunk
+   */
+  async reconcileChunk(fromBlock, toBlock, discrepancies) {
+    const [events, transfers] = await Promise.all([
+      this.contractService.getCoreEvents(fromBlock, toBlock),
+      this.contractService.getCoreTransfers(fromBlock, toBlock)
+    ]);
+
+    const blockTimes = new Map();
+    const finishTxHashes = new Set();
+
+    for (const event of events) {
+      const potId = event.args.potId.toString();
+
+      switch (event.name) {
+        case 'GameStarted':
+          await this.reconcileGameStarted(potId, event, discrepancies);
+          break;
+
+        case 'PlayerEntered':
+          await this.reconcilePlayerEntered(potId, event, discrepancies);
+          break;
+
+        case 'GameLocked':
+          await this.reconcileGameLocked(potId, event, blockTimes, discrepancies);
+          break;
+
+        case 'GameFinished':
+          finishTxHashes.add(event.transactionHash.toLowerCase());
+          await this.reconcileGameFinished(potId, event, blockTimes, discrepancies);
+          break;
+      }
+    }
+
+    // Transfers out of the pot that aren't prize/fee payouts are refunds
+    const refundsByTx = new Map();
+    for (const transfer of transfers) {
+      const txHash = transfer.transactionHash.toLowerCase();
+      if (finishTxHashes.has(txHash)) {
+        continue;
+      }
+      if (!refundsByTx.has(txHash)) {
+        refundsByTx.set(txHash, []);
+      }
+      refundsByTx.get(txHash).push(transfer);
+    }
+
+    for (const [txHash, refunds] of refundsByTx) {
+      // The pot may have started in an earlier chunk; ask the contract then
+      const blockNumber = refunds[0].blockNumber;
+      const potId = this.findPotForBlock(events, blockNumber) ||
+        await this.contractService.getPotIdAt(blockNumber - 1);
+      await this.reconcileCancellation(potId, txHash, refunds, blockTimes, discrepancies);
+    }
+  }
+
+  /**
+   * The pot that was running at a block (last GameStarted at or before it)
+   */
+  findPotForBlock(events, blockNumber) {
+    let potId = null;
+    for (const event of events) {
+      if (event.blockNumber > blockNumber) {
+        break;
+      }
+      if (event.name === 'GameStarted') {
+        potId = event.args.potId.toString();
+      }
+    }
+    return potId;
+  }
+
+  /**
+   * Get a block timestamp as ISO string (cached per chunk)
+   */
+  async getBlockTime(blockNumber, blockTimes) {
+    if (!blockTimes.has(blockNumber)) {
+      const timestamp = await this.contractService.getBlockTimestamp(blockNumber);
+      blockTimes.set(blockNumber, new Date(timestamp * 1000).toISOString());
+    }
+    return blockTimes.get(blockNumber);
+  }
+
+  /**
+   * Get the round for a pot, creating it if the database never saw it
+   */
+  async ensureRound(potId, defaults, discrepancies) {
+    const round = await this.supabaseService.getGameRoundByPotId(potId);
+    if (round) {
+      return round;
+    }
+
+    discrepancies.push({ type: 'round_missing', potId });
+    return this.supabaseService.createGameRound({ pot_id: potId, ...defaults });
+  }
+
+  async reconcileGameStarted(potId, event, discrepancies) {
+    const startTxHash = event.transactionHash.toLowerCase();
+    const round = await this.ensureRound(
+      potId,
+      {
+        phase: 'BETTING',
+        started_at: new Date(Number(event.args.startTime) * 1000).toISOString(),
+        start_tx_hash: startTxHash
+      },
+      discrepancies
+    );
+
+    if (!round.start_tx_hash) {
+      discrepancies.push({ type: 'start_tx_missing', potId, txHash: startTxHash });
+      await this.supabaseService.updateGameRoundByPotId(potId, { start_tx_hash: startTxHash });
+    }
+  }
+
+  async reconcilePlayerEntered(potId, event, discrepancies) {
+    const txHash = event.transactionHash.toLowerCase();
+    const ticketStart = event.args.ticketStart.toString();
+    const ticketEnd = event.args.ticketEnd.toString();
+    const existing = await this.supabaseService.getBetByTxHash(txHash);
+
+    if (!existing) {
+      const round = await this.ensureRound(
+        potId,
+        { phase: 'BETTING', started_at: new Date().toISOString() },
+        discrepancies
+      );
+      const user = await this.supabaseService.getOrCreateUser(event.args.player);
+
+      discrepancies.push({ type: 'bet_missing', potId, txHash });
+      await this.supabaseService.recordBet({
+        roundId: round.id,
+        userId: user.id,
+        walletAddress: event.args.player,
+        amount: event.args.amount.toString(),
+        ticketStart,
+        ticketEnd,
+        txHash,
+        blockNumber: event.blockNumber
+      });
+      return;
+    }
+
+    if (
+      existing.ticket_start === null ||
+      existing.ticket_end === null ||
+      existing.block_number === null ||
+      toWei(existing.amount) !== event.args.amount
+    ) {
+      discrepancies.push({ type: 'bet_incomplete', potId, txHash });
+      await this.supabaseService.updateBet(existing.id, {
+        amount: event.args.amount.toString(),
+        ticket_start: ticketStart,
+        ticket_end: ticketEnd,
+        block_number: event.blockNumber
+      });
+    }
+  }
+
+  async reconcileGameLocked(potId, event, blockTimes, discrepancies) {
+    const round = await this.ensureRound(potId, { phase: 'LOCKED' }, discrepancies);
+    const totalAmount = event.args.totalAmount;
+    const totalTickets = event.args.totalTickets.toString();
+    const updates = {};
+
+    if (round.phase === 'BETTING' || round.phase === 'IDLE') {
+      updates.phase = 'LOCKED';
+    }
+    if (!round.locked_at) {
+      updates.locked_at = await this.getBlockTime(event.blockNumber, blockTimes);
+    }
+    if (!round.lock_tx_hash) {
+      updates.lock_tx_hash = event.transactionHash.toLowerCase();
+    }
+    if (toWei(round.total_amount) !== totalAmount || String(round.total_tickets) !== totalTickets) {
+      updates.total_amount = totalAmount.toString();
+      updates.total_tickets = totalTickets;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      discrepancies.push({ type: 'lock_out_of_sync', potId, fields: Object.keys(updates) });
+      await this.supabaseService.updateGameRoundByPotId(potId, updates);
+    }
+  }
+
+  async reconcileGameFinished(potId, event, blockTimes, discrepancies) {
+    const round = await this.ensureRound(potId, { phase: 'COMPLETE' }, discrepancies);
+    const winner = event.args.winner.toLowerCase();
+    const eosBlockHash = event.args.eosBlockHash.toLowerCase();
+    const updates = {};
+
+    if (round.phase !== 'COMPLETE') {
+      updates.phase = 'COMPLETE';
+    }
+    if (round.winner_address !== winner) {
+      updates.winner_address = winner;
+    }
+    if (!round.finished_at) {
+      updates.finished_at = await this.getBlockTime(event.blockNumber, blockTimes);
+    }
+    if (!round.finish_tx_hash) {
+      updates.finish_tx_hash = event.transactionHash.toLowerCase();
+    }
+    // The event's eosBlockHash is the seed; only EOS rounds store it as a block hash
+    const seedColumn = round.randomness_provider && round.randomness_provider !== 'eos'
+      ? 'randomness_seed'
+      : 'eos_block_hash';
+    if (round[seedColumn] && round[seedColumn] !== eosBlockHash) {
+      // The chain is authoritative; keep the evidence in the run report
+      discrepancies.push({
+        type: 'eos_hash_mismatch',
+        potId,
+        stored: round[seedColumn],
+        onChain: eosBlockHash
+      });
+    }
+    if (round[seedColumn] !== eosBlockHash) {
+      updates[seedColumn] = eosBlockHash;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      discrepancies.push({ type: 'finish_out_of_sync', potId, fields: Object.keys(updates) });
+      await this.supabaseService.updateGameRoundByPotId(potId, updates);
+    }
+  }
+
+  async reconcileCancellation(potId, txHash, refunds, blockTimes, discrepancies) {
+    const round = await this.ensureRound(potId, { phase: 'CANCELLED' }, discrepancies);
+
+    if (round.phase === 'CANCELLED' && round.cancel_tx_hash === txHash) {
+      // The round may have been recorded while applying its refunds failed
+      if (await this.supabaseService.countBetsWithoutRefund(round.id) > 0) {
+        discrepancies.push({ type: 'refunds_missing', potId, txHash });
+        await this.supabaseService.applyRefunds(round.id, refunds, txHash);
+      }
+      return;
+    }
+
+    discrepancies.push({ type: 'cancellation_missing', potId, txHash });
+
+    await this.supabaseService.updateGameRoundByPotId(potId, {
+      phase: 'CANCELLED',
+      cancelled_at: round.cancelled_at || await this.getBlockTime(refunds[0].blockNumber, blockTimes),
+      cancel_tx_hash: txHash,
+      cancel_reason: round.cancel_reason || 'RECONCILED'
+    });
+
+    await this.supabaseService.applyRefunds(round.id, refunds, txHash);
+  }
+
+  /**
+   * Get the state of the last run (for the admin API)
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.currentRun),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,597 @@
+/**
+ * RPC Provider Pool
+ * Spreads Abstract RPC traffic over several endpoints with health scoring
+ *
+ * Endpoints come from ABSTRACT_RPC_URLS (see config/networks.js). Each one is
+ * health-checked every RPC_HEALTH_CHECK_INTERVAL_MS: its chain id must match
+ * the network profile and its head may not lag the best endpoint by more than
+ * RPC_MAX_BLOCK_LAG blocks. Latency and errors of every request feed a score;
+ * reads go to the best-scoring healthy endpoint and fail over to the next one
+ * on transport errors. RPC_MAX_CONSECUTIVE_FAILURES failures take an endpoint
+ * out until a health check passes again.
+ *
+ * Nonce management never spans endpoints: eth_sendRawTransaction and
+ * eth_getTransactionCount always go to one pinned endpoint. The pin only
+ * moves when that endpoint becomes unhealthy, and listeners (the wallet's
+ * nonce manager) are told so they resync from the new endpoint.
+ *
+ * Critical state is read with quorumCall: an eth_call at a common block on
+ * RPC_QUORUM_SIZE endpoints, accepted only if RPC_QUORUM_THRESHOLD agree. The
+ * pool refuses to start if that threshold is below 2 (one endpoint would
+ * decide the pot state on its own), unless RPC_QUORUM_ALLOW_SINGLE=true.
+ *
+ * Event subscriptions use log polling, since filter ids only exist on the
+ * endpoint that created them.
+ */
+
+const { ethers } = require('ethers');
+const winston = require('winston');
+const { getNetworkProfile, getRpcUrls } = require('../config/networks');
+const { percentile } = require('../utils/stats');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Always sent through the pinned endpoint
+const PINNED_METHODS = new Set(['eth_sendRawTransaction', 'eth_getTransactionCount']);
+
+// Requests remembered per endpoint for latency and error rate
+const STATS_WINDOW = 100;
+
+/**
+ * JSON-RPC errors that say more about the endpoint than about the request
+ */
+function isEndpointRpcError(error) {
+  return error.code === -32005 ||
+    /rate limit|too many requests|header not found|timeout|unavailable/i.test(error.message || '');
+}
+
+/**
+ * ethers provider that sends every request through the pool
+ */
+class PooledRpcProvider extends ethers.JsonRpcApiProvider {
+  constructor(pool, network, options) {
+    super(network, options);
+    this.pool = pool;
+  }
+
+  async _send(payload) {
+    return this.pool.dispatch(Array.isArray(payload) ? payload : [payload]);
+  }
+}
+
+class RpcProviderPool {
+  constructor() {
+    if (RpcProviderPool.instance) {
+      return RpcProviderPool.instance;
+    }
+
+    this.timeoutMs = parseInt(process.env.RPC_TIMEOUT_MS || '8000');
+    this.healthCheckIntervalMs = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '15000');
+    this.maxBlockLag = parseInt(process.env.RPC_MAX_BLOCK_LAG || '10');
+    this.maxConsecutiveFailures = parseInt(process.env.RPC_MAX_CONSECUTIVE_FAILURES || '3');
+    this.quorumSize = parseInt(process.env.RPC_QUORUM_SIZE || '3');
+    this.quorumThreshold = process.env.RPC_QUORUM_THRESHOLD
+      ? parseInt(process.env.RPC_QUORUM_THRESHOLD)
+      : null;
+    this.allowSingleEndpoint = process.env.RPC_QUORUM_ALLOW_SINGLE === 'true';
+
+    this.profile = null;
+    this.network = null;
+    this.endpoints = [];
+    this.provider = null;
+    this.pinned = null;
+    this.repinListeners = [];
+    this.healthTimer = null;
+    this.requestId = 0;
+
+    RpcProviderPool.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!RpcProviderPool.instance) {
+      RpcProviderPool.instance = new RpcProviderPool();
+    }
+    return RpcProviderPool.instance;
+  }
+
+  /**
+   * Create the endpoints, check them and pin the send endpoint
+   */
+  async initialize() {
+    if (this.provider) {
+      return;
+    }
+
+    this.profile = getNetworkProfile();
+    this.network = ethers.Network.from({ name: this.profile.name, chainId: this.profile.chainId });
+
+    this.endpoints = getRpcUrls(this.profile).map(url => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = this.timeoutMs;
+
+      return {
+        url,
+        label: new URL(url).host, // URLs may carry API keys; never log them whole
+        transport: new ethers.JsonRpcProvider(request, this.network, {
+          staticNetwork: this.network,
+          batchMaxCount: 1
+        }),
+        healthy: false,
+        chainIdMismatch: false,
+        consecutiveFailures: 0,
+        outcomes: [],
+        latencies: [],
+        blockNumber: null,
+        lag: null,
+        lastError: null,
+        lastCheckedAt: null
+      };
+    });
+
+    this.checkQuorumSettings();
+
+    await this.checkHealth();
+
+    if (!this.endpoints.some(endpoint => endpoint.healthy)) {
+      throw new Error(
+        `No healthy RPC endpoint for ${this.profile.displayName} ` +
+        `(chain id ${this.profile.chainId}): ` +
+        this.endpoints.map(endpoint => `${endpoint.label}: ${endpoint.lastError}`).join('; ')
+      );
+    }
+
+    this.repin('startup');
+
+    this.provider = new PooledRpcProvider(this, this.network, {
+      staticNetwork: this.network,
+      batchMaxCount: 1,
+      polling: true,
+      pollingInterval: parseInt(process.env.RPC_POLLING_INTERVAL_MS || '4000')
+    });
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => {
+        logger.error('RPC health check failed', { error: error.message });
+      });
+    }, this.healthCheckIntervalMs);
+    this.healthTimer.unref();
+
+    logger.info('RPC provider pool initialized', {
+      network: this.profile.displayName,
+      chainId: this.profile.chainId,
+      endpoints: this.endpoints.map(endpoint => endpoint.label),
+      pinned: this.pinned.label
+    });
+  }
+
+  /**
+   * Stop the health checks
+   */
+  stop() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Get the pooled ethers provider
+   * @returns {ethers.JsonRpcApiProvider}
+   */
+  getProvider() {
+    if (!this.provider) {
+      throw new Error('RpcProviderPool not initialized. Call initialize() first.');
+    }
+    return this.provider;
+  }
+
+  /**
+   * Get the selected network profile
+   * @returns {object}
+   */
+  getNetworkProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Register a listener for send endpoint changes
+   * @param {Function} listener - Called with (endpointLabel, reason)
+   */
+  onRepin(listener) {
+    this.repinListeners.push(listener);
+  }
+
+  /**
+   * Send JSON-RPC payloads for the pooled provider
+   * @param {array} payload
+   * @returns {Promise<array>} JSON-RPC responses
+   */
+  async dispatch(payload) {
+    if (payload.some(request => PINNED_METHODS.has(request.method))) {
+      const endpoint = this.getSendEndpoint();
+      try {
+        return await this.send(endpoint, payload);
+      } catch (error) {
+        // Not retried elsewhere: whether the node got it is unknown
+        if (!endpoint.healthy) {
+          this.repin(`${endpoint.label} failed: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+
+    const candidates = this.rank();
+    let lastError = null;
+
+    for (const endpoint of candidates) {
+      try {
+        return await this.send(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+        logger.warn('RPC request failed - trying next endpoint', {
+          endpoint: endpoint.label,
+          method: payload[0].method,
+          error: error.message
+        });
+      }
+    }
+
+    throw lastError || new Error('No healthy RPC endpoint available');
+  }
+
+  /**
+   * Send payloads to one endpoint, recording latency and outcome
+   * Transport errors and endpoint-level JSON-RPC errors (e.g. rate limits)
+   * throw; other JSON-RPC errors (e.g. reverts) are returned as responses.
+   */
+  async send(endpoint, payload) {
+    const started = Date.now();
+
+    try {
+      const responses = await endpoint.transport._send(payload);
+      const failed = responses.find(response => response.error && isEndpointRpcError(response.error));
+
+      if (failed) {
+        throw new Error(failed.error.message || `JSON-RPC error ${failed.error.code}`);
+      }
+
+      this.record(endpoint, true, Date.now() - started);
+      return responses;
+    } catch (error) {
+      this.record(endpoint, false, Date.now() - started, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send one request to an endpoint and return its result
+   */
+  async request(endpoint, method, params) {
+    const [response] = await this.send(endpoint, [
+      { method, params, id: ++this.requestId, jsonrpc: '2.0' }
+    ]);
+
+    if (response.error) {
+      const error = new Error(response.error.message);
+      error.rpcError = response.error;
+      throw error;
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Send one request to the pinned send endpoint and return its result
+   * For questions only that endpoint answers reliably, e.g. whether a
+   * transaction the wallet sent is still in its mempool.
+   */
+  async requestPinned(method, params) {
+    return this.request(this.getSendEndpoint(), method, params);
+  }
+
+  record(endpoint, ok, latencyMs, error = null) {
+    endpoint.outcomes.push(ok);
+    endpoint.latencies.push(latencyMs);
+    if (endpoint.outcomes.length > STATS_WINDOW) {
+      endpoint.outcomes.shift();
+      endpoint.latencies.shift();
+    }
+
+    if (ok) {
+      endpoint.consecutiveFailures = 0;
+      return;
+    }
+
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+
+    if (endpoint.healthy && endpoint.consecutiveFailures >= this.maxConsecutiveFailures) {
+      endpoint.healthy = false;
+      logger.warn('RPC endpoint taken out of rotation', {
+        endpoint: endpoint.label,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Lower is better: median latency, inflated by the error rate and block lag
+   */
+  score(endpoint) {
+    const latency = percentile(endpoint.latencies, 50) ?? this.timeoutMs;
+    const errorRate = endpoint.outcomes.length > 0
+      ? endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length
+      : 0;
+
+    return latency * (1 + 4 * errorRate) + (endpoint.lag || 0) * 100;
+  }
+
+  /**
+   * Healthy endpoints, best first
+   * @returns {array}
+   */
+  rank() {
+    return this.endpoints
+      .filter(endpoint => endpoint.healthy)
+      .sort((a, b) => this.score(a) - this.score(b));
+  }
+
+  /**
+   * The pinned endpoint for sends and nonce reads (re-pinned if unhealthy)
+   */
+  getSendEndpoint() {
+    if (!this.pinned || !this.pinned.healthy) {
+      this.repin(this.pinned ? `${this.pinned.label} unhealthy` : 'no endpoint pinned');
+    }
+
+    if (!this.pinned) {
+      throw new Error('No healthy RPC endpoint available for sending');
+    }
+
+    return this.pinned;
+  }
+
+  /**
+   * Pin the best healthy endpoint for sends and tell the listeners
+   * @param {string} reason
+   */
+  repin(reason) {
+    const [best] = this.rank();
+    const previous = this.pinned;
+
+    this.pinned = best || null;
+
+    if (this.pinned === previous) {
+      return;
+    }
+
+    logger.warn('RPC send endpoint pinned', {
+      endpoint: this.pinned ? this.pinned.label : null,
+      previous: previous ? previous.label : null,
+      reason
+    });
+
+    if (previous && this.pinned) {
+      for (const listener of this.repinListeners) {
+        listener(this.pinned.label, reason);
+      }
+    }
+  }
+
+  /**
+   * Check chain id and head block of every endpoint
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        const chainId = Number(await this.request(endpoint, 'eth_chainId', []));
+        endpoint.blockNumber = Number(await this.request(endpoint, 'eth_blockNumber', []));
+
+        const mismatch = chainId !== this.profile.chainId;
+        if (mismatch) {
+          endpoint.lastError = `chain id ${chainId}, expected ${this.profile.chainId}`;
+        }
+        if (mismatch && !endpoint.chainIdMismatch) {
+          logger.error('RPC endpoint is on the wrong chain', {
+            endpoint: endpoint.label,
+            chainId,
+            expected: this.profile.chainId
+          });
+        }
+        endpoint.chainIdMismatch = mismatch;
+      } catch (error) {
+        endpoint.blockNumber = null;
+      } finally {
+        endpoint.lastCheckedAt = new Date().toISOString();
+      }
+    }));
+
+    const heads = this.endpoints
+      .filter(endpoint => endpoint.blockNumber !== null && !endpoint.chainIdMismatch)
+      .map(endpoint => endpoint.blockNumber);
+    const best = heads.length > 0 ? Math.max(...heads) : null;
+
+    for (const endpoint of this.endpoints) {
+      const wasHealthy = endpoint.healthy;
+
+      endpoint.lag = endpoint.blockNumber !== null && best !== null
+        ? best - endpoint.blockNumber
+        : null;
+      endpoint.healthy = endpoint.blockNumber !== null &&
+        !endpoint.chainIdMismatch &&
+        endpoint.lag <= this.maxBlockLag;
+
+      if (wasHealthy !== endpoint.healthy && this.provider) {
+        logger[endpoint.healthy ? 'info' : 'warn'](
+          endpoint.healthy ? 'RPC endpoint back in rotation' : 'RPC endpoint unhealthy',
+          { endpoint: endpoint.label, lag: endpoint.lag, error: endpoint.lastError }
+        );
+      }
+    }
+
+    if (this.pinned && !this.pinned.healthy) {
+      this.repin(`${this.pinned.label} failed its health check`);
+    }
+  }
+
+  /**
+   * eth_call on several endpoints at a common block; the result needs quorum
+   * @param {object} transaction - { to, data }
+   * @returns {Promise<object>} { result, blockNumber, agreed, queried }
+   */
+  async quorumCall(transaction) {
+    const { size, threshold } = this.getQuorumSettings();
+    const chosen = this.rank().slice(0, size);
+
+    const quorumError = (message, details = {}) => {
+      const error = new Error(`RPC quorum not reached: ${message}`);
+      error.code = 'RPC_QUORUM_FAILED';
+      error.details = details;
+      logger.error('RPC quorum not reached', { message, threshold, ...details });
+      return error;
+    };
+
+    if (chosen.length < threshold) {
+      throw quorumError(`${chosen.length} healthy endpoint(s), ${threshold} required`);
+    }
+
+    // Same block everywhere, so endpoints at different heads still agree
+    const heads = await Promise.allSettled(
+      chosen.map(endpoint => this.request(endpoint, 'eth_blockNumber', []))
+    );
+    const responding = chosen.filter((endpoint, i) => heads[i].status === 'fulfilled');
+    if (responding.length < threshold) {
+      throw quorumError(`${responding.length} endpoint(s) responded, ${threshold} required`);
+    }
+
+    const blockNumber = Math.min(
+      ...heads.filter(head => head.status === 'fulfilled').map(head => Number(head.value))
+    );
+    const call = { to: transaction.to, data: transaction.data };
+
+    const results = await Promise.allSettled(
+      responding.map(endpoint =>
+        this.request(endpoint, 'eth_call', [call, ethers.toQuantity(blockNumber)])
+      )
+    );
+
+    const tally = new Map();
+    results.forEach((result, i) => {
+      if (result.status !== 'fulfilled') {
+        return;
+      }
+      const votes = tally.get(result.value) || [];
+      votes.push(responding[i].label);
+      tally.set(result.value, votes);
+    });
+
+    const [winner, votes] = [...tally.entries()].sort((a, b) => b[1].length - a[1].length)[0] ||
+      [null, []];
+
+    if (votes.length < threshold) {
+      throw quorumError(`${votes.length} of ${responding.length} endpoints agree`, {
+        blockNumber,
+        results: Object.fromEntries([...tally.entries()].map(([value, labels]) => [labels.join(','), value]))
+      });
+    }
+
+    if (votes.length < responding.length) {
+      logger.warn('RPC endpoints disagree on a quorum read', {
+        blockNumber,
+        agreed: votes,
+        queried: responding.map(endpoint => endpoint.label)
+      });
+    }
+
+    return {
+      result: winner,
+      blockNumber,
+      agreed: votes.length,
+      queried: responding.length
+    };
+  }
+
+  /**
+   * Endpoints per quorum read, and how many must agree (default: a majority)
+   * @returns {object} { size, threshold }
+   */
+  getQuorumSettings() {
+    const size = Math.min(this.quorumSize, this.endpoints.length);
+    return {
+      size,
+      threshold: Math.min(this.quorumThreshold || Math.floor(size / 2) + 1, size)
+    };
+  }
+
+  /**
+   * Refuse a quorum a single endpoint can satisfy, unless explicitly allowed
+   */
+  checkQuorumSettings() {
+    const { size, threshold } = this.getQuorumSettings();
+
+    if (threshold >= 2) {
+      return;
+    }
+
+    if (!this.allowSingleEndpoint) {
+      throw new Error(
+        `RPC quorum threshold is ${threshold} with ${size} endpoint(s), so one endpoint ` +
+        'would decide quorum reads. Configure at least 2 ABSTRACT_RPC_URLS and ' +
+        'RPC_QUORUM_THRESHOLD >= 2, or set RPC_QUORUM_ALLOW_SINGLE=true'
+      );
+    }
+
+    logger.warn('RPC quorum can be met by a single endpoint (RPC_QUORUM_ALLOW_SINGLE=true)', {
+      size,
+      threshold
+    });
+  }
+
+  /**
+   * Get per-endpoint health (for health checks)
+   */
+  getStatus() {
+    return {
+      network: this.profile ? this.profile.displayName : null,
+      chainId: this.profile ? this.profile.chainId : null,
+      pinned: this.pinned ? this.pinned.label : null,
+      quorum: {
+        ...this.getQuorumSettings(),
+        singleEndpoint: this.getQuorumSettings().threshold < 2
+      },
+      endpoints: this.endpoints.map(endpoint => ({
+        endpoint: endpoint.label,
+        healthy: endpoint.healthy,
+        chainIdMismatch: endpoint.chainIdMismatch,
+        blockNumber: endpoint.blockNumber,
+        lag: endpoint.lag,
+        latencyP50Ms: percentile(endpoint.latencies, 50),
+        latencyP95Ms: percentile(endpoint.latencies, 95),
+        errorRate: endpoint.outcomes.length > 0
+          ? endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length
+          : null,
+        score: Math.round(this.score(endpoint)),
+        lastError: endpoint.lastError,
+        lastCheckedAt: endpoint.lastCheckedAt
+      }))
+    };
+  }
+}
+
+module.exports = RpcProviderPool;
@@ -0,0 +1,28 @@
+/**
+ * Env Signer
+ * Treasury key from TREASURY_WALLET_PRIVATE_KEY
+ *
+ * Kept for local development. Deployments should use the keystore, file or
+ * remote signer so the key never sits in the environment.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * @param {ethers.Provider} provider
+ * @returns {Promise<ethers.Signer>}
+ */
+async function createEnvSigner(provider) {
+  const privateKey = process.env.TREASURY_WALLET_PRIVATE_KEY;
+
+  if (!privateKey || privateKey === 'GENERATE_NEW_WALLET_AND_REPLACE_THIS') {
+    throw new Error(
+      'TREASURY_WALLET_PRIVATE_KEY must be set with a valid private key. ' +
+      'Generate one using: node -e "console.log(require(\'ethers\').Wallet.createRandom())"'
+    );
+  }
+
+  return new ethers.Wallet(privateKey, provider);
+}
+
+module.exports = createEnvSigner;
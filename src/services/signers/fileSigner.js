@@ -0,0 +1,28 @@
+/**
+ * File Signer
+ * Treasury key from a file-mounted secret (TREASURY_PRIVATE_KEY_FILE),
+ * e.g. a Docker or Kubernetes secret
+ */
+
+const { ethers } = require('ethers');
+const { readSecretFile } = require('./secretFile');
+
+/**
+ * @param {ethers.Provider} provider
+ * @returns {Promise<ethers.Signer>}
+ */
+async function createFileSigner(provider) {
+  const privateKey = readSecretFile(
+    process.env.TREASURY_PRIVATE_KEY_FILE,
+    'TREASURY_PRIVATE_KEY_FILE'
+  ).trim();
+
+  try {
+    return new ethers.Wallet(privateKey, provider);
+  } catch (error) {
+    // Don't let the key end up in an error message
+    throw new Error('TREASURY_PRIVATE_KEY_FILE does not contain a valid private key');
+  }
+}
+
+module.exports = createFileSigner;
@@ -0,0 +1,48 @@
+/**
+ * Treasury Signers
+ * Builds the signer the treasury sends transactions with
+ *
+ * TREASURY_SIGNER selects the backend:
+ * - env: TREASURY_WALLET_PRIVATE_KEY (default; development only)
+ * - keystore: encrypted JSON keystore + passphrase file
+ * - file: private key in a file-mounted secret
+ * - remote: HTTP signing service
+ *
+ * Every backend returns an ethers Signer connected to the provider, so the
+ * rest of the backend never handles key material.
+ */
+
+const createEnvSigner = require('./envSigner');
+const createKeystoreSigner = require('./keystoreSigner');
+const createFileSigner = require('./fileSigner');
+const createRemoteSigner = require('./remoteSigner');
+
+const SIGNER_BACKENDS = {
+  env: createEnvSigner,
+  keystore: createKeystoreSigner,
+  file: createFileSigner,
+  remote: createRemoteSigner
+};
+
+/**
+ * Create the treasury signer selected by TREASURY_SIGNER
+ * @param {ethers.Provider} provider
+ * @returns {Promise<object>} { signer, backend }
+ */
+async function createSigner(provider) {
+  const backend = (process.env.TREASURY_SIGNER || 'env').trim().toLowerCase();
+  const create = SIGNER_BACKENDS[backend];
+
+  if (!create) {
+    throw new Error(
+      `Unknown TREASURY_SIGNER "${backend}". Use one of: ${Object.keys(SIGNER_BACKENDS).join(', ')}`
+    );
+  }
+
+  return { signer: await create(provider), backend };
+}
+
+module.exports = {
+  createSigner,
+  SIGNER_BACKENDS
+};
@@ -0,0 +1,47 @@
+/**
+ * Keystore Signer
+ * Treasury key from an encrypted JSON keystore (TREASURY_KEYSTORE_PATH),
+ * unlocked with the passphrase in TREASURY_KEYSTORE_PASSPHRASE_FILE
+ *
+ * Create a keystore with:
+ *   node -e "require('ethers').Wallet.createRandom().encrypt('<passphrase>').then(console.log)"
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { readSecretFile } = require('./secretFile');
+
+/**
+ * @param {ethers.Provider} provider
+ * @returns {Promise<ethers.Signer>}
+ */
+async function createKeystoreSigner(provider) {
+  const keystorePath = process.env.TREASURY_KEYSTORE_PATH;
+
+  if (!keystorePath) {
+    throw new Error('TREASURY_KEYSTORE_PATH environment variable is required');
+  }
+
+  let keystore;
+  try {
+    keystore = fs.readFileSync(keystorePath, 'utf8');
+  } catch (error) {
+    throw new Error(`TREASURY_KEYSTORE_PATH points to a file that can't be read: ${keystorePath}`);
+  }
+
+  const passphrase = readSecretFile(
+    process.env.TREASURY_KEYSTORE_PASSPHRASE_FILE,
+    'TREASURY_KEYSTORE_PASSPHRASE_FILE'
+  );
+
+  let wallet;
+  try {
+    wallet = await ethers.Wallet.fromEncryptedJson(keystore, passphrase);
+  } catch (error) {
+    throw new Error(`Failed to decrypt treasury keystore: ${error.message}`);
+  }
+
+  return wallet.connect(provider);
+}
+
+module.exports = createKeystoreSigner;
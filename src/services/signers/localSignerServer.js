@@ -0,0 +1,117 @@
+/**
+ * Local Signer Server
+ * Stand-in for the remote signing service, for development and tests
+ *
+ * Serves the remote signer protocol (see remoteSigner.js) for a local key.
+ * Not for production: the key is as exposed as it would be in the backend.
+ *
+ * Run with: npm run signer:local
+ * - LOCAL_SIGNER_PRIVATE_KEY_FILE: key to sign with (a random key if unset)
+ * - LOCAL_SIGNER_TOKEN_FILE: bearer token to require (none if unset)
+ * - LOCAL_SIGNER_PORT: port on 127.0.0.1 (default 8547)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const winston = require('winston');
+const { ethers } = require('ethers');
+const { readSecretFile } = require('./secretFile');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Build the signer app
+ * @param {ethers.Wallet} wallet - Key to sign with
+ * @param {object} options - { token } bearer token to require
+ * @returns {express.Application}
+ */
+function createLocalSignerApp(wallet, { token = null } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+    const expected = Buffer.from(token || '');
+
+    if (token && (given.length !== expected.length || !crypto.timingSafeEqual(given, expected))) {
+      return res.status(401).json({ error: 'Invalid or missing token' });
+    }
+    next();
+  });
+
+  const handle = sign => async (req, res) => {
+    try {
+      res.json(await sign(req.body || {}));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+
+  app.get('/address', (req, res) => {
+    res.json({ address: wallet.address });
+  });
+
+  app.post('/sign/transaction', handle(async ({ transaction }) => {
+    const tx = ethers.Transaction.from(transaction);
+    if (tx.signature) {
+      throw new Error('Transaction is already signed');
+    }
+    tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+
+    logger.info('Signed transaction', { to: tx.to, nonce: tx.nonce, chainId: tx.chainId.toString() });
+    return { signedTransaction: tx.serialized };
+  }));
+
+  app.post('/sign/message', handle(async ({ message }) => ({
+    signature: await wallet.signMessage(ethers.getBytes(message))
+  })));
+
+  app.post('/sign/typed-data', handle(async ({ domain, types, message }) => {
+    // ethers derives the domain type itself
+    const messageTypes = { ...types };
+    delete messageTypes.EIP712Domain;
+
+    return { signature: await wallet.signTypedData(domain, messageTypes, message) };
+  }));
+
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const wallet = process.env.LOCAL_SIGNER_PRIVATE_KEY_FILE
+    ? new ethers.Wallet(
+      readSecretFile(process.env.LOCAL_SIGNER_PRIVATE_KEY_FILE, 'LOCAL_SIGNER_PRIVATE_KEY_FILE').trim()
+    )
+    : ethers.Wallet.createRandom();
+  const token = process.env.LOCAL_SIGNER_TOKEN_FILE
+    ? readSecretFile(process.env.LOCAL_SIGNER_TOKEN_FILE, 'LOCAL_SIGNER_TOKEN_FILE').trim()
+    : null;
+  const port = parseInt(process.env.LOCAL_SIGNER_PORT || '8547');
+
+  createLocalSignerApp(wallet, { token }).listen(port, '127.0.0.1', () => {
+    logger.warn('Local signer running - development only', {
+      url: `http://127.0.0.1:${port}`,
+      address: wallet.address,
+      tokenRequired: Boolean(token)
+    });
+  });
+}
+
+module.exports = {
+  createLocalSignerApp
+};
@@ -0,0 +1,198 @@
+/**
+ * Remote Signer
+ * Treasury key held by a signing service, reached over HTTP (REMOTE_SIGNER_URL)
+ *
+ * Protocol (JSON bodies; Authorization: Bearer <token> when
+ * REMOTE_SIGNER_TOKEN_FILE is set):
+ * - GET  /address            → { address }
+ * - POST /sign/transaction   { transaction: unsigned serialized tx (hex) }
+ *                            → { signedTransaction: signed serialized tx (hex) }
+ * - POST /sign/message       { message: bytes (hex) } → { signature }
+ * - POST /sign/typed-data    { domain, types, primaryType, message }
+ *                            (eth_signTypedData_v4 payload) → { signature }
+ * Errors are answered with a non-2xx status and { error }.
+ *
+ * Every signature is checked against the signer's address, and a signed
+ * transaction must be the transaction that was sent for signing. Set
+ * REMOTE_SIGNER_ADDRESS to pin the address the service must report.
+ *
+ * localSignerServer.js implements this protocol for development and tests.
+ */
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { readSecretFile } = require('./secretFile');
+
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url - Base URL of the signing service
+   * @param {string} address - Address the service signs for
+   * @param {object} options - { token, timeoutMs }
+   * @param {ethers.Provider|null} provider
+   */
+  constructor(url, address, { token = null, timeoutMs = 10000 } = {}, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(
+      this.url,
+      this.address,
+      { token: this.token, timeoutMs: this.timeoutMs },
+      provider
+    );
+  }
+
+  async signTransaction(tx) {
+    tx = ethers.copyRequest(tx);
+
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+    });
+
+    if (to != null) {
+      tx.to = to;
+    }
+    if (from != null) {
+      if (ethers.getAddress(from) !== this.address) {
+        throw new Error(`Transaction from ${from} can't be signed by remote signer ${this.address}`);
+      }
+      delete tx.from;
+    }
+
+    const unsigned = ethers.Transaction.from(tx);
+    const { signedTransaction } = await RemoteSigner.request(
+      this.url,
+      'post',
+      '/sign/transaction',
+      { transaction: unsigned.unsignedSerialized },
+      this
+    );
+
+    let signed;
+    try {
+      signed = ethers.Transaction.from(signedTransaction);
+    } catch (error) {
+      throw new Error(`Remote signer returned an invalid transaction: ${error.message}`);
+    }
+
+    if (signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Remote signer returned a different transaction than it was asked to sign');
+    }
+    if (signed.from !== this.address) {
+      throw new Error(`Remote signer signed the transaction as ${signed.from}`);
+    }
+
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const { signature } = await RemoteSigner.request(
+      this.url,
+      'post',
+      '/sign/message',
+      { message: ethers.hexlify(bytes) },
+      this
+    );
+
+    this.checkSigner(ethers.verifyMessage(bytes, signature), 'message');
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const { signature } = await RemoteSigner.request(
+      this.url,
+      'post',
+      '/sign/typed-data',
+      payload,
+      this
+    );
+
+    this.checkSigner(ethers.verifyTypedData(domain, types, value, signature), 'typed data');
+    return signature;
+  }
+
+  checkSigner(recovered, what) {
+    if (recovered !== this.address) {
+      throw new Error(`Remote signer signed the ${what} as ${recovered}`);
+    }
+  }
+
+  /**
+   * Call the signing service
+   * @param {string} url - Base URL
+   * @param {string} method - 'get' or 'post'
+   * @param {string} path
+   * @param {object|null} data
+   * @param {object} options - { token, timeoutMs }
+   * @returns {Promise<object>} Response body
+   */
+  static async request(url, method, path, data, { token, timeoutMs }) {
+    try {
+      const response = await axios({
+        method,
+        url: `${url}${path}`,
+        data: data || undefined,
+        timeout: timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        }
+      });
+      return response.data;
+    } catch (error) {
+      const reason = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error
+        : error.message;
+      throw new Error(`Remote signer ${path} failed: ${reason}`);
+    }
+  }
+}
+
+/**
+ * @param {ethers.Provider} provider
+ * @returns {Promise<ethers.Signer>}
+ */
+async function createRemoteSigner(provider) {
+  const url = (process.env.REMOTE_SIGNER_URL || '').replace(/\/+$/, '');
+
+  if (!url) {
+    throw new Error('REMOTE_SIGNER_URL environment variable is required');
+  }
+
+  const options = {
+    token: process.env.REMOTE_SIGNER_TOKEN_FILE
+      ? readSecretFile(process.env.REMOTE_SIGNER_TOKEN_FILE, 'REMOTE_SIGNER_TOKEN_FILE').trim()
+      : null,
+    timeoutMs: parseInt(process.env.REMOTE_SIGNER_TIMEOUT_MS || '10000')
+  };
+
+  const { address } = await RemoteSigner.request(url, 'get', '/address', null, options);
+
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Remote signer reported an invalid address: ${address}`);
+  }
+
+  const pinned = process.env.REMOTE_SIGNER_ADDRESS;
+  if (pinned && ethers.getAddress(pinned) !== ethers.getAddress(address)) {
+    throw new Error(
+      `Remote signer signs for ${address}, but REMOTE_SIGNER_ADDRESS is ${pinned}`
+    );
+  }
+
+  return new RemoteSigner(url, address, options, provider);
+}
+
+module.exports = createRemoteSigner;
+module.exports.RemoteSigner = RemoteSigner;
@@ -0,0 +1,61 @@
+/**
+ * Secret Files
+ * Reads secrets (private keys, keystore passphrases, tokens) mounted as files
+ */
+
+const fs = require('fs');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Read a secret file, without its trailing newline
+ * Warns if the file is readable by group or others.
+ *
+ * @param {string} path
+ * @param {string} envName - Variable the path came from (for errors)
+ * @returns {string}
+ */
+function readSecretFile(path, envName) {
+  if (!path) {
+    throw new Error(`${envName} environment variable is required`);
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(path);
+  } catch (error) {
+    throw new Error(`${envName} points to a file that can't be read: ${path}`);
+  }
+
+  if (process.platform !== 'win32' && (stat.mode & 0o077) !== 0) {
+    logger.warn('Secret file is readable by other users', {
+      env: envName,
+      path,
+      mode: (stat.mode & 0o777).toString(8)
+    });
+  }
+
+  const secret = fs.readFileSync(path, 'utf8').replace(/\r?\n$/, '');
+  if (!secret) {
+    throw new Error(`${envName} points to an empty file: ${path}`);
+  }
+
+  return secret;
+}
+
+module.exports = {
+  readSecretFile
+};
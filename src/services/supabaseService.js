@@ -5,7 +5,7 @@
  * Database tables:
  * - users: Player profiles and wallet addresses
  * - game_rounds: Game round history and state
- * - bets: Individual bet records with transaction hashes
+ * - bets: Individual bet records with transaction hashes and refund status
  *
  * This service uses the Supabase service role key for backend operations
  * to bypass Row Level Security policies.
@@ -13,6 +13,7 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const winston = require('winston');
+const { toWei, sumWei, withFormatted } = require('../utils/amounts');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -28,6 +29,60 @@ const logger = winston.createLogger({
   ]
 });
 
+// NUMERIC(78, 0) columns (wei and other uint256 values). PostgREST returns
+// NUMERIC as a JSON number, which loses precision above 2^53 and prints 1e21
+// and up as "1e+21", so reads also select these as text (weiSelect) and put
+// the text back in place of the number (readWei).
+const WEI_COLUMNS = {
+  users: ['total_wagered', 'total_won'],
+  game_rounds: ['total_amount'],
+  bets: ['amount', 'refund_amount'],
+  bet_requests: ['amount'],
+  operator_transactions: [
+    'gas_limit',
+    'max_fee_per_gas',
+    'max_priority_fee_per_gas',
+    'gas_price',
+    'gas_used',
+    'effective_gas_price'
+  ],
+  treasury_topups: ['amount', 'treasury_balance']
+};
+
+const TEXT_SUFFIX = '__text';
+
+/**
+ * Select list that also reads a table's wei columns as text
+ * @param {string} table
+ * @param {string} columns - PostgREST select list
+ * @returns {string}
+ */
+function weiSelect(table, columns = '*') {
+  const listed = columns.split(',').map(column => column.trim());
+  const casts = WEI_COLUMNS[table]
+    .filter(column => listed.includes('*') || listed.includes(column))
+    .map(column => `${column}${TEXT_SUFFIX}:${column}::text`);
+
+  return [columns, ...casts].join(', ');
+}
+
+/**
+ * Replace the numeric wei values of rows read with weiSelect by their text
+ * @param {object|array|null} rows - A row, rows or null (modified in place)
+ * @returns {object|array|null} The same rows
+ */
+function readWei(rows) {
+  for (const row of [].concat(rows || [])) {
+    for (const key of Object.keys(row)) {
+      if (key.endsWith(TEXT_SUFFIX)) {
+        row[key.slice(0, -TEXT_SUFFIX.length)] = row[key];
+        delete row[key];
+      }
+    }
+  }
+  return rows;
+}
+
 class SupabaseService {
   constructor() {
     if (SupabaseService.instance) {
@@ -102,12 +157,12 @@ class SupabaseService {
       // Try to find existing user
       const { data: existingUser, error: findError } = await this.client
         .from('users')
-        .select('*')
+        .select(weiSelect('users'))
         .eq('wallet_address', walletAddress.toLowerCase())
         .single();
 
       if (existingUser) {
-        return existingUser;
+        return readWei(existingUser);
       }
 
       // Create new user if not found
@@ -119,13 +174,15 @@ class SupabaseService {
             created_at: new Date().toISOString()
           }
         ])
-        .select()
+        .select(weiSelect('users'))
         .single();
 
       if (createError) {
         throw createError;
       }
 
+      readWei(newUser);
+
       logger.info('New user created', { wallet_address: walletAddress });
       return newUser;
     } catch (error) {
@@ -149,8 +206,8 @@ class SupabaseService {
     try {
       const { data, error } = await this.client
         .from('game_rounds')
-        .select('*')
-        .in('status', ['BETTING', 'LOCKED'])
+        .select(weiSelect('game_rounds'))
+        .in('phase', ['BETTING', 'LOCKED'])
         .order('created_at', { ascending: false })
         .limit(1)
         .single();
@@ -159,7 +216,7 @@ class SupabaseService {
         throw error;
       }
 
-      return data;
+      return readWei(data);
     } catch (error) {
       logger.error('Failed to get current game round', {
         error: error.message
@@ -183,19 +240,21 @@ class SupabaseService {
         .from('game_rounds')
         .insert([
           {
-            status: 'BETTING',
-            total_pot: '0',
-            start_time: new Date().toISOString(),
+            phase: 'BETTING',
+            total_amount: '0',
+            started_at: new Date().toISOString(),
             ...roundData
           }
         ])
-        .select()
+        .select(weiSelect('game_rounds'))
         .single();
 
       if (error) {
         throw error;
       }
 
+      readWei(data);
+
       logger.info('New game round created', { round_id: data.id });
       return data;
     } catch (error) {
@@ -222,13 +281,15 @@ class SupabaseService {
         .from('game_rounds')
         .update(updates)
         .eq('id', roundId)
-        .select()
+        .select(weiSelect('game_rounds'))
         .single();
 
       if (error) {
         throw error;
       }
 
+      readWei(data);
+
       logger.info('Game round updated', { round_id: roundId, updates });
       return data;
     } catch (error) {
@@ -242,8 +303,11 @@ class SupabaseService {
 
   /**
    * Record a bet in the database
+   * Bets are unique per transaction hash, so recording the same bet from the
+   * /enter route and from the PlayerEntered event only inserts it once.
+   *
    * @param {object} betData
-   * @returns {Promise<object>} Created bet record
+   * @returns {Promise<object>} Bet record
    */
   async recordBet(betData) {
     if (!this.initialized) {
@@ -253,29 +317,42 @@ class SupabaseService {
     try {
       const { data, error } = await this.client
         .from('bets')
-        .insert([
-          {
-            round_id: betData.roundId,
-            user_id: betData.userId,
-            amount: betData.amount,
-            tx_hash: betData.txHash,
-            created_at: new Date().toISOString()
-          }
-        ])
-        .select()
-        .single();
+        .upsert(
+          [
+            {
+              round_id: betData.roundId,
+              user_id: betData.userId,
+              wallet_address: betData.walletAddress.toLowerCase(),
+              amount: toWei(betData.amount).toString(),
+              ticket_start: betData.ticketStart,
+              ticket_end: betData.ticketEnd,
+              tx_hash: betData.txHash.toLowerCase(),
+              block_number: betData.blockNumber,
+              created_at: new Date().toISOString()
+            }
+          ],
+          { onConflict: 'tx_hash', ignoreDuplicates: true }
+        )
+        .select(weiSelect('bets'));
 
       if (error) {
         throw error;
       }
 
+      readWei(data);
+
+      if (!data || data.length === 0) {
+        logger.debug('Bet already recorded', { tx_hash: betData.txHash });
+        return await this.getBetByTxHash(betData.txHash);
+      }
+
       logger.info('Bet recorded', {
-        bet_id: data.id,
+        bet_id: data[0].id,
         round_id: betData.roundId,
         amount: betData.amount
       });
 
-      return data;
+      return data[0];
     } catch (error) {
       logger.error('Failed to record bet', {
         error: error.message,
@@ -286,11 +363,11 @@ class SupabaseService {
   }
 
   /**
-   * Get all bets for a game round
-   * @param {number} roundId
-   * @returns {Promise<array>} Array of bets
+   * Get a bet by its transaction hash
+   * @param {string} txHash
+   * @returns {Promise<object|null>} Bet record or null
    */
-  async getBetsForRound(roundId) {
+  async getBetByTxHash(txHash) {
     if (!this.initialized) {
       throw new Error('SupabaseService not initialized. Call initialize() first.');
     }
@@ -298,212 +375,1549 @@ class SupabaseService {
     try {
       const { data, error } = await this.client
         .from('bets')
-        .select(`
-          *,
-          users (
-            wallet_address,
-            username
-          )
-        `)
-        .eq('round_id', roundId)
-        .order('created_at', { ascending: true });
+        .select(weiSelect('bets'))
+        .eq('tx_hash', txHash.toLowerCase())
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return readWei(data);
+    } catch (error) {
+      logger.error('Failed to get bet by tx hash', {
+        error: error.message,
+        tx_hash: txHash
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a bet intent nonce as used
+   * Nonces are unique per player, so concurrent requests with the same signed
+   * intent can only consume it once.
+   *
+   * @param {object} nonceData - { walletAddress, nonce, potId, deadline, signature }
+   * @returns {Promise<boolean>} False if the nonce was already used
+   */
+  async consumeBetIntentNonce(nonceData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('bet_intent_nonces')
+        .upsert(
+          [
+            {
+              wallet_address: nonceData.walletAddress.toLowerCase(),
+              nonce: nonceData.nonce,
+              pot_id: nonceData.potId,
+              deadline: new Date(Number(nonceData.deadline) * 1000).toISOString(),
+              signature: nonceData.signature.toLowerCase(),
+              used_at: new Date().toISOString()
+            }
+          ],
+          { onConflict: 'wallet_address,nonce', ignoreDuplicates: true }
+        )
+        .select();
 
       if (error) {
         throw error;
       }
 
-      return data || [];
+      return Boolean(data && data.length > 0);
     } catch (error) {
-      logger.error('Failed to get bets for round', {
+      logger.error('Failed to consume bet intent nonce', {
         error: error.message,
-        round_id: roundId
+        wallet_address: nonceData.walletAddress
       });
       throw error;
     }
   }
 
   /**
-   * Get game round history
-   * @param {number} limit - Number of rounds to fetch
-   * @returns {Promise<array>} Array of game rounds
+   * Claim an idempotency key for a request
+   * @param {object} keyData - { key, fingerprint, method, path, expiresAt }
+   * @returns {Promise<object|null>} The claimed key, or null if it already exists
    */
-  async getGameRoundHistory(limit = 10) {
+  async claimIdempotencyKey(keyData) {
     if (!this.initialized) {
       throw new Error('SupabaseService not initialized. Call initialize() first.');
     }
 
     try {
       const { data, error } = await this.client
-        .from('game_rounds')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
+        .from('idempotency_keys')
+        .upsert(
+          [
+            {
+              key: keyData.key,
+              fingerprint: keyData.fingerprint,
+              method: keyData.method,
+              path: keyData.path,
+              status: 'PENDING',
+              created_at: new Date().toISOString(),
+              expires_at: keyData.expiresAt
+            }
+          ],
+          { onConflict: 'key', ignoreDuplicates: true }
+        )
+        .select();
 
       if (error) {
         throw error;
       }
 
-      return data || [];
+      return data && data.length > 0 ? data[0] : null;
     } catch (error) {
-      logger.error('Failed to get game round history', {
-        error: error.message
+      logger.error('Failed to claim idempotency key', {
+        error: error.message,
+        key: keyData.key
       });
       throw error;
     }
   }
 
   /**
-   * Get stats for a player
-   * @param {string} walletAddress
-   * @returns {Promise<object>} Player stats
+   * Get an idempotency key
+   * @param {string} key
+   * @returns {Promise<object|null>}
    */
-  async getPlayerStats(walletAddress) {
+  async getIdempotencyKey(key) {
     if (!this.initialized) {
       throw new Error('SupabaseService not initialized. Call initialize() first.');
     }
 
     try {
-      // Get user
-      const user = await this.getOrCreateUser(walletAddress);
+      const { data, error } = await this.client
+        .from('idempotency_keys')
+        .select('*')
+        .eq('key', key)
+        .single();
 
-      // Get total bets
-      const { data: bets, error: betsError } = await this.client
-        .from('bets')
-        .select('amount')
-        .eq('user_id', user.id);
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
 
-      if (betsError) {
-        throw betsError;
+      return data;
+    } catch (error) {
+      logger.error('Failed to get idempotency key', {
+        error: error.message,
+        key
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response of the request that claimed an idempotency key
+   * @param {string} key
+   * @param {number} responseStatus
+   * @param {object} responseBody
+   */
+  async completeIdempotencyKey(key, responseStatus, responseBody) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { error } = await this.client
+        .from('idempotency_keys')
+        .update({
+          status: 'COMPLETED',
+          response_status: responseStatus,
+          response_body: responseBody,
+          completed_at: new Date().toISOString()
+        })
+        .eq('key', key)
+        .eq('status', 'PENDING');
+
+      if (error) {
+        throw error;
       }
+    } catch (error) {
+      logger.error('Failed to complete idempotency key', {
+        error: error.message,
+        key
+      });
+      throw error;
+    }
+  }
 
-      // Get wins
-      const { data: wins, error: winsError } = await this.client
-        .from('game_rounds')
-        .select('total_pot')
-        .eq('winner_address', walletAddress.toLowerCase())
-        .eq('status', 'COMPLETE');
+  /**
+   * Delete an idempotency key so it can be claimed again
+   * @param {string} key
+   * @param {string|null} fingerprint - Only delete the claim with this fingerprint
+   */
+  async releaseIdempotencyKey(key, fingerprint = null) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
 
-      if (winsError) {
-        throw winsError;
+    try {
+      let query = this.client
+        .from('idempotency_keys')
+        .delete()
+        .eq('key', key);
+
+      if (fingerprint) {
+        query = query.eq('fingerprint', fingerprint);
       }
 
-      const totalBets = bets.length;
-      const totalWagered = bets.reduce((sum, bet) => sum + parseFloat(bet.amount), 0);
-      const totalWins = wins.length;
-      const totalWon = wins.reduce((sum, round) => sum + parseFloat(round.total_pot), 0);
-
-      return {
-        totalBets,
-        totalWagered: totalWagered.toString(),
-        totalWins,
-        totalWon: totalWon.toString(),
-        netProfit: (totalWon - totalWagered).toString()
-      };
+      const { error } = await query;
+
+      if (error) {
+        throw error;
+      }
     } catch (error) {
-      logger.error('Failed to get player stats', {
+      logger.error('Failed to release idempotency key', {
         error: error.message,
-        wallet_address: walletAddress
+        key
       });
       throw error;
     }
   }
 
   /**
-   * Create EOS proof record for verification
-   * @param {object} proofData
-   * @returns {Promise<object>} Created proof record
+   * Queue a bet request
+   * @param {object} requestData - { userId, walletAddress, amount, potId, permit }
+   * @returns {Promise<object>} Created bet request
    */
-  async createEosProof(proofData) {
+  async createBetRequest(requestData) {
     if (!this.initialized) {
       throw new Error('SupabaseService not initialized. Call initialize() first.');
     }
 
     try {
       const { data, error } = await this.client
-        .from('eos_proofs')
-        .insert([proofData])
-        .select()
+        .from('bet_requests')
+        .insert([
+          {
+            user_id: requestData.userId,
+            wallet_address: requestData.walletAddress.toLowerCase(),
+            amount: toWei(requestData.amount).toString(),
+            pot_id: requestData.potId,
+            permit: requestData.permit || null,
+            status: 'QUEUED',
+            created_at: new Date().toISOString()
+          }
+        ])
+        .select(weiSelect('bet_requests'))
         .single();
 
       if (error) {
         throw error;
       }
 
-      logger.info('EOS proof created', {
-        pot_id: proofData.pot_id,
-        block_num: proofData.eos_block_number
-      });
+      readWei(data);
 
+      logger.info('Bet request queued', { bet_request_id: data.id, pot_id: data.pot_id });
       return data;
     } catch (error) {
-      logger.error('Failed to create EOS proof', {
+      logger.error('Failed to queue bet request', {
         error: error.message,
-        proof_data: proofData
+        wallet_address: requestData.walletAddress
       });
       throw error;
     }
   }
 
   /**
-   * Get game round by pot ID
-   * @param {string} potId
-   * @returns {Promise<object|null>} Game round or null
+   * Get a bet request by id
+   * @param {string} requestId
+   * @returns {Promise<object|null>}
    */
-  async getGameRoundByPotId(potId) {
+  async getBetRequest(requestId) {
     if (!this.initialized) {
       throw new Error('SupabaseService not initialized. Call initialize() first.');
     }
 
     try {
       const { data, error } = await this.client
-        .from('game_rounds')
-        .select('*')
-        .eq('pot_id', potId)
+        .from('bet_requests')
+        .select(weiSelect('bet_requests'))
+        .eq('id', requestId)
         .single();
 
       if (error && error.code !== 'PGRST116') {
         throw error;
       }
 
-      return data;
+      return readWei(data);
     } catch (error) {
-      logger.error('Failed to get game round by pot ID', {
+      logger.error('Failed to get bet request', {
         error: error.message,
-        pot_id: potId
+        bet_request_id: requestId
       });
       throw error;
     }
   }
 
   /**
-   * Update game round by pot ID
-   * @param {string} potId
-   * @param {object} updates
-   * @returns {Promise<object>} Updated game round
+   * Get bet requests in a status, oldest first
+   * @param {string} status
+   * @param {number} limit
+   * @returns {Promise<array>}
    */
-  async updateGameRoundByPotId(potId, updates) {
+  async getBetRequestsByStatus(status, limit = 100) {
     if (!this.initialized) {
       throw new Error('SupabaseService not initialized. Call initialize() first.');
     }
 
     try {
       const { data, error } = await this.client
-        .from('game_rounds')
+        .from('bet_requests')
+        .select(weiSelect('bet_requests'))
+        .eq('status', status)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get bet requests', {
+        error: error.message,
+        status
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count bet requests that are queued or waiting for their transaction
+   * @returns {Promise<number>}
+   */
+  async countActiveBetRequests() {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { count, error } = await this.client
+        .from('bet_requests')
+        .select('id', { count: 'exact', head: true })
+        .in('status', ['QUEUED', 'SUBMITTED']);
+
+      if (error) {
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error('Failed to count active bet requests', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a bet request, optionally only if it is still in a given status
+   * @param {string} requestId
+   * @param {object} updates
+   * @param {string|null} expectedStatus
+   * @returns {Promise<object|null>} Updated request, or null if the status didn't match
+   */
+  async updateBetRequest(requestId, updates, expectedStatus = null) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      let query = this.client
+        .from('bet_requests')
         .update(updates)
-        .eq('pot_id', potId)
-        .select()
-        .single();
+        .eq('id', requestId);
+
+      if (expectedStatus) {
+        query = query.eq('status', expectedStatus);
+      }
+
+      const { data, error } = await query.select(weiSelect('bet_requests'));
 
       if (error) {
         throw error;
       }
 
-      logger.info('Game round updated by pot ID', { pot_id: potId, updates });
-      return data;
+      readWei(data);
+
+      return data && data.length > 0 ? data[0] : null;
     } catch (error) {
-      logger.error('Failed to update game round by pot ID', {
+      logger.error('Failed to update bet request', {
         error: error.message,
-        pot_id: potId
+        bet_request_id: requestId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all bets for a game round
+   * @param {number} roundId
+   * @returns {Promise<array>} Array of bets
+   */
+  async getBetsForRound(roundId) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('bets')
+        .select(weiSelect('bets', `
+          *,
+          users (
+            wallet_address,
+            username
+          )
+        `))
+        .eq('round_id', roundId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get bets for round', {
+        error: error.message,
+        round_id: roundId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get game round history
+   * Cancelled rounds are included, with their cancel transaction and reason.
+   *
+   * @param {number} limit - Number of rounds to fetch
+   * @param {string|null} phase - Only return rounds in this phase (e.g. CANCELLED)
+   * @returns {Promise<array>} Array of game rounds
+   */
+  async getGameRoundHistory(limit = 10, phase = null) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      let query = this.client
+        .from('game_rounds')
+        .select(weiSelect('game_rounds'))
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (phase) {
+        query = query.eq('phase', phase);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get game round history', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get stats for a player
+   * Amounts are summed as BigInt wei and returned as wei strings with a
+   * formatted SMOL string next to each.
+   *
+   * @param {string} walletAddress
+   * @returns {Promise<object>} Player stats
+   */
+  async getPlayerStats(walletAddress) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      // Get user
+      const user = await this.getOrCreateUser(walletAddress);
+
+      // Get total bets
+      const { data: bets, error: betsError } = await this.client
+        .from('bets')
+        .select(weiSelect('bets', 'amount, refund_status, refund_amount'))
+        .eq('user_id', user.id);
+
+      if (betsError) {
+        throw betsError;
+      }
+
+      readWei(bets);
+
+      // Get wins
+      const { data: wins, error: winsError } = await this.client
+        .from('game_rounds')
+        .select(weiSelect('game_rounds', 'total_amount'))
+        .eq('winner_address', walletAddress.toLowerCase())
+        .eq('phase', 'COMPLETE');
+
+      if (winsError) {
+        throw winsError;
+      }
+
+      readWei(wins);
+
+      // Bets in cancelled rounds were refunded and don't count as wagered
+      const refundedBets = bets.filter(bet => bet.refund_status === 'REFUNDED');
+      const activeBets = bets.filter(bet => bet.refund_status !== 'REFUNDED');
+
+      const totalBets = bets.length;
+      const totalWagered = sumWei(activeBets, bet => bet.amount);
+      const totalRefunded = sumWei(refundedBets, bet => bet.refund_amount || bet.amount);
+      const totalWins = wins.length;
+      const totalWon = sumWei(wins, round => round.total_amount);
+
+      return withFormatted(
+        {
+          totalBets,
+          totalWagered,
+          refundedBets: refundedBets.length,
+          pendingRefunds: bets.filter(bet => bet.refund_status === 'PENDING').length,
+          totalRefunded,
+          totalWins,
+          totalWon,
+          netProfit: totalWon - totalWagered
+        },
+        ['totalWagered', 'totalRefunded', 'totalWon', 'netProfit']
+      );
+    } catch (error) {
+      logger.error('Failed to get player stats', {
+        error: error.message,
+        wallet_address: walletAddress
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Match refund transfers from a cancel transaction to the bets of a round
+   * Each player's refunded total is allocated to their bets in order; bets that
+   * aren't covered stay PENDING so they can be reconciled later.
+   *
+   * @param {string} roundId
+   * @param {array} refunds - [{ player, amount }] with amount in wei
+   * @param {string} txHash - Cancel transaction hash
+   * @returns {Promise<object>} { refunded, pending } bet counts
+   */
+  async applyRefunds(roundId, refunds, txHash) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data: bets, error } = await this.client
+        .from('bets')
+        .select(weiSelect('bets', 'id, wallet_address, amount'))
+        .eq('round_id', roundId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(bets);
+
+      // Total refunded per player (wei)
+      const remaining = {};
+      for (const refund of refunds) {
+        const player = refund.player.toLowerCase();
+        remaining[player] = (remaining[player] || 0n) + toWei(refund.amount);
+      }
+
+      let refunded = 0;
+      let pending = 0;
+
+      for (const bet of bets) {
+        const amount = toWei(bet.amount);
+        const available = remaining[bet.wallet_address] || 0n;
+        const covered = available >= amount;
+
+        if (covered) {
+          remaining[bet.wallet_address] = available - amount;
+          refunded++;
+        } else {
+          pending++;
+        }
+
+        const { error: updateError } = await this.client
+          .from('bets')
+          .update({
+            refund_status: covered ? 'REFUNDED' : 'PENDING',
+            refund_amount: covered ? amount.toString() : null,
+            refund_tx_hash: covered ? txHash.toLowerCase() : null
+          })
+          .eq('id', bet.id);
+
+        if (updateError) {
+          throw updateError;
+        }
+      }
+
+      logger.info('Refunds applied', { round_id: roundId, refunded, pending });
+      return { refunded, pending };
+    } catch (error) {
+      logger.error('Failed to apply refunds', {
+        error: error.message,
+        round_id: roundId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count bets of a round whose refunds have not been applied yet
+   * @param {number} roundId
+   * @returns {Promise<number>}
+   */
+  async countBetsWithoutRefund(roundId) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { count, error } = await this.client
+        .from('bets')
+        .select('id', { count: 'exact', head: true })
+        .eq('round_id', roundId)
+        .eq('refund_status', 'NONE');
+
+      if (error) {
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error('Failed to count bets without refund', {
+        error: error.message,
+        round_id: roundId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create (or replace) the EOS proof record for a pot's block
+   * Upserts on (pot_id, eos_block_number), so a proof stored after a failed
+   * quorum attempt replaces the evidence row for the same block.
+   * @param {object} proofData
+   * @returns {Promise<object>} Created proof record
+   */
+  async createEosProof(proofData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('eos_proofs')
+        .upsert([proofData], { onConflict: 'pot_id,eos_block_number' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('EOS proof created', {
+        pot_id: proofData.pot_id,
+        block_num: proofData.eos_block_number
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to create EOS proof', {
+        error: error.message,
+        proof_data: proofData
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get EOS proofs the auditor hasn't settled yet, oldest first
+   * Evidence rows from failed quorum attempts are skipped.
+   * @param {number} limit
+   * @returns {Promise<array>}
+   */
+  async getUnauditedEosProofs(limit = 20) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('eos_proofs')
+        .select('*')
+        .is('audit_status', null)
+        .not('quorum_reached', 'is', false)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to fetch unaudited EOS proofs', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the result of a proof audit
+   * @param {string} id - eos_proofs id
+   * @param {object} updates - verified, audit_status, audited_at, audit_attempts, audit_error, audit_details
+   * @returns {Promise<object>} Updated proof
+   */
+  async updateEosProofAudit(id, updates) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('eos_proofs')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to update EOS proof audit', {
+        error: error.message,
+        id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * EOS proof audit counts and the proofs that failed their audit
+   * @param {number} limit - Max failed proofs to return
+   * @returns {Promise<object>} { counts: { VERIFIED, MISMATCH, UNVERIFIABLE, PENDING }, failed }
+   */
+  async getEosProofAuditSummary(limit = 50) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const count = (status) => {
+        const query = this.client
+          .from('eos_proofs')
+          .select('id', { count: 'exact', head: true })
+          .not('quorum_reached', 'is', false);
+        return status ? query.eq('audit_status', status) : query.is('audit_status', null);
+      };
+
+      const statuses = ['VERIFIED', 'MISMATCH', 'UNVERIFIABLE', null];
+      const results = await Promise.all(statuses.map(count));
+
+      const counts = {};
+      results.forEach(({ count: total, error }, i) => {
+        if (error) {
+          throw error;
+        }
+        counts[statuses[i] || 'PENDING'] = total || 0;
+      });
+
+      const { data, error } = await this.client
+        .from('eos_proofs')
+        .select('*')
+        .in('audit_status', ['MISMATCH', 'UNVERIFIABLE'])
+        .order('audited_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      return { counts, failed: data || [] };
+    } catch (error) {
+      logger.error('Failed to fetch EOS proof audit summary', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the randomness proof record for a finished pot
+   * @param {object} proofData - { pot_id, provider, target, seed, proof, finish_tx_hash }
+   * @returns {Promise<object>} Created proof record
+   */
+  async createRandomnessProof(proofData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('randomness_proofs')
+        .upsert([proofData], { onConflict: 'pot_id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to create randomness proof', {
+        error: error.message,
+        pot_id: proofData.pot_id,
+        provider: proofData.provider
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get game round by pot ID
+   * @param {string} potId
+   * @returns {Promise<object|null>} Game round or null
+   */
+  async getGameRoundByPotId(potId) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('game_rounds')
+        .select(weiSelect('game_rounds'))
+        .eq('pot_id', potId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return readWei(data);
+    } catch (error) {
+      logger.error('Failed to get game round by pot ID', {
+        error: error.message,
+        pot_id: potId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update game round by pot ID
+   * @param {string} potId
+   * @param {object} updates
+   * @returns {Promise<object>} Updated game round
+   */
+  async updateGameRoundByPotId(potId, updates) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('game_rounds')
+        .update(updates)
+        .eq('pot_id', potId)
+        .select(weiSelect('game_rounds'))
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      logger.info('Game round updated by pot ID', { pot_id: potId, updates });
+      return data;
+    } catch (error) {
+      logger.error('Failed to update game round by pot ID', {
+        error: error.message,
+        pot_id: potId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Columns recording a randomness commitment
+   * EOS commitments also fill eos_target_block, which the pot state API and
+   * the eos_block_matches_target constraint use.
+   *
+   * @param {string} provider
+   * @param {number} target
+   * @returns {object}
+   */
+  getRandomnessCommitmentFields(provider, target) {
+    const committedAt = new Date().toISOString();
+    const fields = {
+      randomness_provider: provider,
+      randomness_target: target,
+      randomness_committed_at: committedAt
+    };
+
+    if (provider === 'eos') {
+      fields.eos_target_block = target;
+      fields.eos_target_committed_at = committedAt;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Commit the randomness provider and target for a round
+   * Only sets the target if none has been committed yet, so a concurrent or
+   * repeated commit can never overwrite an existing commitment.
+   *
+   * @param {string} potId
+   * @param {string} provider
+   * @param {number} target
+   * @returns {Promise<object|null>} Updated game round, or null if a target was already committed
+   */
+  async commitRandomnessTarget(potId, provider, target) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('game_rounds')
+        .update(this.getRandomnessCommitmentFields(provider, target))
+        .eq('pot_id', potId)
+        .is('randomness_target', null)
+        .select(weiSelect('game_rounds'));
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      if (!data || data.length === 0) {
+        return null;
+      }
+
+      logger.info('Randomness target committed', {
+        pot_id: potId,
+        randomness_provider: provider,
+        randomness_target: target
+      });
+
+      return data[0];
+    } catch (error) {
+      logger.error('Failed to commit randomness target', {
+        error: error.message,
+        pot_id: potId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the leader replica to start a new round (on-bet start mode)
+   * @param {string} reason - Why the round is requested
+   * @returns {Promise<object>} Created request
+   */
+  async requestRoundStart(reason) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('round_start_requests')
+        .insert([{ reason, requested_at: new Date().toISOString() }])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Round start requested', { request_id: data.id, reason });
+      return data;
+    } catch (error) {
+      logger.error('Failed to request round start', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim all pending round start requests
+   * @returns {Promise<array>} Claimed requests
+   */
+  async claimRoundStartRequests() {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('round_start_requests')
+        .update({ handled_at: new Date().toISOString() })
+        .is('handled_at', null)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to claim round start requests', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether game automation is paused
+   * @returns {Promise<boolean>}
+   */
+  async isAutomationPaused() {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('automation_settings')
+        .select('paused')
+        .eq('id', 1)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data ? data.paused : false;
+    } catch (error) {
+      logger.error('Failed to read automation settings', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause or resume game automation
+   * @param {boolean} paused
+   * @param {string} actor - Who changed it
+   * @returns {Promise<object>} Updated settings
+   */
+  async setAutomationPaused(paused, actor) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('automation_settings')
+        .upsert([
+          {
+            id: 1,
+            paused,
+            updated_by: actor,
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to update automation settings', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record an admin action in the audit log
+   * @param {object} actionData - { actor, action, reason, params, result, error }
+   * @returns {Promise<object>} Created audit record
+   */
+  async recordAdminAction(actionData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('admin_actions')
+        .insert([
+          {
+            actor: actionData.actor,
+            action: actionData.action,
+            reason: actionData.reason,
+            params: actionData.params || null,
+            result: actionData.result || null,
+            error: actionData.error || null,
+            created_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to record admin action', {
+        error: error.message,
+        action: actionData.action
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a bet
+   * @param {string} betId
+   * @param {object} updates
+   * @returns {Promise<object>} Updated bet
+   */
+  async updateBet(betId, updates) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('bets')
+        .update(updates)
+        .eq('id', betId)
+        .select(weiSelect('bets'))
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return readWei(data);
+    } catch (error) {
+      logger.error('Failed to update bet', {
+        error: error.message,
+        bet_id: betId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a sync checkpoint (last fully processed block)
+   * @param {string} name
+   * @returns {Promise<number|null>} Block number or null
+   */
+  async getSyncCheckpoint(name) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('sync_checkpoints')
+        .select('block_number')
+        .eq('name', name)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data ? Number(data.block_number) : null;
+    } catch (error) {
+      logger.error('Failed to get sync checkpoint', {
+        error: error.message,
+        name
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a sync checkpoint
+   * @param {string} name
+   * @param {number} blockNumber
+   */
+  async setSyncCheckpoint(name, blockNumber) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { error } = await this.client
+        .from('sync_checkpoints')
+        .upsert([
+          {
+            name,
+            block_number: blockNumber,
+            updated_at: new Date().toISOString()
+          }
+        ]);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Failed to set sync checkpoint', {
+        error: error.message,
+        name
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a reconciliation run and the discrepancies it fixed
+   * @param {object} runData
+   * @returns {Promise<object>} Created run record
+   */
+  async recordReconciliationRun(runData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('reconciliation_runs')
+        .insert([runData])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to record reconciliation run', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a transaction to the operator transaction journal
+   * @param {object} txData - operator_transactions row
+   * @returns {Promise<object>} Created journal entry
+   */
+  async recordOperatorTransaction(txData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('operator_transactions')
+        .insert([
+          {
+            ...txData,
+            tx_hash: txData.tx_hash ? txData.tx_hash.toLowerCase() : null,
+            replaces_tx_hash: txData.replaces_tx_hash
+              ? txData.replaces_tx_hash.toLowerCase()
+              : null
+          }
+        ])
+        .select(weiSelect('operator_transactions'))
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return readWei(data);
+    } catch (error) {
+      logger.error('Failed to record operator transaction', {
+        error: error.message,
+        tx_hash: txData.tx_hash,
+        method: txData.method
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update journal entries by transaction hash, optionally only if still in a given status
+   * @param {string[]} txHashes
+   * @param {object} updates
+   * @param {string|null} expectedStatus
+   * @returns {Promise<array>} Updated entries
+   */
+  async updateOperatorTransactions(txHashes, updates, expectedStatus = null) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      let query = this.client
+        .from('operator_transactions')
+        .update(updates)
+        .in('tx_hash', txHashes.map(hash => hash.toLowerCase()));
+
+      if (expectedStatus) {
+        query = query.eq('status', expectedStatus);
+      }
+
+      const { data, error } = await query.select(weiSelect('operator_transactions'));
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to update operator transactions', {
+        error: error.message,
+        tx_hashes: txHashes
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get operator journal entries, newest first
+   * @param {object} filters - { purpose, potId, status, nonce, txHash, sentBefore, limit }
+   *   (all optional)
+   * @returns {Promise<array>}
+   */
+  async getOperatorTransactions({
+    purpose = null,
+    potId = null,
+    status = null,
+    nonce = null,
+    txHash = null,
+    sentBefore = null,
+    limit = 50
+  } = {}) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      let query = this.client
+        .from('operator_transactions')
+        .select(weiSelect('operator_transactions'))
+        .order('sent_at', { ascending: false })
+        .limit(limit);
+
+      if (purpose) {
+        query = query.eq('purpose', purpose);
+      }
+      if (potId !== null) {
+        query = query.eq('pot_id', potId);
+      }
+      if (status) {
+        query = query.eq('status', status);
+      }
+      if (nonce !== null) {
+        query = query.eq('nonce', nonce);
+      }
+      if (txHash) {
+        query = query.or(`tx_hash.eq.${txHash.toLowerCase()},replaces_tx_hash.eq.${txHash.toLowerCase()}`);
+      }
+      if (sentBefore) {
+        query = query.lt('sent_at', sentBefore);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get operator transactions', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the gas paid by operator transactions mined since a time
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<array>} [{ gas_used, effective_gas_price, mined_at }]
+   */
+  async getOperatorGasSpend(since) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('operator_transactions')
+        .select(weiSelect('operator_transactions', 'gas_used, effective_gas_price, mined_at'))
+        .in('status', ['MINED', 'REVERTED'])
+        .gte('mined_at', since)
+        .order('mined_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get operator gas spend', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a treasury top-up
+   * @param {object} topUpData - { fromAddress, toAddress, amount, treasuryBalance, txHash }
+   * @returns {Promise<object>} Created top-up
+   */
+  async recordTreasuryTopUp(topUpData) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('treasury_topups')
+        .insert([
+          {
+            from_address: topUpData.fromAddress.toLowerCase(),
+            to_address: topUpData.toAddress.toLowerCase(),
+            amount: toWei(topUpData.amount).toString(),
+            treasury_balance: toWei(topUpData.treasuryBalance).toString(),
+            tx_hash: topUpData.txHash ? topUpData.txHash.toLowerCase() : null,
+            status: 'PENDING',
+            created_at: new Date().toISOString()
+          }
+        ])
+        .select(weiSelect('treasury_topups'))
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return readWei(data);
+    } catch (error) {
+      logger.error('Failed to record treasury top-up', {
+        error: error.message,
+        tx_hash: topUpData.txHash
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a treasury top-up
+   * @param {string} topUpId
+   * @param {object} updates
+   * @returns {Promise<object|null>}
+   */
+  async updateTreasuryTopUp(topUpId, updates) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('treasury_topups')
+        .update(updates)
+        .eq('id', topUpId)
+        .select(weiSelect('treasury_topups'));
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error('Failed to update treasury top-up', {
+        error: error.message,
+        topup_id: topUpId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get treasury top-ups created since a time, newest first
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<array>}
+   */
+  async getTreasuryTopUps(since) {
+    if (!this.initialized) {
+      throw new Error('SupabaseService not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('treasury_topups')
+        .select(weiSelect('treasury_topups'))
+        .gte('created_at', since)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      readWei(data);
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get treasury top-ups', {
+        error: error.message
       });
       throw error;
     }
@@ -0,0 +1,365 @@
+/**
+ * Transaction Journal
+ * Records every transaction the treasury wallet sends in operator_transactions
+ *
+ * The TransactionSender writes one entry per hash: the original (PENDING),
+ * each fee-bump replacement (PENDING, replaces_tx_hash set) and sends the node
+ * rejected (FAILED, no hash). When a version is mined it becomes MINED or
+ * REVERTED (with the revert reason) and its other versions REPLACED.
+ *
+ * Entries still PENDING (e.g. after a restart) are re-checked against the
+ * chain whenever this replica becomes the leader; a follower can't tell a
+ * dropped transaction from one the leader still has in flight. Only entries
+ * sent before the takeover are checked; newer ones belong to this replica's
+ * TransactionSender. One that neither the pooled endpoints nor the pinned send
+ * endpoint know becomes REPLACED if its nonce was used by another
+ * transaction, or DROPPED if the nonce is still free.
+ *
+ * Journal writes never fail a send; errors are only logged.
+ */
+
+const winston = require('winston');
+const WalletService = require('./walletService');
+const SupabaseService = require('./supabaseService');
+const RpcProviderPool = require('./rpcProviderPool');
+const LeaderElectionService = require('./leaderElectionService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Wei value as a NUMERIC string (or null)
+ */
+function numeric(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
+
+class TransactionJournal {
+  constructor() {
+    if (TransactionJournal.instance) {
+      return TransactionJournal.instance;
+    }
+
+    this.walletService = WalletService.getInstance();
+    this.supabaseService = SupabaseService.getInstance();
+    this.rpcPool = RpcProviderPool.getInstance();
+    this.leaderElection = LeaderElectionService.getInstance();
+
+    TransactionJournal.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!TransactionJournal.instance) {
+      TransactionJournal.instance = new TransactionJournal();
+    }
+    return TransactionJournal.instance;
+  }
+
+  /**
+   * Re-check pending entries each time this replica becomes the leader
+   */
+  start() {
+    this.leaderElection.onLeadershipChange(isLeader => {
+      if (isLeader) {
+        this.recheckPending(new Date().toISOString());
+      }
+    });
+  }
+
+  /**
+   * Record a sent transaction (original or replacement)
+   * @param {ethers.TransactionResponse} tx
+   * @param {object} entry - { purpose, method, potId }
+   * @param {string|null} replacesTxHash - Hash of the version this one replaces
+   */
+  async recordSent(tx, entry, replacesTxHash = null) {
+    await this.write('record sent transaction', () =>
+      this.supabaseService.recordOperatorTransaction({
+        purpose: entry.purpose,
+        method: entry.method,
+        pot_id: entry.potId,
+        nonce: tx.nonce,
+        tx_hash: tx.hash,
+        replaces_tx_hash: replacesTxHash,
+        gas_limit: numeric(tx.gasLimit),
+        max_fee_per_gas: numeric(tx.maxFeePerGas),
+        max_priority_fee_per_gas: numeric(tx.maxPriorityFeePerGas),
+        gas_price: tx.maxFeePerGas === null || tx.maxFeePerGas === undefined
+          ? numeric(tx.gasPrice)
+          : null,
+        status: 'PENDING',
+        sent_at: new Date().toISOString()
+      })
+    );
+  }
+
+  /**
+   * Record a transaction the node refused to accept
+   * @param {object} transaction - Transaction request
+   * @param {object} entry - { purpose, method, potId }
+   * @param {Error} error
+   */
+  async recordFailed(transaction, entry, error) {
+    await this.write('record failed transaction', () =>
+      this.supabaseService.recordOperatorTransaction({
+        purpose: entry.purpose,
+        method: entry.method,
+        pot_id: entry.potId,
+        nonce: transaction.nonce === undefined ? null : transaction.nonce,
+        gas_limit: numeric(transaction.gasLimit),
+        status: 'FAILED',
+        error: error.message,
+        sent_at: new Date().toISOString()
+      })
+    );
+  }
+
+  /**
+   * Record the mined version of a transaction; its other versions become REPLACED
+   * @param {object} receipt - Receipt of the mined version
+   * @param {ethers.TransactionResponse[]} sent - Every version sent
+   * @param {object} entry - { potId, contractInterface }
+   */
+  async recordMined(receipt, sent, entry = {}) {
+    // The pot an event names beats the one read before sending (e.g. startGame)
+    const potId = this.getReceiptPotId(receipt, entry.contractInterface);
+    const potUpdate = potId !== null ? { pot_id: potId } : {};
+
+    await this.write('record mined transaction', async () =>
+      this.supabaseService.updateOperatorTransactions([receipt.hash], {
+        ...await this.getOutcome(receipt, sent.find(tx => tx.hash === receipt.hash), entry),
+        ...potUpdate,
+        mined_at: new Date().toISOString()
+      })
+    );
+
+    const others = sent.filter(tx => tx.hash !== receipt.hash).map(tx => tx.hash);
+    if (others.length > 0) {
+      await this.write('record replaced transactions', () =>
+        this.supabaseService.updateOperatorTransactions(
+          others,
+          { status: 'REPLACED', ...potUpdate },
+          'PENDING'
+        )
+      );
+    }
+  }
+
+  /**
+   * Status, gas and revert reason of a mined transaction
+   * @returns {Promise<object>}
+   */
+  async getOutcome(receipt, tx, entry = {}) {
+    const outcome = {
+      status: receipt.status === 1 ? 'MINED' : 'REVERTED',
+      block_number: receipt.blockNumber,
+      gas_used: numeric(receipt.gasUsed),
+      effective_gas_price: numeric(receipt.gasPrice)
+    };
+
+    if (receipt.status !== 1) {
+      outcome.revert_reason = await this.getRevertReason(receipt, tx, entry.contractInterface);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Replay a reverted transaction at its block to get the revert reason
+   * @returns {Promise<string|null>}
+   */
+  async getRevertReason(receipt, tx, contractInterface = null) {
+    if (!tx) {
+      return null;
+    }
+
+    try {
+      await this.walletService.getProvider().call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        blockTag: receipt.blockNumber
+      });
+      // Passes when replayed (e.g. it depended on its position in the block)
+      return null;
+    } catch (error) {
+      if (error.reason) {
+        return error.reason;
+      }
+      if (contractInterface && error.data) {
+        try {
+          const parsed = contractInterface.parseError(error.data);
+          if (parsed) {
+            return `${parsed.name}(${parsed.args.map(arg => arg.toString()).join(', ')})`;
+          }
+        } catch (parseError) {
+          // Fall through to the generic message
+        }
+      }
+      return error.shortMessage || error.message;
+    }
+  }
+
+  /**
+   * Pot id from a potId argument of an event in the receipt
+   * @returns {string|null}
+   */
+  getReceiptPotId(receipt, contractInterface = null) {
+    if (!contractInterface) {
+      return null;
+    }
+
+    for (const log of receipt.logs) {
+      let parsed = null;
+      try {
+        parsed = contractInterface.parseLog(log);
+      } catch (error) {
+        continue;
+      }
+
+      if (parsed && parsed.fragment.inputs.some(input => input.name === 'potId')) {
+        return parsed.args.potId.toString();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Re-check entries left PENDING (e.g. by a restart) against the chain
+   * Leader only (see start).
+   *
+   * @param {string|null} sentBefore - Only check entries sent before this time
+   * @returns {Promise<object>} { checked, updated }
+   */
+  async recheckPending(sentBefore = null) {
+    let pending;
+    try {
+      pending = await this.supabaseService.getOperatorTransactions({
+        status: 'PENDING',
+        sentBefore,
+        limit: 1000
+      });
+    } catch (error) {
+      logger.error('Failed to load pending operator transactions', { error: error.message });
+      return { checked: 0, updated: 0 };
+    }
+
+    if (pending.length === 0) {
+      return { checked: 0, updated: 0 };
+    }
+
+    const provider = this.walletService.getProvider();
+    let updated = 0;
+    let usedNonces = null;
+
+    for (const entry of pending) {
+      try {
+        const receipt = await provider.getTransactionReceipt(entry.tx_hash);
+
+        if (receipt) {
+          const tx = await provider.getTransaction(entry.tx_hash);
+          await this.supabaseService.updateOperatorTransactions(
+            [entry.tx_hash],
+            {
+              ...await this.getOutcome(receipt, tx),
+              mined_at: new Date().toISOString()
+            },
+            'PENDING'
+          );
+          updated++;
+          continue;
+        }
+
+        if (await provider.getTransaction(entry.tx_hash)) {
+          continue; // Still in the mempool
+        }
+
+        if (usedNonces === null) {
+          usedNonces = await provider.getTransactionCount(
+            this.walletService.getTreasuryAddress(),
+            'latest'
+          );
+        }
+
+        const replaced = Number(entry.nonce) < usedNonces;
+
+        // A pooled endpoint may never have seen it; the one it was sent to has
+        if (!replaced &&
+            await this.rpcPool.requestPinned('eth_getTransactionByHash', [entry.tx_hash])) {
+          continue;
+        }
+
+        await this.supabaseService.updateOperatorTransactions(
+          [entry.tx_hash],
+          {
+            status: replaced ? 'REPLACED' : 'DROPPED',
+            error: replaced
+              ? `Nonce ${entry.nonce} was used by another transaction`
+              : 'Transaction is no longer known to the node'
+          },
+          'PENDING'
+        );
+        updated++;
+      } catch (error) {
+        logger.error('Failed to re-check operator transaction', {
+          txHash: entry.tx_hash,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Pending operator transactions re-checked', {
+      checked: pending.length,
+      updated
+    });
+
+    return { checked: pending.length, updated };
+  }
+
+  /**
+   * Fees paid by operator transactions mined since a time
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<bigint|null>} Wei, or null if the journal can't be read
+   */
+  async getFeesPaid(since) {
+    try {
+      const spends = await this.supabaseService.getOperatorGasSpend(since);
+      return spends.reduce(
+        (sum, tx) => sum + BigInt(tx.gas_used || 0) * BigInt(tx.effective_gas_price || 0),
+        0n
+      );
+    } catch (error) {
+      logger.error('Failed to read fees paid from the operator journal', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Run a journal write, logging instead of throwing
+   */
+  async write(action, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.error(`Failed to ${action} in the operator journal`, { error: error.message });
+    }
+  }
+}
+
+module.exports = TransactionJournal;
@@ -0,0 +1,592 @@
+/**
+ * Transaction Sender
+ * Sends treasury transactions and makes sure they get mined (or fail loudly)
+ *
+ * tx.wait() blocks forever on an underpriced transaction, which would leave
+ * the game manager stuck mid-transition. Instead, every transaction is
+ * watched for TX_CONFIRM_TIMEOUT_MS. If none of its versions is mined by then,
+ * it is replaced at the same nonce with EIP-1559 fees bumped by
+ * TX_FEE_BUMP_PERCENT (or the current network fees, if higher), up to
+ * TX_MAX_REPLACEMENTS times.
+ *
+ * Fee spend is capped: a replacement never pays more than
+ * TX_MAX_FEE_PER_GAS_GWEI per gas (if set), and all treasury transactions
+ * together pay at most TX_MAX_TOTAL_FEE_ETH per rolling TX_FEE_WINDOW_HOURS.
+ * The budget counts the fees of mined journal entries plus the most each
+ * transaction in flight could still pay; nothing new is sent once it is used
+ * up. A replacement the caps don't leave room to raise by the nodes' 10%
+ * minimum (max fee and priority fee) is not sent.
+ *
+ * When the replacement limit or a cap is reached, the sender gives up with a
+ * TX_STUCK error listing every hash it sent. The nonce stays taken, so a
+ * stuck lifecycle transaction is kept: a later send of the same method for
+ * the same pot resumes waiting on (and bumping) it instead of using a new
+ * nonce, and other lifecycle sends are refused with TX_NONCE_PENDING until it
+ * is mined or its nonce is used by another transaction. Stuck bets are left
+ * to the bet queue, which follows their hashes.
+ *
+ * Lifecycle transactions are fenced: the leader lease is verified against the
+ * database right before the original and every replacement is broadcast
+ * (LeaderElectionService.verifyLease). A replica that lost the lease stops
+ * bumping and gives up with TX_STUCK.
+ *
+ * RPC errors while waiting (receipts, fee data) are logged and retried; the
+ * transaction is already broadcast.
+ *
+ * Any version of the transaction may be the one that gets mined; the result
+ * says which (replaced: false for the original). Every version is written to
+ * the operator transaction journal.
+ */
+
+const { ethers } = require('ethers');
+const winston = require('winston');
+const WalletService = require('./walletService');
+const TransactionJournal = require('./transactionJournal');
+const LeaderElectionService = require('./leaderElectionService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Nodes reject replacements that don't raise fees by at least 10%
+const MIN_BUMP_PERCENT = 10n;
+
+class TransactionSender {
+  constructor() {
+    if (TransactionSender.instance) {
+      return TransactionSender.instance;
+    }
+
+    this.walletService = WalletService.getInstance();
+    this.journal = TransactionJournal.getInstance();
+    this.leaderElection = LeaderElectionService.getInstance();
+
+    this.confirmTimeoutMs = parseInt(process.env.TX_CONFIRM_TIMEOUT_MS || '60000');
+    this.pollIntervalMs = parseInt(process.env.TX_POLL_INTERVAL_MS || '2000');
+    this.maxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS || '3');
+    this.bumpPercent = BigInt(
+      Math.max(parseInt(process.env.TX_FEE_BUMP_PERCENT || '25'), Number(MIN_BUMP_PERCENT))
+    );
+    this.maxFeePerGas = process.env.TX_MAX_FEE_PER_GAS_GWEI
+      ? ethers.parseUnits(process.env.TX_MAX_FEE_PER_GAS_GWEI, 'gwei')
+      : null;
+    this.maxTotalFee = ethers.parseEther(process.env.TX_MAX_TOTAL_FEE_ETH || '0.5');
+    this.feeWindowHours = Math.max(parseInt(process.env.TX_FEE_WINDOW_HOURS || '24'), 1);
+
+    // Transactions not mined yet, by nonce (stuck lifecycle ones included)
+    this.inFlight = new Map();
+
+    TransactionSender.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!TransactionSender.instance) {
+      TransactionSender.instance = new TransactionSender();
+    }
+    return TransactionSender.instance;
+  }
+
+  /**
+   * Send a transaction and wait until one of its versions is mined
+   *
+   * @param {object} transaction - Transaction request
+   * @param {object} options - { priority, label, onSubmitted(txHash), journal } where
+   *   onSubmitted is called for the original and for every replacement, and
+   *   journal is the { purpose, potId, contractInterface } of the journal entry
+   * @returns {Promise<object>} { receipt, txHash, originalTxHash, replaced, txHashes }
+   */
+  async send(transaction, {
+    priority = 'bet',
+    label = 'transaction',
+    onSubmitted = null,
+    journal = {}
+  } = {}) {
+    const entry = { potId: null, ...journal, method: label };
+    const key = `${label}:${entry.potId}`;
+
+    if (priority === 'lifecycle') {
+      const resumed = await this.resumeStuck(key, label, onSubmitted);
+      if (resumed) {
+        return resumed;
+      }
+    }
+
+    const remaining = await this.getRemainingBudget();
+    if (remaining !== null && remaining === 0n) {
+      const error = new Error(
+        `${label} transaction not sent: the fee budget of ` +
+        `${ethers.formatEther(this.maxTotalFee)} ETH per ${this.feeWindowHours}h is used up`
+      );
+      error.code = 'TX_FEE_BUDGET';
+      await this.journal.recordFailed(transaction, entry, error);
+      throw error;
+    }
+
+    let original;
+    try {
+      if (priority === 'lifecycle') {
+        await this.leaderElection.verifyLease();
+      }
+      original = await this.walletService.sendTransaction(transaction, { priority, label });
+    } catch (error) {
+      await this.journal.recordFailed(transaction, entry, error);
+      throw error;
+    }
+
+    const state = {
+      key,
+      label,
+      priority,
+      entry,
+      original,
+      current: original,
+      sent: [original],
+      replacements: 0,
+      stuck: false
+    };
+    this.inFlight.set(original.nonce, state);
+
+    await this.journal.recordSent(original, entry);
+
+    try {
+      if (onSubmitted) {
+        await onSubmitted(original.hash);
+      }
+
+      return await this.watch(state, onSubmitted);
+    } catch (error) {
+      // Only a stuck lifecycle transaction is kept for a later send to resume
+      if (!state.stuck || priority !== 'lifecycle') {
+        this.inFlight.delete(original.nonce);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for any version of a sent transaction, bumping fees while allowed
+   * @param {object} state - In-flight transaction (see send)
+   * @param {Function|null} onSubmitted
+   * @returns {Promise<object>} finish() result
+   */
+  async watch(state, onSubmitted = null) {
+    const { label, original, sent, entry } = state;
+
+    for (;;) {
+      const receipt = await this.waitForAny(sent, this.confirmTimeoutMs);
+
+      if (receipt) {
+        await this.journal.recordMined(receipt, sent, entry);
+        this.inFlight.delete(original.nonce);
+        return this.finish(receipt, original, sent, label);
+      }
+
+      let fees = null;
+      let reason = `replacement limit of ${this.maxReplacements} reached`;
+
+      if (state.replacements < this.maxReplacements) {
+        try {
+          fees = await this.bumpFees(state.current);
+        } catch (error) {
+          if (error.code !== 'TX_FEE_CAP') {
+            throw error;
+          }
+          reason = error.message;
+        }
+      }
+
+      if (!fees) {
+        state.stuck = true;
+        throw this.stuckError(state, reason);
+      }
+
+      if (state.priority === 'lifecycle') {
+        try {
+          await this.leaderElection.verifyLease();
+        } catch (error) {
+          state.stuck = true;
+          throw this.stuckError(state, error.message);
+        }
+      }
+
+      state.replacements++;
+
+      try {
+        const replacement = await this.walletService.sendReplacement(state.current, fees, label);
+        sent.push(replacement);
+        await this.journal.recordSent(replacement, entry, state.current.hash);
+        state.current = replacement;
+
+        if (onSubmitted) {
+          await onSubmitted(replacement.hash);
+        }
+      } catch (error) {
+        // Nonce already used means one of the sent versions was mined
+        if (error.code !== 'NONCE_EXPIRED') {
+          logger.error('Failed to send replacement transaction', {
+            label,
+            nonce: original.nonce,
+            error: error.message
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Settle stuck lifecycle transactions before sending a new one
+   * A stuck transaction with the same method and pot is resumed (or its
+   * result returned, if it was mined meanwhile); any other one still pending
+   * blocks the send.
+   *
+   * @param {string} key - Method and pot of the transaction to send
+   * @param {string} label
+   * @param {Function|null} onSubmitted
+   * @returns {Promise<object|null>} Result of the resumed transaction, or null to send a new one
+   */
+  async resumeStuck(key, label, onSubmitted) {
+    const stuck = [...this.inFlight.values()]
+      .filter(state => state.stuck && state.priority === 'lifecycle');
+
+    for (const state of stuck) {
+      const nonce = state.original.nonce;
+      const receipt = await this.checkStuck(state);
+
+      if (receipt) {
+        await this.journal.recordMined(receipt, state.sent, state.entry);
+        this.inFlight.delete(nonce);
+
+        if (state.key === key) {
+          return this.finish(receipt, state.original, state.sent, label);
+        }
+        continue;
+      }
+
+      if (!this.inFlight.has(nonce)) {
+        continue;
+      }
+
+      if (state.key !== key) {
+        const error = new Error(
+          `${label} transaction not sent: ${state.label} transaction at nonce ${nonce} ` +
+          `is still pending (${state.sent.map(tx => tx.hash).join(', ')})`
+        );
+        error.code = 'TX_NONCE_PENDING';
+        error.nonce = nonce;
+        error.txHashes = state.sent.map(tx => tx.hash);
+        throw error;
+      }
+
+      logger.warn('Resuming stuck transaction', {
+        label,
+        nonce,
+        txHashes: state.sent.map(tx => tx.hash)
+      });
+
+      state.stuck = false;
+      try {
+        return await this.watch(state, onSubmitted);
+      } catch (error) {
+        if (!state.stuck) {
+          this.inFlight.delete(nonce);
+        }
+        throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a stuck transaction once
+   * Forgets it if its nonce was used by a transaction that isn't one of its
+   * versions (e.g. it was dropped and the nonce reused).
+   *
+   * @param {object} state - In-flight transaction
+   * @returns {Promise<object|null>} Receipt of the mined version, or null
+   */
+  async checkStuck(state) {
+    const receipt = await this.waitForAny(state.sent, 0);
+    if (receipt) {
+      return receipt;
+    }
+
+    let usedNonces;
+    try {
+      usedNonces = await this.walletService.getProvider().getTransactionCount(
+        this.walletService.getTreasuryAddress(),
+        'latest'
+      );
+    } catch (error) {
+      logger.warn('Failed to read the treasury nonce', { error: error.message });
+      return null;
+    }
+
+    if (usedNonces <= state.original.nonce) {
+      return null;
+    }
+
+    // Mined between the two reads?
+    const minedMeanwhile = await this.waitForAny(state.sent, 0);
+    if (minedMeanwhile) {
+      return minedMeanwhile;
+    }
+
+    logger.warn('Stuck transaction nonce used by another transaction', {
+      label: state.label,
+      nonce: state.original.nonce,
+      txHashes: state.sent.map(tx => tx.hash)
+    });
+    this.inFlight.delete(state.original.nonce);
+    return null;
+  }
+
+  /**
+   * Poll for a receipt of any of the sent versions
+   * Receipt errors are logged and retried: the transaction was broadcast.
+   * @returns {Promise<object|null>} Receipt, or null on timeout
+   */
+  async waitForAny(sent, timeoutMs) {
+    const provider = this.walletService.getProvider();
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      for (const tx of sent) {
+        try {
+          const receipt = await provider.getTransactionReceipt(tx.hash);
+          if (receipt) {
+            return receipt;
+          }
+        } catch (error) {
+          logger.warn('Failed to get transaction receipt - will retry', {
+            txHash: tx.hash,
+            error: error.message
+          });
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        return null;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Report which version was mined; throw if it reverted
+   */
+  finish(receipt, original, sent, label) {
+    const replaced = receipt.hash !== original.hash;
+    const result = {
+      receipt,
+      txHash: receipt.hash,
+      originalTxHash: original.hash,
+      replaced,
+      txHashes: sent.map(tx => tx.hash)
+    };
+
+    if (replaced) {
+      logger.warn('Replacement transaction mined', {
+        label,
+        nonce: original.nonce,
+        originalTxHash: original.hash,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+    } else {
+      logger.info('Transaction mined', {
+        label,
+        nonce: original.nonce,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+    }
+
+    if (receipt.status !== 1) {
+      const error = new Error(`${label} transaction ${receipt.hash} reverted`);
+      error.code = 'CALL_EXCEPTION';
+      error.receipt = receipt;
+      error.result = result;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Fees for the next replacement
+   * @param {ethers.TransactionResponse} current - Latest version sent
+   * @returns {Promise<object>}
+   * @throws {Error} TX_FEE_CAP if the caps don't allow a valid replacement
+   */
+  async bumpFees(current) {
+    const feeData = await this.getFeeData();
+    const cap = await this.feeCap(current);
+    // Round up, so small fees (e.g. a 1 wei tip) still go up
+    const bump = value => (value * (100n + this.bumpPercent) + 99n) / 100n;
+    const minimum = value => (value * (100n + MIN_BUMP_PERCENT) + 99n) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    if (current.maxFeePerGas !== null && current.maxFeePerGas !== undefined) {
+      let maxFeePerGas = max(bump(current.maxFeePerGas), feeData.maxFeePerGas || 0n);
+      let maxPriorityFeePerGas = max(
+        bump(current.maxPriorityFeePerGas),
+        feeData.maxPriorityFeePerGas || 0n
+      );
+
+      if (maxFeePerGas > cap) {
+        maxFeePerGas = cap;
+      }
+      if (maxFeePerGas < minimum(current.maxFeePerGas)) {
+        throw this.feeCapError(current, cap, 'max fee');
+      }
+      if (maxPriorityFeePerGas > maxFeePerGas) {
+        maxPriorityFeePerGas = maxFeePerGas;
+      }
+      if (maxPriorityFeePerGas < minimum(current.maxPriorityFeePerGas)) {
+        throw this.feeCapError(current, cap, 'priority fee');
+      }
+
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    let gasPrice = max(bump(current.gasPrice), feeData.gasPrice || 0n);
+    if (gasPrice > cap) {
+      gasPrice = cap;
+    }
+    if (gasPrice < minimum(current.gasPrice)) {
+      throw this.feeCapError(current, cap, 'gas price');
+    }
+
+    return { gasPrice };
+  }
+
+  /**
+   * Current network fees ({} if they can't be read; the bump still applies)
+   */
+  async getFeeData() {
+    try {
+      return await this.walletService.getProvider().getFeeData();
+    } catch (error) {
+      logger.warn('Failed to get fee data - bumping from the last fees', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Highest fee per gas a replacement of a transaction may pay
+   * The replacement takes the current version's place in the fee budget. If
+   * the journal can't be read, the whole budget is the limit.
+   */
+  async feeCap(current) {
+    const remaining = await this.getRemainingBudget();
+    const available = remaining === null
+      ? this.maxTotalFee
+      : remaining + this.getMaxFee(current);
+    const budgetCap = available / BigInt(current.gasLimit);
+
+    return this.maxFeePerGas !== null && this.maxFeePerGas < budgetCap
+      ? this.maxFeePerGas
+      : budgetCap;
+  }
+
+  /**
+   * Fee budget left in the current window
+   * @returns {Promise<bigint|null>} Wei, or null if the journal can't be read
+   */
+  async getRemainingBudget() {
+    const since = new Date(Date.now() - this.feeWindowHours * 3600 * 1000).toISOString();
+    const paid = await this.journal.getFeesPaid(since);
+
+    if (paid === null) {
+      return null;
+    }
+
+    let committed = paid;
+    for (const state of this.inFlight.values()) {
+      committed += this.getMaxFee(state.current);
+    }
+
+    return committed < this.maxTotalFee ? this.maxTotalFee - committed : 0n;
+  }
+
+  /**
+   * Most a transaction can pay in fees (gas limit x max fee per gas)
+   */
+  getMaxFee(tx) {
+    const perGas = tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined
+      ? tx.maxFeePerGas
+      : tx.gasPrice || 0n;
+    return BigInt(tx.gasLimit) * perGas;
+  }
+
+  feeCapError(current, cap, fee) {
+    const error = new Error(
+      `fee cap of ${ethers.formatUnits(cap, 'gwei')} gwei per gas leaves no room ` +
+      `for a ${MIN_BUMP_PERCENT}% ${fee} bump`
+    );
+    error.code = 'TX_FEE_CAP';
+
+    logger.error('Fee cap reached - not bumping further', {
+      nonce: current.nonce,
+      txHash: current.hash,
+      capGwei: ethers.formatUnits(cap, 'gwei'),
+      fee
+    });
+    return error;
+  }
+
+  /**
+   * Error for a transaction that could not be confirmed
+   */
+  stuckError(state, reason) {
+    const { label, original, sent, replacements } = state;
+    const error = new Error(
+      `${label} transaction not mined (nonce ${original.nonce}, ` +
+      `${replacements} replacement(s), ${reason}): ${sent.map(tx => tx.hash).join(', ')}`
+    );
+    error.code = 'TX_STUCK';
+    error.txHashes = sent.map(tx => tx.hash);
+    error.nonce = original.nonce;
+
+    logger.error('Transaction stuck', {
+      label,
+      nonce: original.nonce,
+      reason,
+      txHashes: error.txHashes
+    });
+    return error;
+  }
+
+  /**
+   * In-flight and stuck transactions (for health checks)
+   */
+  getStatus() {
+    return {
+      inFlight: [...this.inFlight.values()].map(state => ({
+        label: state.label,
+        nonce: state.original.nonce,
+        stuck: state.stuck,
+        txHashes: state.sent.map(tx => tx.hash)
+      })),
+      maxTotalFee: ethers.formatEther(this.maxTotalFee),
+      feeWindowHours: this.feeWindowHours
+    };
+  }
+}
+
+module.exports = TransactionSender;
@@ -0,0 +1,418 @@
+/**
+ * Treasury Monitor
+ * Tracks the treasury's gas balance and runway, and tops it up if configured
+ *
+ * On a schedule (TREASURY_MONITOR_CRON) the leader replica:
+ * 1. reads the treasury ETH balance,
+ * 2. estimates the burn rate from the gas paid by the operator transactions
+ *    mined in the last TREASURY_BURN_WINDOW_HOURS (see transactionJournal.js)
+ *    and the runway (hours until the balance is spent at that rate),
+ * 3. raises alerts below TREASURY_LOW_BALANCE_ETH (warning),
+ *    TREASURY_CRITICAL_BALANCE_ETH (critical) and TREASURY_MIN_RUNWAY_HOURS,
+ * 4. with TREASURY_TOPUP_ENABLED, sends TREASURY_TOPUP_AMOUNT_ETH from the
+ *    funding wallet once the balance is below TREASURY_TOPUP_BELOW_ETH, never
+ *    more than TREASURY_TOPUP_DAILY_CAP_ETH per rolling 24 hours.
+ *
+ * The funding wallet is separate from the treasury and its key is only read
+ * from a file (FUNDING_WALLET_PRIVATE_KEY_FILE). Top-ups are recorded in
+ * treasury_topups (PENDING, before they are sent); unconfirmed ones count
+ * toward the cap.
+ */
+
+const cron = require('node-cron');
+const { ethers } = require('ethers');
+const winston = require('winston');
+const WalletService = require('./walletService');
+const SupabaseService = require('./supabaseService');
+const LeaderElectionService = require('./leaderElectionService');
+const AlertService = require('./alertService');
+const { readSecretFile } = require('./signers/secretFile');
+const { sumWei } = require('../utils/amounts');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TreasuryMonitor {
+  constructor() {
+    if (TreasuryMonitor.instance) {
+      return TreasuryMonitor.instance;
+    }
+
+    this.walletService = WalletService.getInstance();
+    this.supabaseService = SupabaseService.getInstance();
+    this.leaderElection = LeaderElectionService.getInstance();
+    this.alertService = AlertService.getInstance();
+
+    this.burnWindowHours = Math.max(parseInt(process.env.TREASURY_BURN_WINDOW_HOURS || '24'), 1);
+    this.lowBalance = ethers.parseEther(process.env.TREASURY_LOW_BALANCE_ETH || '0.05');
+    this.criticalBalance = ethers.parseEther(process.env.TREASURY_CRITICAL_BALANCE_ETH || '0.01');
+    this.minRunwayHours = parseFloat(process.env.TREASURY_MIN_RUNWAY_HOURS || '48');
+
+    this.topUpEnabled = process.env.TREASURY_TOPUP_ENABLED === 'true';
+    this.topUpBelow = ethers.parseEther(
+      process.env.TREASURY_TOPUP_BELOW_ETH || process.env.TREASURY_LOW_BALANCE_ETH || '0.05'
+    );
+    this.topUpAmount = ethers.parseEther(process.env.TREASURY_TOPUP_AMOUNT_ETH || '0.1');
+    this.topUpDailyCap = ethers.parseEther(process.env.TREASURY_TOPUP_DAILY_CAP_ETH || '0.5');
+    this.topUpConfirmTimeoutMs = parseInt(process.env.TREASURY_TOPUP_CONFIRM_TIMEOUT_MS || '120000');
+
+    this.fundingWallet = null;
+    this.cronJob = null;
+    this.checking = null;
+    this.lastSnapshot = null;
+
+    TreasuryMonitor.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   */
+  static getInstance() {
+    if (!TreasuryMonitor.instance) {
+      TreasuryMonitor.instance = new TreasuryMonitor();
+    }
+    return TreasuryMonitor.instance;
+  }
+
+  /**
+   * Check once now and then on the TREASURY_MONITOR_CRON schedule
+   */
+  start() {
+    if (this.cronJob) {
+      return;
+    }
+
+    if (this.topUpEnabled) {
+      this.fundingWallet = this.loadFundingWallet();
+    }
+
+    const schedule = process.env.TREASURY_MONITOR_CRON || '0 * * * * *';
+
+    this.cronJob = cron.schedule(schedule, () => {
+      this.runScheduled();
+    });
+
+    logger.info('Treasury monitor scheduled', {
+      schedule,
+      topUp: this.topUpEnabled,
+      fundingWallet: this.fundingWallet ? this.fundingWallet.address : null
+    });
+
+    this.runScheduled();
+  }
+
+  /**
+   * Stop the scheduled checks
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  /**
+   * Funding wallet from FUNDING_WALLET_PRIVATE_KEY_FILE
+   * @returns {ethers.Wallet}
+   */
+  loadFundingWallet() {
+    const privateKey = readSecretFile(
+      process.env.FUNDING_WALLET_PRIVATE_KEY_FILE,
+      'FUNDING_WALLET_PRIVATE_KEY_FILE'
+    ).trim();
+
+    let wallet;
+    try {
+      wallet = new ethers.Wallet(privateKey, this.walletService.getProvider());
+    } catch (error) {
+      throw new Error('FUNDING_WALLET_PRIVATE_KEY_FILE does not contain a valid private key');
+    }
+
+    if (wallet.address === this.walletService.getTreasuryAddress()) {
+      throw new Error('The funding wallet must not be the treasury wallet');
+    }
+
+    return wallet;
+  }
+
+  /**
+   * Scheduled check (leader only, one at a time, errors logged)
+   */
+  async runScheduled() {
+    if (this.checking || !this.leaderElection.isLeader()) {
+      return;
+    }
+
+    this.checking = this.check();
+    try {
+      await this.checking;
+    } catch (error) {
+      logger.error('Treasury check failed', { error: error.message });
+    } finally {
+      this.checking = null;
+    }
+  }
+
+  /**
+   * Take a snapshot, raise or resolve alerts and top up if needed
+   * @returns {Promise<object>} Snapshot
+   */
+  async check() {
+    const snapshot = await this.getSnapshot();
+    this.lastSnapshot = snapshot;
+
+    await this.evaluate(snapshot);
+
+    if (this.topUpEnabled && BigInt(snapshot.balance) < this.topUpBelow) {
+      await this.topUp(BigInt(snapshot.balance));
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Current balance, gas burn and runway
+   * @returns {Promise<object>}
+   */
+  async getSnapshot() {
+    const address = this.walletService.getTreasuryAddress();
+    const balance = await this.walletService.getProvider().getBalance(address);
+
+    const since = new Date(Date.now() - this.burnWindowHours * 3600 * 1000).toISOString();
+    const spends = await this.supabaseService.getOperatorGasSpend(since);
+    const spent = spends.reduce(
+      (sum, tx) => sum + BigInt(tx.gas_used || 0) * BigInt(tx.effective_gas_price || 0),
+      0n
+    );
+    const perHour = spent / BigInt(this.burnWindowHours);
+
+    return {
+      address,
+      balance: balance.toString(),
+      balanceFormatted: ethers.formatEther(balance),
+      burn: {
+        windowHours: this.burnWindowHours,
+        transactions: spends.length,
+        spent: spent.toString(),
+        spentFormatted: ethers.formatEther(spent),
+        perHour: perHour.toString(),
+        perHourFormatted: ethers.formatEther(perHour)
+      },
+      // null while nothing was spent in the window
+      runwayHours: perHour > 0n ? Number((balance * 100n) / perHour) / 100 : null,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Raise or resolve the balance and runway alerts
+   * @param {object} snapshot
+   */
+  async evaluate(snapshot) {
+    const balance = BigInt(snapshot.balance);
+    const details = {
+      address: snapshot.address,
+      balance: `${snapshot.balanceFormatted} ETH`,
+      runwayHours: snapshot.runwayHours
+    };
+
+    if (balance < this.criticalBalance) {
+      await this.alertService.raise(
+        'treasury.balance',
+        'critical',
+        `Treasury balance ${snapshot.balanceFormatted} ETH is below the critical threshold`,
+        details
+      );
+    } else if (balance < this.lowBalance) {
+      await this.alertService.raise(
+        'treasury.balance',
+        'warning',
+        `Treasury balance ${snapshot.balanceFormatted} ETH is low`,
+        details
+      );
+    } else {
+      await this.alertService.resolve('treasury.balance', 'Treasury balance is back above threshold');
+    }
+
+    if (snapshot.runwayHours !== null && snapshot.runwayHours < this.minRunwayHours) {
+      await this.alertService.raise(
+        'treasury.runway',
+        'warning',
+        `Treasury runway is ${snapshot.runwayHours} hours at the current gas burn`,
+        { ...details, perHour: `${snapshot.burn.perHourFormatted} ETH` }
+      );
+    } else {
+      await this.alertService.resolve('treasury.runway', 'Treasury runway is back above threshold');
+    }
+  }
+
+  /**
+   * Amount top-ups may still send in the rolling 24 hours
+   * @returns {Promise<object>} { sent, remaining } in wei
+   */
+  async getTopUpAllowance() {
+    const topUps = await this.supabaseService.getTreasuryTopUps(
+      new Date(Date.now() - DAY_MS).toISOString()
+    );
+    const sent = sumWei(topUps.filter(topUp => topUp.status !== 'FAILED'), topUp => topUp.amount);
+
+    return {
+      sent,
+      remaining: sent < this.topUpDailyCap ? this.topUpDailyCap - sent : 0n
+    };
+  }
+
+  /**
+   * Send a top-up from the funding wallet and wait for it
+   * @param {bigint} treasuryBalance - Balance that triggered it
+   */
+  async topUp(treasuryBalance) {
+    const { remaining } = await this.getTopUpAllowance();
+    const amount = this.topUpAmount < remaining ? this.topUpAmount : remaining;
+
+    if (amount === 0n) {
+      await this.alertService.raise(
+        'treasury.topup',
+        'warning',
+        'Treasury top-up skipped: daily cap reached',
+        { dailyCap: `${ethers.formatEther(this.topUpDailyCap)} ETH` }
+      );
+      return;
+    }
+
+    const provider = this.walletService.getProvider();
+    const fundingBalance = await provider.getBalance(this.fundingWallet.address);
+
+    if (fundingBalance <= amount) {
+      await this.alertService.raise(
+        'treasury.funding',
+        'critical',
+        'Funding wallet cannot cover the treasury top-up',
+        {
+          fundingWallet: this.fundingWallet.address,
+          balance: `${ethers.formatEther(fundingBalance)} ETH`,
+          amount: `${ethers.formatEther(amount)} ETH`
+        }
+      );
+      return;
+    }
+    await this.alertService.resolve('treasury.funding');
+
+    const treasury = this.walletService.getTreasuryAddress();
+    let topUp = null;
+    let tx = null;
+
+    try {
+      // Recorded before sending, so a sent top-up always counts toward the cap
+      topUp = await this.supabaseService.recordTreasuryTopUp({
+        fromAddress: this.fundingWallet.address,
+        toAddress: treasury,
+        amount,
+        treasuryBalance
+      });
+
+      tx = await this.fundingWallet.sendTransaction({ to: treasury, value: amount });
+
+      logger.info('Treasury top-up sent', {
+        txHash: tx.hash,
+        amount: `${ethers.formatEther(amount)} ETH`
+      });
+
+      await this.supabaseService.updateTreasuryTopUp(topUp.id, { tx_hash: tx.hash.toLowerCase() });
+
+      const receipt = await tx.wait(1, this.topUpConfirmTimeoutMs);
+      if (!receipt || receipt.status !== 1) {
+        const error = new Error(`Top-up transaction ${tx.hash} reverted`);
+        error.code = 'CALL_EXCEPTION';
+        throw error;
+      }
+
+      await this.supabaseService.updateTreasuryTopUp(topUp.id, {
+        status: 'CONFIRMED',
+        block_number: receipt.blockNumber,
+        confirmed_at: new Date().toISOString()
+      });
+      await this.alertService.resolve('treasury.topup');
+
+      logger.info('Treasury top-up confirmed', {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber
+      });
+    } catch (error) {
+      // Only a top-up that was refused or reverted stops counting toward the
+      // cap; one that may still be mined (e.g. timed out) stays PENDING
+      if (topUp && (!tx || error.code === 'CALL_EXCEPTION')) {
+        await this.supabaseService.updateTreasuryTopUp(topUp.id, {
+          status: 'FAILED',
+          error: error.message
+        }).catch(updateError => {
+          logger.error('Failed to mark treasury top-up failed', {
+            topUpId: topUp.id,
+            error: updateError.message
+          });
+        });
+      }
+
+      await this.alertService.raise('treasury.topup', 'critical', 'Treasury top-up failed', {
+        error: error.message,
+        amount: `${ethers.formatEther(amount)} ETH`
+      });
+    }
+  }
+
+  /**
+   * Fresh snapshot with top-up state and active alerts (for the ops dashboard)
+   * @returns {Promise<object>}
+   */
+  async getReport() {
+    const snapshot = await this.getSnapshot();
+    const report = {
+      ...snapshot,
+      thresholds: {
+        lowBalance: ethers.formatEther(this.lowBalance),
+        criticalBalance: ethers.formatEther(this.criticalBalance),
+        minRunwayHours: this.minRunwayHours
+      },
+      topUp: {
+        enabled: this.topUpEnabled
+      },
+      alerts: this.alertService.getActive().filter(alert => alert.key.startsWith('treasury.')),
+      lastCheckedAt: this.lastSnapshot ? this.lastSnapshot.checkedAt : null
+    };
+
+    if (this.topUpEnabled) {
+      const { sent, remaining } = await this.getTopUpAllowance();
+      const fundingBalance = this.fundingWallet
+        ? await this.walletService.getProvider().getBalance(this.fundingWallet.address)
+        : null;
+
+      report.topUp = {
+        enabled: true,
+        below: ethers.formatEther(this.topUpBelow),
+        amount: ethers.formatEther(this.topUpAmount),
+        dailyCap: ethers.formatEther(this.topUpDailyCap),
+        sentLast24h: ethers.formatEther(sent),
+        remainingLast24h: ethers.formatEther(remaining),
+        fundingWallet: this.fundingWallet ? this.fundingWallet.address : null,
+        fundingBalance: fundingBalance !== null ? ethers.formatEther(fundingBalance) : null
+      };
+    }
+
+    return report;
+  }
+}
+
+module.exports = TreasuryMonitor;
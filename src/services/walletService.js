@@ -2,12 +2,27 @@
  * Treasury Wallet Service
  * Manages the server-side wallet used as the approved operator for SmolPot transactions
  *
- * Security: This service holds the private key for the Treasury Wallet.
- * NEVER expose the private key or wallet instance to the frontend.
+ * All transactions from the treasury go through sendTransaction, which assigns
+ * nonces itself instead of leaving it to ethers. Sends are serialized (receipts
+ * are awaited by the caller, so transactions still pipeline), lifecycle
+ * transactions jump ahead of queued bet transactions, and the nonce is resynced
+ * from the node's pending count on startup, after nonce errors and after the
+ * wallet has been idle (which recovers from dropped transactions).
+ *
+ * RPC traffic goes through the RpcProviderPool. Sends and nonce reads stay on
+ * its pinned endpoint; when the pin moves, the nonce is resynced before the
+ * next send.
+ *
+ * Signing is delegated to the backend selected by TREASURY_SIGNER (see
+ * signers/); this service and its callers only see an ethers Signer.
+ *
+ * Security: NEVER expose the signer to the frontend.
  */
 
 const { ethers } = require('ethers');
 const winston = require('winston');
+const RpcProviderPool = require('./rpcProviderPool');
+const { createSigner } = require('./signers');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -23,6 +38,23 @@ const logger = winston.createLogger({
   ]
 });
 
+// Lower sends first
+const TX_PRIORITIES = {
+  lifecycle: 0, // startGame, lockGame, finishGame, emergencyCancel, updateConfig
+  bet: 1 // enterPotFor, permit
+};
+
+const MAX_NONCE_ATTEMPTS = 3;
+
+/**
+ * Whether a send failed because of the nonce it used
+ */
+function isNonceError(error) {
+  return error.code === 'NONCE_EXPIRED' ||
+    error.code === 'REPLACEMENT_UNDERPRICED' ||
+    /nonce/i.test(error.message || '');
+}
+
 class WalletService {
   constructor() {
     if (WalletService.instance) {
@@ -30,9 +62,19 @@ class WalletService {
     }
 
     this.provider = null;
-    this.treasuryWallet = null;
+    this.signer = null;
+    this.signerBackend = null;
+    this.address = null;
     this.initialized = false;
 
+    // Nonce manager
+    this.txQueue = [];
+    this.sendingTx = false;
+    this.nextNonce = null;
+    this.nonceStale = false;
+    this.lastSendAt = 0;
+    this.nonceResyncIdleMs = parseInt(process.env.NONCE_RESYNC_IDLE_MS || '30000');
+
     WalletService.instance = this;
   }
 
@@ -57,37 +99,30 @@ class WalletService {
     }
 
     try {
-      // Validate environment variables
-      const rpcUrl = process.env.ABSTRACT_RPC_URL;
-      const privateKey = process.env.TREASURY_WALLET_PRIVATE_KEY;
-      const chainId = parseInt(process.env.ABSTRACT_CHAIN_ID || '11124');
-
-      if (!rpcUrl) {
-        throw new Error('ABSTRACT_RPC_URL environment variable is required');
-      }
-
-      if (!privateKey || privateKey === 'GENERATE_NEW_WALLET_AND_REPLACE_THIS') {
-        throw new Error(
-          'TREASURY_WALLET_PRIVATE_KEY must be set with a valid private key. ' +
-          'Generate one using: node -e "console.log(require(\'ethers\').Wallet.createRandom())"'
-        );
-      }
-
       // Create provider
-      this.provider = new ethers.JsonRpcProvider(rpcUrl, {
-        chainId,
-        name: 'Abstract Testnet'
+      const rpcPool = RpcProviderPool.getInstance();
+      await rpcPool.initialize();
+      this.provider = rpcPool.getProvider();
+
+      rpcPool.onRepin(endpoint => {
+        this.nonceStale = true;
+        logger.warn('Send endpoint changed - nonce will be resynced', { endpoint });
       });
 
-      // Create wallet from private key
-      this.treasuryWallet = new ethers.Wallet(privateKey, this.provider);
+      // Create the signer
+      const { signer, backend } = await createSigner(this.provider);
+      this.signer = signer;
+      this.signerBackend = backend;
+      this.address = await signer.getAddress();
 
       // Verify connection and wallet
       const network = await this.provider.getNetwork();
-      const balance = await this.provider.getBalance(this.treasuryWallet.address);
+      const balance = await this.provider.getBalance(this.address);
 
       logger.info('Treasury Wallet Service initialized successfully', {
-        address: this.treasuryWallet.address,
+        address: this.address,
+        signer: backend,
+        network: rpcPool.getNetworkProfile().displayName,
         chainId: network.chainId.toString(),
         balance: ethers.formatEther(balance) + ' ETH'
       });
@@ -96,11 +131,13 @@ class WalletService {
       const balanceInEth = parseFloat(ethers.formatEther(balance));
       if (balanceInEth < 0.01) {
         logger.warn('Treasury Wallet has low balance! Please fund it.', {
-          address: this.treasuryWallet.address,
+          address: this.address,
           balance: balanceInEth + ' ETH'
         });
       }
 
+      await this.resyncNonce('startup');
+
       this.initialized = true;
     } catch (error) {
       logger.error('Failed to initialize Treasury Wallet Service', {
@@ -111,14 +148,14 @@ class WalletService {
   }
 
   /**
-   * Get the Treasury Wallet instance
-   * @returns {ethers.Wallet}
+   * Get the Treasury Wallet signer
+   * @returns {ethers.Signer}
    */
-  getTreasuryWallet() {
+  getSigner() {
     if (!this.initialized) {
       throw new Error('WalletService not initialized. Call initialize() first.');
     }
-    return this.treasuryWallet;
+    return this.signer;
   }
 
   /**
@@ -129,12 +166,12 @@ class WalletService {
     if (!this.initialized) {
       throw new Error('WalletService not initialized. Call initialize() first.');
     }
-    return this.treasuryWallet.address;
+    return this.address;
   }
 
   /**
    * Get the provider instance
-   * @returns {ethers.JsonRpcProvider}
+   * @returns {ethers.JsonRpcApiProvider} Pooled provider (see RpcProviderPool)
    */
   getProvider() {
     if (!this.initialized) {
@@ -153,7 +190,7 @@ class WalletService {
     }
 
     try {
-      const balance = await this.provider.getBalance(this.treasuryWallet.address);
+      const balance = await this.provider.getBalance(this.address);
       return ethers.formatEther(balance);
     } catch (error) {
       logger.error('Failed to get Treasury Wallet balance', {
@@ -174,7 +211,7 @@ class WalletService {
     }
 
     try {
-      const signature = await this.treasuryWallet.signMessage(message);
+      const signature = await this.signer.signMessage(message);
       logger.debug('Message signed successfully', {
         message: message.substring(0, 50) + '...'
       });
@@ -198,7 +235,7 @@ class WalletService {
     }
 
     try {
-      const signedTx = await this.treasuryWallet.signTransaction(transaction);
+      const signedTx = await this.signer.signTransaction(transaction);
       logger.debug('Transaction signed successfully', {
         to: transaction.to,
         value: transaction.value ? ethers.formatEther(transaction.value) : '0'
@@ -212,6 +249,178 @@ class WalletService {
     }
   }
 
+  /**
+   * Send a transaction from the Treasury Wallet with a managed nonce
+   * @param {object} transaction - Transaction request (e.g. from contract.method.populateTransaction)
+   * @param {object} options - { priority: 'lifecycle' | 'bet', label }
+   * @returns {Promise<ethers.TransactionResponse>} Sent transaction (not yet mined)
+   */
+  sendTransaction(transaction, { priority = 'bet', label = 'transaction' } = {}) {
+    if (!this.initialized) {
+      throw new Error('WalletService not initialized. Call initialize() first.');
+    }
+
+    if (!(priority in TX_PRIORITIES)) {
+      throw new Error(`Unknown transaction priority: ${priority}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { transaction, priority: TX_PRIORITIES[priority], label, resolve, reject };
+
+      // Behind everything of the same or higher priority
+      const index = this.txQueue.findIndex(queued => queued.priority > job.priority);
+      if (index === -1) {
+        this.txQueue.push(job);
+      } else {
+        this.txQueue.splice(index, 0, job);
+      }
+
+      this.processTxQueue();
+    });
+  }
+
+  /**
+   * Send queued transactions one at a time
+   */
+  async processTxQueue() {
+    if (this.sendingTx) {
+      return;
+    }
+
+    this.sendingTx = true;
+
+    try {
+      while (this.txQueue.length > 0) {
+        const job = this.txQueue.shift();
+        try {
+          job.resolve(await this.sendWithNonce(job));
+        } catch (error) {
+          job.reject(error);
+        }
+      }
+    } finally {
+      this.sendingTx = false;
+    }
+  }
+
+  /**
+   * Assign the next nonce and broadcast, resyncing and retrying on nonce errors
+   */
+  async sendWithNonce(job) {
+    if (this.nextNonce === null || this.nonceStale ||
+      Date.now() - this.lastSendAt > this.nonceResyncIdleMs) {
+      await this.resyncNonce(
+        this.nextNonce === null ? 'unknown nonce' : this.nonceStale ? 'endpoint changed' : 'idle'
+      );
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const nonce = this.nextNonce;
+
+      try {
+        const tx = await this.signer.sendTransaction({ ...job.transaction, nonce });
+
+        this.nextNonce = nonce + 1;
+        this.lastSendAt = Date.now();
+
+        logger.info('Transaction sent', {
+          label: job.label,
+          nonce,
+          txHash: tx.hash
+        });
+        return tx;
+      } catch (error) {
+        if (isNonceError(error) && attempt < MAX_NONCE_ATTEMPTS) {
+          logger.warn('Nonce rejected - resyncing', {
+            label: job.label,
+            nonce,
+            attempt,
+            error: error.message
+          });
+          await this.resyncNonce('nonce error');
+          continue;
+        }
+
+        // Whether it reached the node is unknown; ask the node before the next send
+        this.nextNonce = null;
+
+        logger.error('Failed to send transaction', {
+          label: job.label,
+          nonce,
+          error: error.message
+        });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Re-send a pending transaction at the same nonce with new fees
+   * Does not go through the nonce queue: the nonce is already taken.
+   *
+   * @param {ethers.TransactionResponse} original - Transaction to replace
+   * @param {object} fees - { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+   * @param {string} label
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  async sendReplacement(original, fees, label = 'transaction') {
+    if (!this.initialized) {
+      throw new Error('WalletService not initialized. Call initialize() first.');
+    }
+
+    const tx = await this.signer.sendTransaction({
+      to: original.to,
+      data: original.data,
+      value: original.value,
+      gasLimit: original.gasLimit,
+      chainId: original.chainId,
+      nonce: original.nonce,
+      type: original.type,
+      ...fees
+    });
+
+    logger.warn('Replacement transaction sent', {
+      label,
+      nonce: original.nonce,
+      replaces: original.hash,
+      txHash: tx.hash
+    });
+    return tx;
+  }
+
+  /**
+   * Set the next nonce from the node's pending transaction count
+   * @param {string} reason
+   */
+  async resyncNonce(reason) {
+    const pending = await this.provider.getTransactionCount(this.address, 'pending');
+
+    if (this.nextNonce !== null && this.nextNonce !== pending) {
+      logger.warn('Treasury nonce resynced', {
+        reason,
+        from: this.nextNonce,
+        to: pending
+      });
+    } else {
+      logger.debug('Treasury nonce synced', { reason, nonce: pending });
+    }
+
+    this.nextNonce = pending;
+    this.nonceStale = false;
+  }
+
+  /**
+   * Get nonce manager state (for health checks)
+   */
+  getNonceStatus() {
+    return {
+      nextNonce: this.nextNonce,
+      queued: this.txQueue.length,
+      sending: this.sendingTx,
+      lastSendAt: this.lastSendAt ? new Date(this.lastSendAt).toISOString() : null
+    };
+  }
+
   /**
    * Get the current gas price
    * @returns {Promise<bigint>} Gas price in wei
@@ -0,0 +1,105 @@
+/**
+ * Amount Utilities
+ * One amount model for the whole backend
+ *
+ * SMOL amounts are handled as BigInt wei internally and stored as NUMERIC wei
+ * strings in the database. Human-readable SMOL strings are only produced at
+ * the edges: parsing user input and formatting API responses. Never use
+ * floating point for amounts.
+ */
+
+const { ethers } = require('ethers');
+
+const SMOL_DECIMALS = 18;
+
+/**
+ * Parse a human-readable SMOL amount (e.g. "12.5") into wei
+ * @param {string} value
+ * @returns {bigint}
+ */
+function parseSmol(value) {
+  return ethers.parseUnits(String(value).trim(), SMOL_DECIMALS);
+}
+
+/**
+ * Convert a wei value (bigint, integer string or NUMERIC column) to BigInt
+ * @param {bigint|string|number|null|undefined} value
+ * @returns {bigint}
+ */
+function toWei(value) {
+  if (value === null || value === undefined || value === '') {
+    return 0n;
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`Unsafe wei amount: ${value}`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Format wei as a human-readable SMOL string
+ * @param {bigint|string} wei
+ * @returns {string}
+ */
+function formatSmol(wei) {
+  return ethers.formatUnits(toWei(wei), SMOL_DECIMALS);
+}
+
+/**
+ * Sum the wei amounts of a list
+ * @param {array} items
+ * @param {Function} pick - Returns the wei amount of an item
+ * @returns {bigint}
+ */
+function sumWei(items, pick) {
+  return items.reduce((sum, item) => sum + toWei(pick(item)), 0n);
+}
+
+/**
+ * Add `<field>Formatted` SMOL strings next to wei fields of an API object
+ * Wei fields are returned as strings so they survive JSON.
+ *
+ * @param {object} data
+ * @param {string[]} fields - Names of wei fields
+ * @returns {object}
+ */
+function withFormatted(data, fields) {
+  return addFormatted(data, fields, field => `${field}Formatted`);
+}
+
+/**
+ * Add `<column>_formatted` SMOL strings next to wei columns of a database row
+ * @param {object} row
+ * @param {string[]} columns - Names of wei columns
+ * @returns {object}
+ */
+function formatRow(row, columns) {
+  return addFormatted(row, columns, column => `${column}_formatted`);
+}
+
+function addFormatted(data, fields, formattedName) {
+  const result = { ...data };
+
+  for (const field of fields) {
+    if (result[field] === null || result[field] === undefined) {
+      continue;
+    }
+    result[field] = toWei(result[field]).toString();
+    result[formattedName(field)] = formatSmol(result[field]);
+  }
+
+  return result;
+}
+
+module.exports = {
+  SMOL_DECIMALS,
+  parseSmol,
+  toWei,
+  formatSmol,
+  sumWei,
+  withFormatted,
+  formatRow
+};
@@ -0,0 +1,22 @@
+/**
+ * Stats Utilities
+ * Small helpers for the rolling request stats kept per RPC endpoint
+ */
+
+/**
+ * Value at a percentile of a list of numbers
+ * @param {number[]} values
+ * @param {number} p - 0-100
+ * @returns {number|null} null for an empty list
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+module.exports = {
+  percentile
+};
@@ -0,0 +1,6 @@
+-- Unique bet per transaction
+-- Bets are recorded both from the /enter route and from PlayerEntered events,
+-- so the transaction hash is used to deduplicate them.
+
+DROP INDEX IF EXISTS public.idx_bets_tx_hash;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bets_tx_hash ON public.bets(tx_hash);
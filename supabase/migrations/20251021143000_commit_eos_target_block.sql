@@ -0,0 +1,36 @@
+-- EOS randomness commitment
+-- The target EOS block is chosen and stored when the pot locks. Retries and
+-- restarts reuse the stored block, so the randomness cannot be re-rolled.
+
+ALTER TABLE public.game_rounds
+    ADD COLUMN IF NOT EXISTS eos_target_block BIGINT,
+    ADD COLUMN IF NOT EXISTS eos_target_committed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.game_rounds
+    DROP CONSTRAINT IF EXISTS eos_block_matches_target;
+ALTER TABLE public.game_rounds
+    ADD CONSTRAINT eos_block_matches_target
+    CHECK (eos_block_number IS NULL OR eos_target_block IS NULL OR eos_block_number = eos_target_block);
+
+COMMENT ON COLUMN public.game_rounds.eos_target_block IS 'EOS block committed to for randomness at lock time';
+
+-- Function to keep a committed target block immutable
+CREATE OR REPLACE FUNCTION prevent_eos_target_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.eos_target_block IS NOT NULL
+       AND NEW.eos_target_block IS DISTINCT FROM OLD.eos_target_block THEN
+        RAISE EXCEPTION 'EOS target block for pot % is already committed', OLD.pot_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_eos_target_change ON public.game_rounds;
+CREATE TRIGGER trigger_prevent_eos_target_change
+    BEFORE UPDATE ON public.game_rounds
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_eos_target_change();
+
+COMMENT ON FUNCTION prevent_eos_target_change() IS 'Keeps the committed EOS target block immutable';
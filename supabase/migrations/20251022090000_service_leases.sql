@@ -0,0 +1,69 @@
+-- Service leases for leader election
+-- Only the replica holding the 'game-manager' lease drives the pot lifecycle.
+-- Every new acquisition bumps the fencing token, so a replica that lost the
+-- lease can detect it before sending any lifecycle transaction.
+
+CREATE TABLE IF NOT EXISTS public.service_leases (
+    name TEXT PRIMARY KEY,
+    holder_id TEXT NOT NULL,
+    fencing_token BIGINT NOT NULL DEFAULT 1,
+    acquired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    renewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Acquire or renew a lease
+-- Returns the fencing token if the caller holds the lease, NULL otherwise
+CREATE OR REPLACE FUNCTION acquire_service_lease(
+    p_name TEXT,
+    p_holder_id TEXT,
+    p_ttl_seconds INTEGER
+)
+RETURNS BIGINT AS $$
+DECLARE
+    v_token BIGINT;
+BEGIN
+    INSERT INTO public.service_leases (name, holder_id, expires_at)
+    VALUES (p_name, p_holder_id, NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (name) DO UPDATE
+    SET
+        -- A new holder takes over only once the previous lease expired
+        fencing_token = CASE
+            WHEN service_leases.holder_id = EXCLUDED.holder_id THEN service_leases.fencing_token
+            ELSE service_leases.fencing_token + 1
+        END,
+        acquired_at = CASE
+            WHEN service_leases.holder_id = EXCLUDED.holder_id THEN service_leases.acquired_at
+            ELSE NOW()
+        END,
+        holder_id = EXCLUDED.holder_id,
+        renewed_at = NOW(),
+        expires_at = EXCLUDED.expires_at
+    WHERE service_leases.holder_id = EXCLUDED.holder_id
+       OR service_leases.expires_at < NOW()
+    RETURNING fencing_token INTO v_token;
+
+    RETURN v_token;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Release a lease held by the caller
+CREATE OR REPLACE FUNCTION release_service_lease(
+    p_name TEXT,
+    p_holder_id TEXT
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE public.service_leases
+    SET expires_at = NOW()
+    WHERE name = p_name AND holder_id = p_holder_id;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE public.service_leases ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.service_leases IS 'Leader election leases shared by backend replicas';
+COMMENT ON FUNCTION acquire_service_lease(TEXT, TEXT, INTEGER) IS 'Acquires or renews a lease and returns its fencing token';
+COMMENT ON FUNCTION release_service_lease(TEXT, TEXT) IS 'Releases a lease held by the caller';
@@ -0,0 +1,40 @@
+-- Lazy round start and underfilled round policy
+-- Rounds below the contract's minParticipants are extended or cancelled once
+-- the idle timeout passes; the decision is recorded on the round.
+
+ALTER TABLE public.game_rounds
+    ADD COLUMN IF NOT EXISTS underfilled_policy TEXT,
+    ADD COLUMN IF NOT EXISTS underfilled_action TEXT,
+    ADD COLUMN IF NOT EXISTS underfilled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS extension_count INTEGER DEFAULT 0;
+
+ALTER TABLE public.game_rounds
+    DROP CONSTRAINT IF EXISTS underfilled_policy_valid;
+ALTER TABLE public.game_rounds
+    ADD CONSTRAINT underfilled_policy_valid
+    CHECK (underfilled_policy IS NULL OR underfilled_policy IN ('extend', 'cancel'));
+
+ALTER TABLE public.game_rounds
+    DROP CONSTRAINT IF EXISTS underfilled_action_valid;
+ALTER TABLE public.game_rounds
+    ADD CONSTRAINT underfilled_action_valid
+    CHECK (underfilled_action IS NULL OR underfilled_action IN ('EXTENDED', 'CANCELLED'));
+
+-- Round start requests (on-bet mode)
+-- A replica that is not the leader cannot start a round itself, so it leaves
+-- a request for the leader to pick up.
+CREATE TABLE IF NOT EXISTS public.round_start_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reason TEXT NOT NULL,
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    handled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_round_start_requests_pending
+    ON public.round_start_requests(requested_at)
+    WHERE handled_at IS NULL;
+
+ALTER TABLE public.round_start_requests ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN public.game_rounds.underfilled_action IS 'EXTENDED or CANCELLED when the round stayed below minParticipants';
+COMMENT ON TABLE public.round_start_requests IS 'Round start requests left for the leader replica (on-bet start mode)';
@@ -0,0 +1,35 @@
+-- Admin controls
+-- automation_settings holds the pause flag shared by all replicas;
+-- admin_actions is the audit log of every operator intervention.
+
+CREATE TABLE IF NOT EXISTS public.automation_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),  -- Single row
+    paused BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO public.automation_settings (id, paused)
+VALUES (1, FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.admin_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    params JSONB,
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_created_at ON public.admin_actions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_actor ON public.admin_actions(actor);
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.automation_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_actions ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.automation_settings IS 'Game automation switches shared by all replicas';
+COMMENT ON TABLE public.admin_actions IS 'Audit log of operator actions taken through /api/admin';
@@ -0,0 +1,74 @@
+-- Cancelled rounds and refund tracking
+-- A cancelled round (emergencyCancel) gets its own phase, the cancel
+-- transaction and reason. Each bet records whether its refund was seen in the
+-- cancel transaction's SMOL transfers.
+
+-- Allow the CANCELLED phase
+ALTER TABLE public.game_rounds
+    DROP CONSTRAINT IF EXISTS game_rounds_phase_check;
+ALTER TABLE public.game_rounds
+    ADD CONSTRAINT game_rounds_phase_check
+    CHECK (phase IN ('IDLE', 'BETTING', 'LOCKED', 'COMPLETE', 'CANCELLED'));
+
+ALTER TABLE public.game_rounds
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS cancel_tx_hash TEXT,
+    ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+ALTER TABLE public.bets
+    ADD COLUMN IF NOT EXISTS refund_status TEXT NOT NULL DEFAULT 'NONE',
+    ADD COLUMN IF NOT EXISTS refund_amount NUMERIC(78, 0),  -- Refunded amount in wei
+    ADD COLUMN IF NOT EXISTS refund_tx_hash TEXT;
+
+ALTER TABLE public.bets
+    DROP CONSTRAINT IF EXISTS refund_status_valid;
+ALTER TABLE public.bets
+    ADD CONSTRAINT refund_status_valid
+    CHECK (refund_status IN ('NONE', 'PENDING', 'REFUNDED'));
+
+CREATE INDEX IF NOT EXISTS idx_bets_refund_status ON public.bets(refund_status)
+    WHERE refund_status <> 'NONE';
+
+-- Function to take refunded bets out of the user's wagered total
+CREATE OR REPLACE FUNCTION update_refund_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.refund_status <> 'REFUNDED' AND NEW.refund_status = 'REFUNDED' THEN
+        UPDATE public.users
+        SET
+            total_wagered = total_wagered - NEW.amount,
+            updated_at = NOW()
+        WHERE id = NEW.user_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_refund_stats ON public.bets;
+CREATE TRIGGER trigger_update_refund_stats
+    AFTER UPDATE ON public.bets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_refund_stats();
+
+-- Recent rounds now include cancelled rounds
+-- (recreated because game_rounds gained columns since the view was defined)
+DROP VIEW IF EXISTS public.recent_rounds;
+CREATE VIEW public.recent_rounds AS
+SELECT
+    gr.*,
+    COUNT(b.id) AS actual_bet_count,
+    COUNT(DISTINCT b.wallet_address) AS unique_players
+FROM public.game_rounds gr
+LEFT JOIN public.bets b ON b.round_id = gr.id
+WHERE gr.phase IN ('COMPLETE', 'CANCELLED')
+GROUP BY gr.id
+ORDER BY COALESCE(gr.finished_at, gr.cancelled_at) DESC
+LIMIT 50;
+
+GRANT SELECT ON public.recent_rounds TO anon, authenticated;
+
+COMMENT ON COLUMN public.game_rounds.cancel_reason IS 'NO_PARTICIPANTS, UNDERFILLED or ADMIN: <operator reason>';
+COMMENT ON COLUMN public.bets.refund_status IS 'NONE, PENDING (round cancelled, refund not seen yet) or REFUNDED';
+COMMENT ON FUNCTION update_refund_stats() IS 'Removes refunded bets from user wagered totals';
+COMMENT ON VIEW public.recent_rounds IS 'Last 50 completed or cancelled game rounds with stats';
@@ -0,0 +1,32 @@
+-- Chain-to-database reconciliation
+-- sync_checkpoints stores the last block scanned from SmolPotCore logs;
+-- reconciliation_runs keeps a report of every run and what it fixed.
+
+CREATE TABLE IF NOT EXISTS public.sync_checkpoints (
+    name TEXT PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trigger TEXT NOT NULL,
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+    discrepancy_count INTEGER NOT NULL DEFAULT 0,
+    discrepancies JSONB NOT NULL DEFAULT '[]'::jsonb,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON public.reconciliation_runs(started_at DESC);
+
+-- One round per on-chain pot, so concurrent writers can't duplicate a round
+DROP INDEX IF EXISTS public.idx_game_rounds_pot_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_rounds_pot_id ON public.game_rounds(pot_id);
+
+ALTER TABLE public.sync_checkpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reconciliation_runs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.sync_checkpoints IS 'Last block processed by chain log scanners';
+COMMENT ON TABLE public.reconciliation_runs IS 'Reconciliation runs and the discrepancies they fixed';
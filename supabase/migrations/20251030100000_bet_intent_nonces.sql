@@ -0,0 +1,24 @@
+-- Bet intent nonces
+-- Every bet must be authorized by an EIP-712 BetIntent signed by the player.
+-- A nonce can only be used once per player, so a signed intent cannot be replayed.
+
+CREATE TABLE IF NOT EXISTS public.bet_intent_nonces (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wallet_address TEXT NOT NULL,
+    nonce NUMERIC(78, 0) NOT NULL,  -- uint256 chosen by the player
+    pot_id TEXT NOT NULL,
+    deadline TIMESTAMP WITH TIME ZONE NOT NULL,
+    signature TEXT NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT wallet_address_lowercase CHECK (wallet_address = LOWER(wallet_address)),
+    CONSTRAINT unique_bet_intent_nonce UNIQUE (wallet_address, nonce)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_intent_nonces_used_at ON public.bet_intent_nonces(used_at DESC);
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.bet_intent_nonces ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.bet_intent_nonces IS 'Used EIP-712 bet intent nonces (replay protection for /api/bets/enter)';
@@ -0,0 +1,29 @@
+-- Idempotency keys
+-- Clients send an Idempotency-Key header with POST /api/bets/enter. The first
+-- request with a key claims it (PENDING); its response is stored when it
+-- completes, and retries with the same key get that response back instead of
+-- sending another transaction.
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+    key TEXT PRIMARY KEY,
+    fingerprint TEXT NOT NULL,  -- sha256 of method, path and body
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'COMPLETED')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    -- Constraints
+    CONSTRAINT fingerprint_format CHECK (fingerprint ~ '^[0-9a-f]{64}$'),
+    CONSTRAINT completed_has_response CHECK (status = 'PENDING' OR response_status IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON public.idempotency_keys(expires_at);
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.idempotency_keys IS 'Idempotency-Key claims and stored responses for bet submission';
@@ -0,0 +1,44 @@
+-- Bet request queue
+-- POST /api/bets/enter validates a bet and queues it here (QUEUED); the bet
+-- queue worker on the leader replica submits enterPotFor (SUBMITTED, with the
+-- tx hash once sent) and records the outcome (CONFIRMED or FAILED).
+
+CREATE TABLE IF NOT EXISTS public.bet_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    wallet_address TEXT NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,  -- Bet amount in wei
+    pot_id TEXT NOT NULL,
+    permit JSONB,  -- Optional EIP-2612 permit { value, deadline, v, r, s }
+
+    -- Queue state
+    status TEXT NOT NULL DEFAULT 'QUEUED'
+        CHECK (status IN ('QUEUED', 'SUBMITTED', 'CONFIRMED', 'FAILED')),
+    error TEXT,
+
+    -- Outcome
+    tx_hash TEXT,
+    block_number BIGINT,
+    ticket_start BIGINT,
+    ticket_end BIGINT,
+    bet_id UUID REFERENCES public.bets(id) ON DELETE SET NULL,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+
+    -- Constraints
+    CONSTRAINT wallet_address_lowercase CHECK (wallet_address = LOWER(wallet_address)),
+    CONSTRAINT amount_positive CHECK (amount > 0),
+    CONSTRAINT tx_hash_format CHECK (tx_hash IS NULL OR tx_hash ~ '^0x[0-9a-f]{64}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_requests_status_created_at ON public.bet_requests(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_bet_requests_wallet_address ON public.bet_requests(wallet_address);
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.bet_requests ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.bet_requests IS 'Queued bets from /api/bets/enter and their submission status';
@@ -0,0 +1,54 @@
+-- Operator transaction journal
+-- Every transaction the treasury wallet sends (including fee-bump
+-- replacements and sends the node rejected) is recorded here, so operator
+-- activity for a pot can be queried instead of grepped from logs.
+
+CREATE TABLE IF NOT EXISTS public.operator_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    purpose TEXT NOT NULL
+        CHECK (purpose IN ('bet', 'permit', 'start', 'lock', 'finish', 'cancel', 'config')),
+    method TEXT NOT NULL,  -- Contract method called
+    pot_id TEXT,
+
+    -- Transaction
+    nonce BIGINT,
+    tx_hash TEXT UNIQUE,  -- NULL if the node rejected the send
+    replaces_tx_hash TEXT,  -- Set on fee-bump replacements
+    gas_limit NUMERIC(78, 0),
+    max_fee_per_gas NUMERIC(78, 0),
+    max_priority_fee_per_gas NUMERIC(78, 0),
+    gas_price NUMERIC(78, 0),  -- Legacy transactions
+
+    -- Outcome
+    status TEXT NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'MINED', 'REVERTED', 'REPLACED', 'DROPPED', 'FAILED')),
+    block_number BIGINT,
+    gas_used NUMERIC(78, 0),
+    effective_gas_price NUMERIC(78, 0),
+    revert_reason TEXT,
+    error TEXT,
+
+    -- Timestamps
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    mined_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT tx_hash_format CHECK (tx_hash IS NULL OR tx_hash ~ '^0x[0-9a-f]{64}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_operator_transactions_pot_id ON public.operator_transactions(pot_id);
+CREATE INDEX IF NOT EXISTS idx_operator_transactions_status ON public.operator_transactions(status);
+CREATE INDEX IF NOT EXISTS idx_operator_transactions_sent_at ON public.operator_transactions(sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_operator_transactions_nonce ON public.operator_transactions(nonce);
+
+DROP TRIGGER IF EXISTS trigger_operator_transactions_updated_at ON public.operator_transactions;
+CREATE TRIGGER trigger_operator_transactions_updated_at
+    BEFORE UPDATE ON public.operator_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.operator_transactions ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.operator_transactions IS 'Journal of every transaction sent by the treasury operator wallet';
@@ -0,0 +1,30 @@
+-- Treasury top-ups
+-- Gas top-ups sent from the funding wallet to the treasury wallet. The
+-- rolling 24h total of these rows enforces TREASURY_TOPUP_DAILY_CAP_ETH
+-- across restarts.
+
+CREATE TABLE IF NOT EXISTS public.treasury_topups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL CHECK (amount > 0),  -- Wei
+    treasury_balance NUMERIC(78, 0),  -- Treasury balance that triggered it (wei)
+    tx_hash TEXT UNIQUE,
+    status TEXT NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'CONFIRMED', 'FAILED')),
+    error TEXT,
+    block_number BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Constraints
+    CONSTRAINT from_address_lowercase CHECK (from_address = LOWER(from_address)),
+    CONSTRAINT to_address_lowercase CHECK (to_address = LOWER(to_address))
+);
+
+CREATE INDEX IF NOT EXISTS idx_treasury_topups_created_at ON public.treasury_topups(created_at DESC);
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.treasury_topups ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.treasury_topups IS 'Gas top-ups sent from the funding wallet to the treasury wallet';
@@ -0,0 +1,25 @@
+-- Irreversible EOS randomness
+-- The backend only uses the target block once last_irreversible_block_num has
+-- reached it. Each proof records the LIB seen at that point and how long the
+-- wait took, so a stored proof can never point to a forked-away block.
+
+ALTER TABLE public.eos_proofs
+    ADD COLUMN IF NOT EXISTS eos_last_irreversible_block BIGINT,
+    ADD COLUMN IF NOT EXISTS irreversible_wait_ms INTEGER;
+
+-- The first 4 bytes of an EOS block id are the block number (big-endian).
+-- NOT VALID: only checked for new rows.
+ALTER TABLE public.eos_proofs
+    DROP CONSTRAINT IF EXISTS eos_block_hash_matches_number;
+ALTER TABLE public.eos_proofs
+    ADD CONSTRAINT eos_block_hash_matches_number
+    CHECK (('x' || substr(eos_block_hash, 3, 8))::bit(32)::bigint = eos_block_number) NOT VALID;
+
+ALTER TABLE public.eos_proofs
+    DROP CONSTRAINT IF EXISTS eos_block_irreversible;
+ALTER TABLE public.eos_proofs
+    ADD CONSTRAINT eos_block_irreversible
+    CHECK (eos_last_irreversible_block IS NULL OR eos_last_irreversible_block >= eos_block_number);
+
+COMMENT ON COLUMN public.eos_proofs.eos_last_irreversible_block IS 'EOS last irreversible block when the hash was fetched (>= eos_block_number)';
+COMMENT ON COLUMN public.eos_proofs.irreversible_wait_ms IS 'Time spent waiting for the target block to become irreversible';
@@ -0,0 +1,20 @@
+-- EOS randomness quorum
+-- The randomness block must be returned identically (id and producer) by
+-- EOS_QUORUM_THRESHOLD of EOS_QUORUM_SIZE RPC endpoints. Every endpoint's
+-- answer is kept with the proof, so disagreements are on record as evidence.
+-- When quorum fails the row is written with quorum_reached = false and is
+-- replaced once a later attempt reaches quorum.
+
+ALTER TABLE public.eos_proofs
+    ADD COLUMN IF NOT EXISTS quorum_reached BOOLEAN,
+    ADD COLUMN IF NOT EXISTS quorum_size INTEGER,
+    ADD COLUMN IF NOT EXISTS quorum_threshold INTEGER,
+    ADD COLUMN IF NOT EXISTS quorum_agreed INTEGER,
+    ADD COLUMN IF NOT EXISTS quorum_responses JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_eos_proofs_quorum_failed
+    ON public.eos_proofs(created_at DESC)
+    WHERE quorum_reached = FALSE;
+
+COMMENT ON COLUMN public.eos_proofs.quorum_reached IS 'FALSE for evidence rows from failed quorum attempts (never used to finish a pot)';
+COMMENT ON COLUMN public.eos_proofs.quorum_responses IS 'Per-endpoint answers: [{ endpoint, blockNum, blockId, producer, timestamp } | { endpoint, error }]';
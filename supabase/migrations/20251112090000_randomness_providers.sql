@@ -0,0 +1,82 @@
+-- Pluggable randomness providers
+-- A round commits to a provider (eos, drand, local) and a provider-specific
+-- target (EOS block number, drand round, ...) when it locks. EOS rounds keep
+-- filling eos_target_block as before.
+-- randomness_proofs stores the seed and proof of every finished round, tagged
+-- with the provider so verification knows how to check it. EOS rounds also
+-- keep their detailed eos_proofs row.
+
+ALTER TABLE public.game_rounds
+    ADD COLUMN IF NOT EXISTS randomness_provider TEXT,
+    ADD COLUMN IF NOT EXISTS randomness_target BIGINT,
+    ADD COLUMN IF NOT EXISTS randomness_committed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS randomness_seed TEXT;
+
+ALTER TABLE public.game_rounds
+    DROP CONSTRAINT IF EXISTS randomness_provider_known;
+ALTER TABLE public.game_rounds
+    ADD CONSTRAINT randomness_provider_known
+    CHECK (randomness_provider IS NULL OR randomness_provider IN ('eos', 'drand', 'local'));
+
+-- Rounds committed before this migration used EOS
+UPDATE public.game_rounds
+SET randomness_provider = 'eos',
+    randomness_target = eos_target_block,
+    randomness_committed_at = eos_target_committed_at,
+    randomness_seed = eos_block_hash
+WHERE eos_target_block IS NOT NULL
+  AND randomness_target IS NULL;
+
+COMMENT ON COLUMN public.game_rounds.randomness_provider IS 'Randomness provider committed to at lock time';
+COMMENT ON COLUMN public.game_rounds.randomness_target IS 'Provider-specific target committed to at lock time (EOS block, drand round, ...)';
+COMMENT ON COLUMN public.game_rounds.randomness_seed IS 'bytes32 seed passed to finishGame';
+
+-- Keep the randomness commitment immutable, like eos_target_block
+CREATE OR REPLACE FUNCTION prevent_randomness_commitment_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.randomness_target IS NOT NULL
+       AND (NEW.randomness_target IS DISTINCT FROM OLD.randomness_target
+            OR NEW.randomness_provider IS DISTINCT FROM OLD.randomness_provider) THEN
+        RAISE EXCEPTION 'Randomness target for pot % is already committed', OLD.pot_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_randomness_commitment_change ON public.game_rounds;
+CREATE TRIGGER trigger_prevent_randomness_commitment_change
+    BEFORE UPDATE ON public.game_rounds
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_randomness_commitment_change();
+
+COMMENT ON FUNCTION prevent_randomness_commitment_change() IS 'Keeps the committed randomness provider and target immutable';
+
+CREATE TABLE IF NOT EXISTS public.randomness_proofs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    pot_id TEXT NOT NULL UNIQUE,
+    provider TEXT NOT NULL CHECK (provider IN ('eos', 'drand', 'local')),
+    target BIGINT NOT NULL,
+    seed TEXT NOT NULL,
+    proof JSONB NOT NULL,
+    finish_tx_hash TEXT,
+
+    -- Verification
+    verified BOOLEAN DEFAULT FALSE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT randomness_seed_format CHECK (seed ~ '^0x[0-9a-f]{64}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_randomness_proofs_provider ON public.randomness_proofs(provider);
+CREATE INDEX IF NOT EXISTS idx_randomness_proofs_unverified
+    ON public.randomness_proofs(created_at)
+    WHERE verified = FALSE;
+
+-- Backend only (service role bypasses RLS)
+ALTER TABLE public.randomness_proofs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.randomness_proofs IS 'Seed and provider proof for every finished round';
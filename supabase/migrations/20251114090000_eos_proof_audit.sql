@@ -0,0 +1,26 @@
+-- EOS proof audits
+-- The proof auditor re-fetches each stored block from an endpoint quorum and
+-- checks the finishGame transaction on Abstract used the same hash. Proofs
+-- end up VERIFIED, MISMATCH (with details) or UNVERIFIABLE (checks kept
+-- failing for PROOF_AUDIT_MAX_ATTEMPTS runs). Unaudited proofs have no status.
+
+ALTER TABLE public.eos_proofs
+    ADD COLUMN IF NOT EXISTS audit_status TEXT,
+    ADD COLUMN IF NOT EXISTS audited_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS audit_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS audit_error TEXT,
+    ADD COLUMN IF NOT EXISTS audit_details JSONB;
+
+ALTER TABLE public.eos_proofs
+    DROP CONSTRAINT IF EXISTS eos_proof_audit_status;
+ALTER TABLE public.eos_proofs
+    ADD CONSTRAINT eos_proof_audit_status
+    CHECK (audit_status IS NULL OR audit_status IN ('VERIFIED', 'MISMATCH', 'UNVERIFIABLE'));
+
+CREATE INDEX IF NOT EXISTS idx_eos_proofs_unaudited
+    ON public.eos_proofs(created_at)
+    WHERE audit_status IS NULL;
+CREATE INDEX IF NOT EXISTS idx_eos_proofs_audit_status ON public.eos_proofs(audit_status);
+
+COMMENT ON COLUMN public.eos_proofs.audit_status IS 'NULL until audited; VERIFIED, MISMATCH or UNVERIFIABLE';
+COMMENT ON COLUMN public.eos_proofs.audit_details IS 'Per-check results of the last audit (EOS quorum re-fetch, finishGame transaction)';
@@ -0,0 +1,14 @@
+-- Every transaction hash of a bet request
+-- A stuck enterPotFor is replaced at the same nonce with higher fees, and any
+-- of its versions may be the one that gets mined. tx_hash holds the latest
+-- version sent (then the mined one); tx_hashes keeps all of them so the bet
+-- queue can find the outcome from whichever was mined.
+
+ALTER TABLE public.bet_requests
+    ADD COLUMN IF NOT EXISTS tx_hashes TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE public.bet_requests
+    SET tx_hashes = ARRAY[tx_hash]
+    WHERE tx_hash IS NOT NULL AND tx_hashes = '{}';
+
+COMMENT ON COLUMN public.bet_requests.tx_hashes IS 'Every version of the enterPotFor transaction sent (original and fee-bump replacements)';
@@ -0,0 +1,26 @@
+-- Fencing check for leader election
+-- The game leader calls this right before broadcasting a lifecycle
+-- transaction. It only succeeds while the caller still holds the lease with
+-- the fencing token it acquired, so a replica that was paused or partitioned
+-- past its lease can't send once another replica took over, whatever its own
+-- clock says.
+
+CREATE OR REPLACE FUNCTION check_service_lease(
+    p_name TEXT,
+    p_holder_id TEXT,
+    p_fencing_token BIGINT
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.service_leases
+        WHERE name = p_name
+          AND holder_id = p_holder_id
+          AND fencing_token = p_fencing_token
+          AND expires_at > NOW()
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION check_service_lease(TEXT, TEXT, BIGINT) IS 'Returns true while the caller holds the lease with the given fencing token';
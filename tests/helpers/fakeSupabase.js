@@ -0,0 +1,212 @@
+/**
+ * In-memory stand-in for the Supabase client (PostgREST query builder)
+ *
+ * Supports the query shapes SupabaseService uses. Like PostgREST, NUMERIC
+ * columns are returned as JSON numbers unless cast with `column::text`.
+ */
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.options = {};
+    this.columns = null;
+    this.filters = [];
+    this.ordering = null;
+    this.maxRows = null;
+    this.singleRow = false;
+    this.countOnly = false;
+  }
+
+  select(columns = '*', options = {}) {
+    this.columns = columns;
+    this.countOnly = Boolean(options.head);
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => String(row[column]) === String(value));
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.map(String).includes(String(row[column])));
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(row => (row[column] === undefined ? null : row[column]) === value);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push(row => row[column] >= value);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push(row => row[column] < value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.singleRow = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const rows = this.db.rows(this.table);
+    let result;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      result = [];
+      for (const values of this.payload) {
+        const conflict = this.action === 'upsert' && this.options.onConflict
+          ? rows.find(row => this.options.onConflict.split(',')
+            .every(column => String(row[column]) === String(values[column])))
+          : null;
+
+        if (conflict) {
+          if (!this.options.ignoreDuplicates) {
+            Object.assign(conflict, values);
+            result.push(conflict);
+          }
+          continue;
+        }
+
+        const row = { id: this.db.nextId(), ...values };
+        rows.push(row);
+        result.push(row);
+      }
+    } else {
+      result = rows.filter(row => this.filters.every(filter => filter(row)));
+
+      if (this.action === 'update') {
+        result.forEach(row => Object.assign(row, this.payload));
+      }
+      if (this.action === 'delete') {
+        this.db.tables[this.table] = rows.filter(row => !result.includes(row));
+      }
+    }
+
+    if (this.countOnly) {
+      return { data: null, count: result.length, error: null };
+    }
+
+    if (this.ordering) {
+      const { column, ascending } = this.ordering;
+      result = [...result].sort((a, b) =>
+        (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    if (this.maxRows !== null) {
+      result = result.slice(0, this.maxRows);
+    }
+
+    const data = this.columns === null ? null : result.map(row => this.project(row));
+
+    if (this.singleRow) {
+      return data && data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'No rows found' } };
+    }
+
+    return { data, error: null };
+  }
+
+  /**
+   * Select list applied to a row, with NUMERIC columns as JSON numbers
+   */
+  project(row) {
+    const numeric = this.db.numericColumns[this.table] || [];
+    const json = (column, value) =>
+      numeric.includes(column) && value !== null && value !== undefined ? Number(value) : value;
+    const projected = {};
+
+    for (const item of this.columns.split(',').map(column => column.trim()).filter(Boolean)) {
+      if (item === '*') {
+        for (const [column, value] of Object.entries(row)) {
+          projected[column] = json(column, value);
+        }
+        continue;
+      }
+
+      const [, alias, column, cast] = item.match(/^(?:(\w+):(?!:))?(\w+)(?:::(\w+))?$/);
+      const value = row[column] === undefined ? null : row[column];
+
+      projected[alias || column] = cast === 'text'
+        ? (value === null ? null : String(value))
+        : json(column, value);
+    }
+
+    return projected;
+  }
+}
+
+class FakeSupabase {
+  /**
+   * @param {object} numericColumns - NUMERIC columns per table
+   */
+  constructor(numericColumns = {}) {
+    this.numericColumns = numericColumns;
+    this.tables = {};
+    this.lastId = 0;
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  rows(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+    }
+    return this.tables[table];
+  }
+
+  nextId() {
+    this.lastId++;
+    return `id-${this.lastId}`;
+  }
+}
+
+module.exports = FakeSupabase;
@@ -0,0 +1,125 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const FakeSupabase = require('../helpers/fakeSupabase');
+const SupabaseService = require('../../src/services/supabaseService');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+describe('idempotency middleware', () => {
+  let client;
+  let handler;
+  let app;
+
+  beforeEach(() => {
+    client = new FakeSupabase();
+
+    const supabaseService = SupabaseService.getInstance();
+    supabaseService.client = client;
+    supabaseService.initialized = true;
+
+    handler = jest.fn((req, res) => res.status(201).json({ success: true, bet: req.body.amount }));
+
+    app = express();
+    app.use(express.json());
+    app.post('/api/bets/place', idempotency, (req, res) => handler(req, res));
+  });
+
+  const place = (key, body = { amount: '1' }) => {
+    const req = request(app).post('/api/bets/place');
+    return (key === undefined ? req : req.set('Idempotency-Key', key)).send(body);
+  };
+  const keys = () => client.rows('idempotency_keys');
+
+  it('passes requests without a key through', async () => {
+    await place().expect(201);
+    await place().expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(keys()).toHaveLength(0);
+  });
+
+  it('rejects malformed keys', async () => {
+    await place('has space').expect(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response for a retry', async () => {
+    await place('key-1').expect(201);
+    const retry = await place('key-1').expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual({ success: true, bet: '1' });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects the key with a different payload', async () => {
+    await place('key-1').expect(201);
+    await place('key-1', { amount: '2' }).expect(422);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('matches payloads regardless of key order', async () => {
+    await place('key-1', { amount: '1', potId: '3' }).expect(201);
+    await place('key-1', { potId: '3', amount: '1' }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    let finish;
+    handler.mockImplementationOnce((req, res) => {
+      finish = () => res.status(201).json({ success: true });
+    });
+
+    const first = place('key-1').then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const retry = await place('key-1').expect(409);
+    expect(retry.headers['retry-after']).toBe('5');
+
+    finish();
+    await first;
+  });
+
+  it('releases the key when the request was rejected', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(400).json({ success: false }));
+
+    await place('key-1').expect(400);
+    await new Promise(resolve => setImmediate(resolve));
+    await place('key-1').expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('stores server errors, since a transaction may have been sent', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ success: false }));
+
+    await place('key-1').expect(500);
+    await new Promise(resolve => setImmediate(resolve));
+    const retry = await place('key-1').expect(500);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('claims an expired key afresh', async () => {
+    await place('key-1').expect(201);
+    keys()[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const retry = await place('key-1').expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers 503 when the key store is unavailable', async () => {
+    jest.spyOn(client, 'from').mockImplementationOnce(() => {
+      throw new Error('connection refused');
+    });
+
+    await place('key-1').expect(503);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+process.env.LOG_LEVEL = 'error';
+process.env.ADMIN_API_KEYS = 'alice:test-admin-key';
+
+const express = require('express');
+const request = require('supertest');
+
+const mockContract = {
+  getPotState: jest.fn(),
+  updateConfig: jest.fn()
+};
+const mockLeader = { leader: true };
+
+jest.mock('../../src/services/contractService', () => ({
+  getInstance: () => mockContract
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({
+    isLeader: () => mockLeader.leader,
+    getStatus: () => ({ isLeader: mockLeader.leader }),
+    assertLeader: () => {
+      if (!mockLeader.leader) {
+        const error = new Error('This replica is not the game leader; refusing to drive the pot');
+        error.code = 'NOT_LEADER';
+        throw error;
+      }
+      return '1';
+    }
+  })
+}));
+jest.mock('../../src/services/supabaseService', () => ({
+  getInstance: () => ({ recordAdminAction: jest.fn() })
+}));
+
+const adminRoutes = require('../../src/routes/adminRoutes');
+const { getPotState } = jest.requireActual('../../src/services/contractService').prototype;
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const config = {
+  timerDuration: 300,
+  minParticipants: 2,
+  idleTimeout: 600,
+  feePercentage: 5,
+  minEntryAmount: '1000000000000000000',
+  reason: 'tune timer'
+};
+
+const putConfig = () => request(app)
+  .put('/api/admin/config')
+  .set('Authorization', 'Bearer test-admin-key')
+  .send(config);
+
+describe('PUT /api/admin/config', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockContract.getPotState.mockResolvedValue({ potId: '1', phase: 1 });
+    mockContract.updateConfig.mockResolvedValue({ success: true, txHash: '0xabc' });
+  });
+
+  it('updates the config from the leader', async () => {
+    mockLeader.leader = true;
+
+    const res = await putConfig();
+
+    expect(res.status).toBe(200);
+    expect(mockContract.updateConfig).toHaveBeenCalledWith({
+      timerDuration: '300',
+      minParticipants: '2',
+      idleTimeout: '600',
+      feePercentage: '5',
+      minEntryAmount: '1000000000000000000'
+    });
+  });
+
+  it('answers 409 on a follower without sending', async () => {
+    mockLeader.leader = false;
+
+    const res = await putConfig();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/not the game leader/);
+    expect(mockContract.updateConfig).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/admin/status', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLeader.leader = true;
+  });
+
+  it('reports the pot state as decoded by ethers (uint8 phase as bigint)', async () => {
+    const contract = {
+      initialized: true,
+      smolPotCore: {},
+      quorumRead: async () => ({
+        potId: 3n,
+        phase: 1n,
+        startTime: 1700000000n,
+        totalAmount: 2000000000000000000n,
+        tickets: 2n,
+        playerCount: 2n
+      })
+    };
+    mockContract.getPotState.mockImplementation(() => getPotState.call(contract));
+
+    const res = await request(app)
+      .get('/api/admin/status')
+      .set('Authorization', 'Bearer test-admin-key');
+
+    expect(res.status).toBe(200);
+    expect(res.body.potState).toEqual({
+      potId: '3',
+      phase: 1,
+      startTime: '1700000000',
+      totalAmount: '2000000000000000000',
+      tickets: '2',
+      playerCount: '2'
+    });
+  });
+});
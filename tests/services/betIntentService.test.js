@@ -0,0 +1,117 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ethers } = require('ethers');
+const FakeSupabase = require('../helpers/fakeSupabase');
+
+const CORE_ADDRESS = '0x3333333333333333333333333333333333333333';
+
+jest.mock('../../src/services/walletService', () => ({
+  getInstance: () => ({
+    getProvider: () => ({ getNetwork: async () => ({ chainId: 1301n }) })
+  })
+}));
+jest.mock('../../src/services/contractService', () => ({
+  getInstance: () => ({
+    getContracts: () => ({ smolPotCore: { getAddress: async () => CORE_ADDRESS } })
+  })
+}));
+
+const SupabaseService = require('../../src/services/supabaseService');
+const BetIntentService = require('../../src/services/betIntentService');
+const { parseSmol } = require('../../src/utils/amounts');
+
+const DOMAIN = {
+  name: 'SmolPot',
+  version: '1',
+  chainId: 1301,
+  verifyingContract: CORE_ADDRESS
+};
+
+describe('BetIntentService', () => {
+  const player = ethers.Wallet.createRandom();
+  let betIntents;
+  let intent;
+
+  const sign = (wallet, value, domain = DOMAIN) =>
+    wallet.signTypedData(domain, betIntents.getTypes(), value);
+
+  beforeEach(() => {
+    const supabaseService = SupabaseService.getInstance();
+    supabaseService.client = new FakeSupabase();
+    supabaseService.initialized = true;
+
+    betIntents = BetIntentService.getInstance();
+    intent = {
+      player: player.address,
+      amount: parseSmol('1'),
+      potId: 7n,
+      nonce: 1n,
+      deadline: BigInt(Math.floor(Date.now() / 1000) + 300)
+    };
+  });
+
+  it('accepts an intent signed by the player', async () => {
+    const signature = await sign(player, intent);
+
+    await expect(betIntents.verify(
+      { ...intent, player: player.address.toLowerCase(), amount: intent.amount.toString() },
+      signature
+    )).resolves.toEqual(intent);
+  });
+
+  it('rejects an intent signed by someone else', async () => {
+    const signature = await sign(ethers.Wallet.createRandom(), intent);
+
+    await expect(betIntents.verify(intent, signature))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Bet intent was not signed by the player' });
+  });
+
+  it('rejects a signature for a different amount', async () => {
+    const signature = await sign(player, intent);
+
+    await expect(betIntents.verify({ ...intent, amount: parseSmol('2') }, signature))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a signature for another contract', async () => {
+    const signature = await sign(player, intent, {
+      ...DOMAIN,
+      verifyingContract: '0x4444444444444444444444444444444444444444'
+    });
+
+    await expect(betIntents.verify(intent, signature))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a malformed signature', async () => {
+    await expect(betIntents.verify(intent, '0x1234'))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Bet intent signature is malformed' });
+  });
+
+  it('rejects expired intents', async () => {
+    const expired = { ...intent, deadline: BigInt(Math.floor(Date.now() / 1000) - 1) };
+
+    await expect(betIntents.verify(expired, await sign(player, expired)))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Bet intent has expired' });
+  });
+
+  it('rejects deadlines beyond the maximum lifetime', async () => {
+    const distant = {
+      ...intent,
+      deadline: BigInt(Math.floor(Date.now() / 1000) + betIntents.maxTtlSeconds + 60)
+    };
+
+    await expect(betIntents.verify(distant, await sign(player, distant)))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('spends each nonce only once', async () => {
+    const signature = await sign(player, intent);
+    const verified = await betIntents.verify(intent, signature);
+
+    await betIntents.consume(verified, signature);
+
+    await expect(betIntents.consume(verified, signature))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
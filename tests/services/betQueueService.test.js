@@ -0,0 +1,134 @@
+process.env.LOG_LEVEL = 'error';
+
+const FakeSupabase = require('../helpers/fakeSupabase');
+
+const mockContract = {
+  getPotState: jest.fn(),
+  getTimerStatus: jest.fn(),
+  permit: jest.fn(),
+  enterPotFor: jest.fn(),
+  getEnterPotResult: jest.fn()
+};
+
+jest.mock('../../src/services/contractService', () => ({
+  getInstance: () => mockContract
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({ isLeader: () => true, onLeadershipChange: () => {} })
+}));
+
+const SupabaseService = require('../../src/services/supabaseService');
+const BetQueueService = require('../../src/services/betQueueService');
+const { parseSmol } = require('../../src/utils/amounts');
+
+const PLAYER = '0x1111111111111111111111111111111111111111';
+const ONE_SMOL = parseSmol('1');
+const hash = n => `0x${String(n).repeat(64)}`;
+
+describe('BetQueueService', () => {
+  let client;
+  let supabaseService;
+  let betQueue;
+
+  beforeEach(() => {
+    client = new FakeSupabase({
+      bet_requests: ['amount'],
+      bets: ['amount', 'refund_amount'],
+      game_rounds: ['total_amount']
+    });
+
+    supabaseService = SupabaseService.getInstance();
+    supabaseService.client = client;
+    supabaseService.initialized = true;
+
+    betQueue = BetQueueService.getInstance();
+
+    jest.resetAllMocks();
+    mockContract.getPotState.mockResolvedValue({ potId: '7', phase: 1 });
+    mockContract.getTimerStatus.mockResolvedValue({ hasExpired: false, timeRemaining: '120' });
+  });
+
+  const queueBet = () => supabaseService.createBetRequest({
+    userId: 'user-1',
+    walletAddress: PLAYER,
+    amount: ONE_SMOL,
+    potId: '7'
+  });
+
+  const enterResult = txHash => ({
+    success: true,
+    txHash,
+    blockNumber: 100,
+    potId: '7',
+    ticketStart: '0',
+    ticketEnd: '999'
+  });
+
+  it('submits and confirms a queued 1 SMOL bet', async () => {
+    await queueBet();
+    mockContract.enterPotFor.mockImplementation(async (player, amount, { onSubmitted }) => {
+      await onSubmitted(hash(1));
+      return enterResult(hash(1));
+    });
+
+    const [request] = await supabaseService.getBetRequestsByStatus('QUEUED');
+    expect(request.amount).toBe(ONE_SMOL.toString());
+
+    await betQueue.processRequest(request);
+
+    expect(mockContract.enterPotFor).toHaveBeenCalledWith(
+      PLAYER,
+      ONE_SMOL.toString(),
+      expect.any(Object)
+    );
+
+    const stored = await supabaseService.getBetRequest(request.id);
+    expect(stored.status).toBe('CONFIRMED');
+    expect(stored.tx_hashes).toEqual([hash(1)]);
+
+    const bet = await supabaseService.getBetByTxHash(hash(1));
+    expect(bet.amount).toBe(ONE_SMOL.toString());
+  });
+
+  it('confirms a request from whichever version of its transaction was mined', async () => {
+    await queueBet();
+    mockContract.enterPotFor.mockImplementation(async (player, amount, { onSubmitted }) => {
+      await onSubmitted(hash(1));
+      await onSubmitted(hash(2));
+      const error = new Error('enterPotFor transaction not mined');
+      error.code = 'TX_STUCK';
+      throw error;
+    });
+
+    const [request] = await supabaseService.getBetRequestsByStatus('QUEUED');
+    await betQueue.processRequest(request);
+
+    let stored = await supabaseService.getBetRequest(request.id);
+    expect(stored.status).toBe('SUBMITTED');
+    expect(stored.tx_hash).toBe(hash(2));
+
+    // The original is mined after the sender gave up
+    mockContract.getEnterPotResult.mockImplementation(async txHash =>
+      (txHash === hash(1) ? enterResult(hash(1)) : null));
+
+    await betQueue.checkSubmitted();
+
+    stored = await supabaseService.getBetRequest(request.id);
+    expect(stored.status).toBe('CONFIRMED');
+    expect(stored.tx_hash).toBe(hash(1));
+    expect(mockContract.getEnterPotResult).toHaveBeenCalledWith(hash(2), PLAYER);
+  });
+
+  it('fails a queued bet whose pot has closed', async () => {
+    await queueBet();
+    mockContract.getPotState.mockResolvedValue({ potId: '8', phase: 1 });
+
+    const [request] = await supabaseService.getBetRequestsByStatus('QUEUED');
+    await betQueue.processRequest(request);
+
+    const stored = await supabaseService.getBetRequest(request.id);
+    expect(stored.status).toBe('FAILED');
+    expect(stored.error).toMatch(/Pot 7 closed/);
+    expect(mockContract.enterPotFor).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { bls12_381: bls } = require('@noble/curves/bls12-381');
+
+jest.mock('axios');
+
+const DrandRandomnessProvider = require('../../src/services/randomness/drandProvider');
+
+const CHAIN_HASH = 'ab'.repeat(32);
+const DST = 'BLS_SIG_BLS12381G1_XMD:SHA-256_SSWU_RO_NUL_';
+const privateKey = ethers.getBytes(ethers.sha256(ethers.toUtf8Bytes('drand test key')));
+const publicKey = ethers.hexlify(bls.getPublicKeyForShortSignatures(privateKey)).slice(2);
+
+const roundMessage = round => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(round));
+  return ethers.getBytes(ethers.sha256(buffer));
+};
+
+const beaconFor = (round, key = privateKey) => {
+  const signature = ethers.hexlify(
+    bls.signShortSignature(roundMessage(round), key, { DST })
+  ).slice(2);
+  return { round, signature, randomness: ethers.sha256('0x' + signature).slice(2) };
+};
+
+const relays = responses => {
+  axios.get.mockImplementation(async url => {
+    const relay = url.startsWith('https://one') ? 'one' : 'two';
+    const answer = responses[relay];
+    if (answer instanceof Error) {
+      throw answer;
+    }
+    return { data: answer };
+  });
+};
+
+const notFound = () => Object.assign(new Error('Not Found'), { response: { status: 404 } });
+
+describe('DrandRandomnessProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    process.env.DRAND_URLS = 'https://one.example,https://two.example';
+    process.env.DRAND_CHAIN_HASH = CHAIN_HASH;
+    process.env.DRAND_PUBLIC_KEY = publicKey;
+    process.env.DRAND_WAIT_TIMEOUT_MS = '50';
+    process.env.DRAND_POLL_INTERVAL_MS = '1';
+    provider = new DrandRandomnessProvider();
+  });
+
+  it('accepts a beacon signed by the chain key', async () => {
+    const beacon = beaconFor(1234);
+    relays({ one: beacon });
+
+    const result = await provider.getRandomness(1234);
+
+    expect(result).toMatchObject({ provider: 'drand', target: 1234, seed: '0x' + beacon.randomness });
+    expect(await provider.verify(1234, result.seed)).toBe(true);
+  });
+
+  it('rejects a beacon whose randomness is sha256 of a forged signature', async () => {
+    relays({ one: beaconFor(1234, ethers.getBytes(ethers.sha256('0x01'))), two: notFound() });
+
+    await expect(provider.getRandomness(1234)).rejects.toThrow(/invalid signature/);
+  });
+
+  it('rejects a valid signature for another round', async () => {
+    relays({ one: { ...beaconFor(1233), round: 1234 }, two: notFound() });
+
+    await expect(provider.getRandomness(1234)).rejects.toThrow(/invalid signature/);
+  });
+
+  it('skips a relay with a bad beacon for the next one', async () => {
+    const beacon = beaconFor(1234);
+    relays({ one: { ...beacon, signature: beaconFor(1).signature }, two: beacon });
+
+    const result = await provider.getRandomness(1234);
+
+    expect(result.seed).toBe('0x' + beacon.randomness);
+  });
+
+  it('keeps waiting while one relay is down and the other has no beacon yet', async () => {
+    const beacon = beaconFor(1234);
+    let polls = 0;
+    axios.get.mockImplementation(async url => {
+      if (url.startsWith('https://one')) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      polls++;
+      if (polls < 3) {
+        throw notFound();
+      }
+      return { data: beacon };
+    });
+
+    const result = await provider.getRandomness(1234);
+
+    expect(result.seed).toBe('0x' + beacon.randomness);
+    expect(polls).toBe(3);
+  });
+
+  it('refuses chain info with another public key', async () => {
+    const info = { hash: CHAIN_HASH, public_key: '00', schemeID: 'bls-unchained-g1-rfc9380' };
+    relays({ one: info, two: info });
+
+    await expect(provider.getChainInfo()).rejects.toThrow(/public key/);
+  });
+
+  it('requires a public key for chains other than quicknet', () => {
+    delete process.env.DRAND_PUBLIC_KEY;
+
+    expect(() => new DrandRandomnessProvider()).toThrow(/DRAND_PUBLIC_KEY/);
+  });
+});
@@ -0,0 +1,152 @@
+process.env.LOG_LEVEL = 'error';
+process.env.EOS_RPC_ENDPOINTS = 'https://eos-a.test,https://eos-b.test,https://eos-c.test';
+process.env.EOS_QUORUM_SIZE = '3';
+process.env.EOS_QUORUM_THRESHOLD = '2';
+
+const EosService = require('../../src/services/eosService');
+
+const BLOCK_ID = `${(1000).toString(16).padStart(8, '0')}${'ab'.repeat(28)}`;
+
+describe('EosService.getQuorumBlock', () => {
+  let eos;
+
+  beforeEach(() => {
+    eos = EosService.getInstance();
+    for (const stats of eos.endpointStats.values()) {
+      Object.assign(stats, { circuit: 'closed', openUntil: null, probing: false, lag: null });
+    }
+    jest.spyOn(eos, 'getIrreversibleBlockFrom').mockResolvedValue({
+      blockNum: 1000,
+      blockId: BLOCK_ID,
+      timestamp: '2025-11-01T00:00:00.000',
+      producer: 'eosproducer1'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openCircuit = url => Object.assign(eos.endpointStats.get(url), {
+    circuit: 'open',
+    openUntil: Date.now() + 60000
+  });
+
+  it('returns the block the endpoints agree on', async () => {
+    const { block, quorum } = await eos.getQuorumBlock(1000);
+
+    expect(block).toEqual(expect.objectContaining({ blockId: BLOCK_ID, producer: 'eosproducer1' }));
+    expect(block.endpoint).toBeUndefined();
+    expect(quorum).toMatchObject({ size: 3, threshold: 2, agreed: 3 });
+  });
+
+  it('fails fast when fewer healthy endpoints than the threshold are left', async () => {
+    openCircuit('https://eos-a.test');
+    openCircuit('https://eos-b.test');
+
+    await expect(eos.getQuorumBlock(1000)).rejects.toMatchObject({
+      code: 'EOS_QUORUM_FAILED',
+      message: expect.stringMatching(/not enough healthy endpoints \(1 healthy, 2 required\)/),
+      details: { blockNum: 1000, size: 3, threshold: 2, agreed: 0, responses: [], leading: null }
+    });
+    expect(eos.getIrreversibleBlockFrom).not.toHaveBeenCalled();
+  });
+});
+
+describe('EosService.checkQuorumSettings', () => {
+  let eos;
+  let saved;
+
+  beforeEach(() => {
+    eos = EosService.getInstance();
+    saved = {
+      rpcEndpoints: eos.rpcEndpoints,
+      quorumThreshold: eos.quorumThreshold,
+      allowSingleEndpoint: eos.allowSingleEndpoint
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(eos, saved);
+  });
+
+  it('refuses a single endpoint', () => {
+    eos.rpcEndpoints = ['https://eos-a.test'];
+
+    expect(() => eos.checkQuorumSettings()).toThrow(/one endpoint would choose the randomness block/);
+  });
+
+  it('refuses a threshold of 1', () => {
+    eos.quorumThreshold = 1;
+
+    expect(() => eos.checkQuorumSettings()).toThrow(/EOS quorum threshold is 1 with 3 endpoint/);
+  });
+
+  it('allows it with the explicit opt-out and reports it', () => {
+    eos.quorumThreshold = 1;
+    eos.allowSingleEndpoint = true;
+
+    expect(() => eos.checkQuorumSettings()).not.toThrow();
+    expect(eos.getStatus().quorum).toEqual({ size: 3, threshold: 1, singleEndpoint: true });
+  });
+});
+
+describe('EosService irreversible block wait', () => {
+  let eos;
+  let pollIntervalMs;
+
+  beforeEach(() => {
+    eos = EosService.getInstance();
+    pollIntervalMs = eos.pollIntervalMs;
+    eos.pollIntervalMs = 0;
+  });
+
+  afterEach(() => {
+    eos.pollIntervalMs = pollIntervalMs;
+    jest.restoreAllMocks();
+  });
+
+  const chainInfo = lib => ({ headBlockNum: lib + 300, lastIrreversibleBlockNum: lib });
+
+  it('polls until the LIB reaches the target before fetching it', async () => {
+    jest.spyOn(eos, 'getChainInfo')
+      .mockResolvedValueOnce(chainInfo(998))
+      .mockResolvedValueOnce(chainInfo(999))
+      .mockResolvedValueOnce(chainInfo(1000));
+    jest.spyOn(eos, 'getBlock').mockResolvedValue({ blockNum: 1000, blockId: BLOCK_ID, producer: 'eosproducer1' });
+
+    const result = await eos.waitForBlock(1000, 60000);
+
+    expect(eos.getChainInfo).toHaveBeenCalledTimes(3);
+    expect(eos.getBlock).toHaveBeenCalledTimes(1);
+    expect(eos.getBlock).toHaveBeenCalledWith(1000);
+    expect(result).toMatchObject({ blockNum: 1000, blockId: BLOCK_ID, lastIrreversibleBlockNum: 1000 });
+  });
+
+  it('times out without fetching a reversible block', async () => {
+    jest.spyOn(eos, 'getChainInfo').mockResolvedValue(chainInfo(900));
+    jest.spyOn(eos, 'getBlock');
+
+    await expect(eos.waitForBlock(1000, 20)).rejects.toThrow(
+      'Timeout waiting for EOS block 1000 to become irreversible after 0.02 seconds'
+    );
+    expect(eos.getBlock).not.toHaveBeenCalled();
+  });
+
+  it('fails when the irreversible block is missing', async () => {
+    jest.spyOn(eos, 'getChainInfo').mockResolvedValue(chainInfo(1200));
+    jest.spyOn(eos, 'getBlock').mockResolvedValue(null);
+
+    await expect(eos.waitForBlock(1000, 60000)).rejects.toThrow(/is irreversible \(LIB 1200\) but the RPC node did not return it/);
+  });
+
+  it('does not take a block from an endpoint whose LIB lags behind', async () => {
+    jest.spyOn(eos, 'callEndpoint').mockResolvedValue({ last_irreversible_block_num: 999 });
+
+    await expect(eos.getIrreversibleBlockFrom('https://eos-a.test', 1000)).rejects.toThrow(
+      'block not irreversible yet (LIB 999)'
+    );
+    expect(eos.callEndpoint).toHaveBeenCalledTimes(1);
+    expect(eos.callEndpoint).toHaveBeenCalledWith('https://eos-a.test', '/v1/chain/get_info');
+  });
+});
@@ -0,0 +1,152 @@
+process.env.LOG_LEVEL = 'error';
+process.env.GAME_UNDERFILLED_POLICY = 'extend';
+process.env.GAME_MAX_EXTENSIONS = '2';
+
+const mockContract = {
+  getTimerStatus: jest.fn(),
+  emergencyCancel: jest.fn(),
+  finishGame: jest.fn()
+};
+const mockSupabase = {
+  getGameRoundByPotId: jest.fn(),
+  updateGameRoundByPotId: jest.fn(),
+  applyRefunds: jest.fn(),
+  createGameRound: jest.fn(),
+  commitRandomnessTarget: jest.fn(),
+  getRandomnessCommitmentFields: jest.fn((provider, target) => ({
+    randomness_provider: provider,
+    randomness_target: target
+  }))
+};
+
+jest.mock('../../src/services/contractService', () => ({
+  getInstance: () => mockContract
+}));
+jest.mock('../../src/services/supabaseService', () => ({
+  getInstance: () => mockSupabase
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({ isLeader: () => true, assertLeader: () => '1' })
+}));
+
+const GameManager = require('../../src/services/gameManager');
+
+describe('GameManager underfilled rounds', () => {
+  let gameManager;
+  const state = { potId: '4', playerCount: '1', startTime: '1000' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    gameManager = GameManager.getInstance();
+    gameManager.gameConfig = { minParticipants: '2', idleTimeout: '60', timerDuration: '300' };
+    gameManager.extensionCounts = { potId: null, count: 0 };
+
+    // Far past every deadline
+    mockContract.getTimerStatus.mockResolvedValue({ blockTimestamp: '100000', hasExpired: true });
+    mockContract.emergencyCancel.mockResolvedValue({ txHash: '0xcancel', refunds: [] });
+  });
+
+  afterEach(() => {
+    gameManager.clearBettingDeadline();
+  });
+
+  it('cancels after GAME_MAX_EXTENSIONS even when the round row is missing', async () => {
+    mockSupabase.getGameRoundByPotId.mockResolvedValue(null);
+    mockSupabase.updateGameRoundByPotId.mockRejectedValue(new Error('no round'));
+
+    await gameManager.handleBettingPhase(state);
+    await gameManager.handleBettingPhase(state);
+    expect(mockContract.emergencyCancel).not.toHaveBeenCalled();
+
+    await gameManager.handleBettingPhase(state);
+    expect(mockContract.emergencyCancel).toHaveBeenCalledTimes(1);
+  });
+
+  it('continues from the stored count', async () => {
+    mockSupabase.getGameRoundByPotId.mockResolvedValue({ pot_id: '4', extension_count: 2 });
+
+    await gameManager.handleBettingPhase(state);
+
+    expect(mockContract.emergencyCancel).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GameManager randomness commitment', () => {
+  let gameManager;
+  let eosProvider;
+  const state = { potId: '4', tickets: '3' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    gameManager = GameManager.getInstance();
+
+    eosProvider = {
+      getTarget: jest.fn().mockResolvedValue(2000),
+      getRandomness: jest.fn(async target => ({ provider: 'eos', target, seed: '0xseed' }))
+    };
+    gameManager.randomnessProviders = new Map([['eos', eosProvider]]);
+  });
+
+  it('reuses the stored target instead of picking a new one', async () => {
+    mockSupabase.getGameRoundByPotId.mockResolvedValue({
+      pot_id: '4',
+      randomness_provider: 'eos',
+      randomness_target: '1500'
+    });
+
+    await expect(gameManager.commitRandomnessTarget('4')).resolves.toEqual({ provider: 'eos', target: 1500 });
+
+    expect(eosProvider.getTarget).not.toHaveBeenCalled();
+    expect(mockSupabase.commitRandomnessTarget).not.toHaveBeenCalled();
+  });
+
+  it('takes the stored target when another commit won the race', async () => {
+    mockSupabase.getGameRoundByPotId
+      .mockResolvedValueOnce({ pot_id: '4', randomness_target: null })
+      .mockResolvedValueOnce({ pot_id: '4', randomness_provider: 'eos', randomness_target: '1800' });
+    mockSupabase.commitRandomnessTarget.mockResolvedValue(null);
+
+    await expect(gameManager.commitRandomnessTarget('4')).resolves.toEqual({ provider: 'eos', target: 1800 });
+
+    expect(mockSupabase.commitRandomnessTarget).toHaveBeenCalledWith('4', 'eos', 2000);
+  });
+
+  it('fetches randomness for the committed target when settling', async () => {
+    mockSupabase.getGameRoundByPotId.mockResolvedValue({
+      pot_id: '4',
+      randomness_provider: 'eos',
+      randomness_target: '1500'
+    });
+    const finishGame = jest.spyOn(gameManager, 'finishGame').mockResolvedValue();
+
+    await gameManager.settleLockedPot(state);
+
+    expect(eosProvider.getRandomness).toHaveBeenCalledWith(1500, { potId: '4' });
+    expect(finishGame).toHaveBeenCalledWith(
+      state,
+      { provider: 'eos', target: 1500, seed: '0xseed' },
+      { provider: 'eos', target: 1500 }
+    );
+    finishGame.mockRestore();
+  });
+
+  it('refuses to finish with a target other than the committed one', async () => {
+    await expect(gameManager.finishGame(
+      state,
+      { provider: 'eos', target: 1501, seed: '0xseed' },
+      { provider: 'eos', target: 1500 }
+    )).rejects.toThrow('Refusing to finish pot 4 with eos target 1501: committed to eos target 1500');
+
+    expect(mockContract.finishGame).not.toHaveBeenCalled();
+  });
+
+  it('refuses to finish with another provider', async () => {
+    await expect(gameManager.finishGame(
+      state,
+      { provider: 'drand', target: 1500, seed: '0xseed' },
+      { provider: 'eos', target: 1500 }
+    )).rejects.toThrow(/Refusing to finish pot 4/);
+
+    expect(mockContract.finishGame).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+process.env.LOG_LEVEL = 'error';
+process.env.LEADER_ID = 'replica-a';
+
+const mockRpc = jest.fn();
+
+jest.mock('../../src/services/supabaseService', () => ({
+  getInstance: () => ({ getClient: () => ({ rpc: mockRpc }) })
+}));
+
+const LeaderElectionService = require('../../src/services/leaderElectionService');
+
+describe('LeaderElectionService', () => {
+  let leader;
+
+  beforeEach(async () => {
+    mockRpc.mockReset();
+    leader = LeaderElectionService.getInstance();
+    leader.setLeader(false, null);
+
+    mockRpc.mockResolvedValueOnce({ data: 4, error: null });
+    await leader.renew();
+  });
+
+  it('verifies the lease with its fencing token', async () => {
+    mockRpc.mockResolvedValueOnce({ data: true, error: null });
+
+    await expect(leader.verifyLease()).resolves.toBe('4');
+    expect(mockRpc).toHaveBeenLastCalledWith('check_service_lease', {
+      p_name: 'game-manager',
+      p_holder_id: 'replica-a',
+      p_fencing_token: '4'
+    });
+  });
+
+  it('steps down when another replica took the lease over', async () => {
+    mockRpc.mockResolvedValueOnce({ data: false, error: null });
+
+    await expect(leader.verifyLease()).rejects.toMatchObject({ code: 'NOT_LEADER' });
+    expect(leader.isLeader()).toBe(false);
+  });
+
+  it('refuses when the lease cannot be checked', async () => {
+    mockRpc.mockResolvedValueOnce({ data: null, error: { message: 'connection refused' } });
+
+    await expect(leader.verifyLease()).rejects.toThrow(/Could not verify the leader lease/);
+  });
+
+  it('does not ask the database without a local lease', async () => {
+    leader.setLeader(false, null);
+
+    await expect(leader.verifyLease()).rejects.toMatchObject({ code: 'NOT_LEADER' });
+    expect(mockRpc).toHaveBeenCalledTimes(1);
+  });
+});
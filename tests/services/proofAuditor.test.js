@@ -0,0 +1,151 @@
+process.env.LOG_LEVEL = 'error';
+process.env.PROOF_AUDIT_MAX_ATTEMPTS = '3';
+
+const FakeSupabase = require('../helpers/fakeSupabase');
+
+const mockEos = { verifyBlockHash: jest.fn() };
+const mockContract = { getFinishGameInput: jest.fn() };
+const mockAlerts = { raise: jest.fn() };
+
+jest.mock('../../src/services/eosService', () => ({
+  getInstance: () => mockEos
+}));
+jest.mock('../../src/services/contractService', () => ({
+  getInstance: () => mockContract
+}));
+jest.mock('../../src/services/alertService', () => ({
+  getInstance: () => mockAlerts
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({ isLeader: () => true })
+}));
+
+const SupabaseService = require('../../src/services/supabaseService');
+const ProofAuditor = require('../../src/services/proofAuditor');
+
+const BLOCK_HASH = `0x${'ab'.repeat(32)}`;
+const FINISH_TX = `0x${'f'.repeat(64)}`;
+
+describe('ProofAuditor.auditProof', () => {
+  let client;
+  let auditor;
+  let proof;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    client = new FakeSupabase({ game_rounds: ['total_amount'] });
+    const supabaseService = SupabaseService.getInstance();
+    supabaseService.client = client;
+    supabaseService.initialized = true;
+
+    client.rows('game_rounds').push({ id: 'round-1', pot_id: '4', finish_tx_hash: FINISH_TX });
+    proof = {
+      id: 'proof-1',
+      pot_id: '4',
+      eos_block_number: 1000,
+      eos_block_hash: BLOCK_HASH,
+      eos_producer: 'eosproducer1',
+      audit_attempts: 0
+    };
+    client.rows('eos_proofs').push({ ...proof });
+
+    auditor = ProofAuditor.getInstance();
+
+    mockEos.verifyBlockHash.mockResolvedValue({
+      matches: true,
+      blockHash: BLOCK_HASH,
+      producer: 'eosproducer1',
+      quorum: { agreed: 3, responses: [] }
+    });
+    mockContract.getFinishGameInput.mockResolvedValue({
+      method: 'finishGame',
+      status: 1,
+      seed: BLOCK_HASH,
+      blockNumber: 55,
+      event: { eosBlockHash: BLOCK_HASH, potId: '4' }
+    });
+  });
+
+  const stored = () => client.rows('eos_proofs')[0];
+
+  it('verifies a proof that matches the chain and the finish transaction', async () => {
+    await expect(auditor.auditProof(proof)).resolves.toBe('VERIFIED');
+
+    expect(stored()).toMatchObject({ verified: true, audit_status: 'VERIFIED', audit_attempts: 1 });
+    expect(mockAlerts.raise).not.toHaveBeenCalled();
+  });
+
+  it('flags a block the EOS quorum reports differently', async () => {
+    mockEos.verifyBlockHash.mockResolvedValue({
+      matches: false,
+      blockHash: `0x${'cd'.repeat(32)}`,
+      producer: 'eosproducer1',
+      quorum: { agreed: 3, responses: [] }
+    });
+
+    await expect(auditor.auditProof(proof)).resolves.toBe('MISMATCH');
+
+    expect(stored()).toMatchObject({ verified: false, audit_status: 'MISMATCH' });
+    expect(mockAlerts.raise).toHaveBeenCalledWith(
+      'proofs.mismatch.4', 'critical', expect.any(String), expect.any(Object)
+    );
+  });
+
+  it('flags a finish transaction that used another hash', async () => {
+    mockContract.getFinishGameInput.mockResolvedValue({
+      method: 'finishGame',
+      status: 1,
+      seed: `0x${'cd'.repeat(32)}`,
+      blockNumber: 55,
+      event: { eosBlockHash: `0x${'cd'.repeat(32)}`, potId: '4' }
+    });
+
+    await expect(auditor.auditProof(proof)).resolves.toBe('MISMATCH');
+
+    expect(stored().audit_details.finishTx.mismatches).toEqual([
+      'input hash differs from the stored hash',
+      'GameFinished hash differs from the stored hash'
+    ]);
+  });
+
+  it('retries a proof whose checks could not complete', async () => {
+    mockEos.verifyBlockHash.mockRejectedValue(
+      Object.assign(new Error('EOS quorum not reached'), { details: { responses: [] } })
+    );
+
+    await expect(auditor.auditProof(proof)).resolves.toBe('RETRY');
+
+    expect(stored()).toMatchObject({
+      verified: false,
+      audit_status: null,
+      audit_attempts: 1,
+      audit_error: 'EOS re-fetch: EOS quorum not reached'
+    });
+    expect(mockAlerts.raise).not.toHaveBeenCalled();
+  });
+
+  it('gives up as UNVERIFIABLE after the last attempt', async () => {
+    mockContract.getFinishGameInput.mockResolvedValue(null);
+
+    await expect(auditor.auditProof({ ...proof, audit_attempts: 2 })).resolves.toBe('UNVERIFIABLE');
+
+    expect(stored()).toMatchObject({ audit_status: 'UNVERIFIABLE', audit_attempts: 3 });
+    expect(mockAlerts.raise).toHaveBeenCalledWith(
+      'proofs.unverifiable.4', 'warning', expect.stringMatching(/after 3 attempts/), expect.any(Object)
+    );
+  });
+
+  it('prefers MISMATCH over an inconclusive check', async () => {
+    mockEos.verifyBlockHash.mockRejectedValue(new Error('timeout'));
+    mockContract.getFinishGameInput.mockResolvedValue({
+      method: 'finishGame',
+      status: 0,
+      seed: BLOCK_HASH,
+      blockNumber: 55,
+      event: null
+    });
+
+    await expect(auditor.auditProof(proof)).resolves.toBe('MISMATCH');
+  });
+});
@@ -0,0 +1,84 @@
+process.env.LOG_LEVEL = 'error';
+
+const FakeSupabase = require('../helpers/fakeSupabase');
+
+jest.mock('../../src/services/contractService', () => ({
+  getInstance: () => ({ getBlockTimestamp: async () => 1700000000 })
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({ isLeader: () => true })
+}));
+
+const SupabaseService = require('../../src/services/supabaseService');
+const ReconciliationService = require('../../src/services/reconciliationService');
+const { parseSmol } = require('../../src/utils/amounts');
+
+const PLAYER = '0x1111111111111111111111111111111111111111';
+const CANCEL_TX = `0x${'c'.repeat(64)}`;
+
+describe('ReconciliationService.reconcileCancellation', () => {
+  let client;
+  let supabaseService;
+  let reconciliation;
+
+  beforeEach(() => {
+    client = new FakeSupabase({
+      bets: ['amount', 'refund_amount'],
+      game_rounds: ['total_amount']
+    });
+
+    supabaseService = SupabaseService.getInstance();
+    supabaseService.client = client;
+    supabaseService.initialized = true;
+
+    reconciliation = ReconciliationService.getInstance();
+
+    client.rows('game_rounds').push({
+      id: 'round-1',
+      pot_id: '4',
+      phase: 'CANCELLED',
+      cancel_tx_hash: CANCEL_TX,
+      total_amount: parseSmol('2').toString()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const seedBet = refundStatus => client.rows('bets').push({
+    id: `bet-${client.rows('bets').length + 1}`,
+    round_id: 'round-1',
+    wallet_address: PLAYER,
+    amount: parseSmol('2').toString(),
+    refund_status: refundStatus,
+    created_at: '2025-11-01T00:00:00.000Z'
+  });
+  const refunds = [{ player: PLAYER, amount: parseSmol('2'), blockNumber: 50 }];
+
+  it('re-applies refunds for a cancelled round recorded without them', async () => {
+    seedBet('NONE');
+    const applyRefunds = jest.spyOn(supabaseService, 'applyRefunds');
+    const discrepancies = [];
+
+    await reconciliation.reconcileCancellation('4', CANCEL_TX, refunds, new Map(), discrepancies);
+
+    expect(applyRefunds).toHaveBeenCalledWith('round-1', refunds, CANCEL_TX);
+    expect(discrepancies).toEqual([{ type: 'refunds_missing', potId: '4', txHash: CANCEL_TX }]);
+    expect(client.rows('bets')[0]).toMatchObject({
+      refund_status: 'REFUNDED',
+      refund_amount: parseSmol('2').toString()
+    });
+  });
+
+  it('leaves a fully recorded cancellation alone', async () => {
+    seedBet('REFUNDED');
+    const applyRefunds = jest.spyOn(supabaseService, 'applyRefunds');
+    const discrepancies = [];
+
+    await reconciliation.reconcileCancellation('4', CANCEL_TX, refunds, new Map(), discrepancies);
+
+    expect(applyRefunds).not.toHaveBeenCalled();
+    expect(discrepancies).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+process.env.LOG_LEVEL = 'error';
+
+const RpcProviderPool = require('../../src/services/rpcProviderPool');
+
+const endpoint = label => ({
+  url: `https://${label}.test`,
+  label,
+  healthy: true,
+  chainIdMismatch: false,
+  consecutiveFailures: 0,
+  outcomes: [],
+  latencies: [],
+  blockNumber: null,
+  lag: 0,
+  lastError: null,
+  lastCheckedAt: null,
+  transport: { _send: jest.fn() }
+});
+
+/**
+ * Answer JSON-RPC requests of an endpoint with answer(method, params)
+ */
+const serve = (target, answer) => {
+  target.transport._send.mockImplementation(async payload => payload.map(request => ({
+    id: request.id,
+    jsonrpc: '2.0',
+    result: answer(request.method, request.params)
+  })));
+};
+
+describe('RpcProviderPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = RpcProviderPool.getInstance();
+    pool.endpoints = ['a', 'b', 'c'].map(endpoint);
+    pool.quorumSize = 3;
+    pool.quorumThreshold = null;
+    pool.allowSingleEndpoint = false;
+    pool.pinned = null;
+    pool.repinListeners = [];
+  });
+
+  describe('checkQuorumSettings', () => {
+    it('accepts a majority of several endpoints', () => {
+      expect(() => pool.checkQuorumSettings()).not.toThrow();
+      expect(pool.getStatus().quorum).toEqual({ size: 3, threshold: 2, singleEndpoint: false });
+    });
+
+    it('refuses a single endpoint', () => {
+      pool.endpoints = [endpoint('a')];
+
+      expect(() => pool.checkQuorumSettings()).toThrow(/one endpoint would decide quorum reads/);
+    });
+
+    it('refuses a threshold of 1', () => {
+      pool.quorumThreshold = 1;
+
+      expect(() => pool.checkQuorumSettings()).toThrow(/RPC quorum threshold is 1 with 3 endpoint/);
+    });
+
+    it('allows it with the explicit opt-out and reports it', () => {
+      pool.endpoints = [endpoint('a')];
+      pool.allowSingleEndpoint = true;
+
+      expect(() => pool.checkQuorumSettings()).not.toThrow();
+      expect(pool.getStatus().quorum).toEqual({ size: 1, threshold: 1, singleEndpoint: true });
+    });
+  });
+
+  describe('quorumCall', () => {
+    const call = { to: '0x3333333333333333333333333333333333333333', data: '0x1234' };
+    const heads = { a: '0x64', b: '0x66', c: '0x65' };
+
+    const answering = results => pool.endpoints.forEach(target => serve(target, method =>
+      (method === 'eth_blockNumber' ? heads[target.label] : results[target.label])));
+
+    it('reads every endpoint at the lowest common head', async () => {
+      answering({ a: '0x01', b: '0x01', c: '0x01' });
+
+      await expect(pool.quorumCall(call)).resolves.toEqual({
+        result: '0x01',
+        blockNumber: 100,
+        agreed: 3,
+        queried: 3
+      });
+      const [lastPayload] = pool.endpoints[1].transport._send.mock.calls.at(-1);
+      expect(lastPayload[0]).toMatchObject({ method: 'eth_call', params: [call, '0x64'] });
+    });
+
+    it('accepts the majority answer when one endpoint disagrees', async () => {
+      answering({ a: '0x01', b: '0x02', c: '0x01' });
+
+      await expect(pool.quorumCall(call)).resolves.toMatchObject({ result: '0x01', agreed: 2 });
+    });
+
+    it('fails when no answer reaches the threshold', async () => {
+      answering({ a: '0x01', b: '0x02', c: '0x03' });
+
+      await expect(pool.quorumCall(call)).rejects.toMatchObject({
+        code: 'RPC_QUORUM_FAILED',
+        details: { blockNumber: 100, results: { a: '0x01', b: '0x02', c: '0x03' } }
+      });
+    });
+
+    it('fails fast with too few healthy endpoints', async () => {
+      pool.endpoints[0].healthy = false;
+      pool.endpoints[1].healthy = false;
+
+      await expect(pool.quorumCall(call)).rejects.toMatchObject({
+        code: 'RPC_QUORUM_FAILED',
+        message: expect.stringMatching(/1 healthy endpoint\(s\), 2 required/)
+      });
+      pool.endpoints.forEach(target => expect(target.transport._send).not.toHaveBeenCalled());
+    });
+  });
+
+  describe('send endpoint pinning', () => {
+    const rawTx = { method: 'eth_sendRawTransaction', params: ['0xf8'], id: 1, jsonrpc: '2.0' };
+    let repins;
+
+    beforeEach(() => {
+      pool.maxConsecutiveFailures = 1;
+      pool.endpoints.forEach(target => serve(target, () => `0x${target.label}`));
+      repins = [];
+      pool.onRepin((label, reason) => repins.push({ label, reason }));
+      pool.repin('startup');
+    });
+
+    it('sends through the pinned endpoint only', async () => {
+      const pinned = pool.pinned;
+
+      await pool.dispatch([rawTx]);
+
+      expect(pinned.transport._send).toHaveBeenCalledWith([rawTx]);
+      pool.endpoints
+        .filter(target => target !== pinned)
+        .forEach(target => expect(target.transport._send).not.toHaveBeenCalled());
+      expect(repins).toEqual([]);
+    });
+
+    it('does not retry a failed send elsewhere, but repins and tells the listeners', async () => {
+      const failed = pool.pinned;
+      failed.transport._send.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(pool.dispatch([rawTx])).rejects.toThrow('socket hang up');
+
+      expect(failed.healthy).toBe(false);
+      expect(pool.pinned).not.toBe(failed);
+      pool.endpoints
+        .filter(target => target !== failed)
+        .forEach(target => expect(target.transport._send).not.toHaveBeenCalled());
+      expect(repins).toEqual([{
+        label: pool.pinned.label,
+        reason: `${failed.label} failed: socket hang up`
+      }]);
+    });
+
+    it('repins before sending when the pinned endpoint went unhealthy', () => {
+      const previous = pool.pinned;
+      previous.healthy = false;
+
+      const endpoint = pool.getSendEndpoint();
+
+      expect(endpoint).not.toBe(previous);
+      expect(repins).toEqual([{ label: endpoint.label, reason: `${previous.label} unhealthy` }]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createLocalSignerApp } = require('../../../src/services/signers/localSignerServer');
+const createRemoteSigner = require('../../../src/services/signers/remoteSigner');
+
+const { RemoteSigner } = createRemoteSigner;
+
+const TOKEN = 'test-signer-token';
+
+describe('RemoteSigner against the local signer server', () => {
+  const wallet = ethers.Wallet.createRandom();
+  let server;
+  let url;
+  let signer;
+
+  beforeAll(async () => {
+    server = await new Promise(resolve => {
+      const listening = createLocalSignerApp(wallet, { token: TOKEN })
+        .listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    signer = new RemoteSigner(url, wallet.address, { token: TOKEN });
+  });
+
+  it('signs EIP-1559 transactions', async () => {
+    const tx = {
+      type: 2,
+      chainId: 1301,
+      nonce: 4,
+      to: '0x3333333333333333333333333333333333333333',
+      value: 1n,
+      data: '0x1234',
+      gasLimit: 100000n,
+      maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+    };
+
+    const signed = ethers.Transaction.from(await signer.signTransaction({ ...tx, from: wallet.address }));
+
+    expect(signed.from).toBe(wallet.address);
+    expect(signed.serialized).toBe(await wallet.signTransaction(tx));
+  });
+
+  it('signs legacy transactions', async () => {
+    const tx = {
+      type: 0,
+      chainId: 1301,
+      nonce: 5,
+      to: '0x3333333333333333333333333333333333333333',
+      gasLimit: 21000n,
+      gasPrice: ethers.parseUnits('3', 'gwei')
+    };
+
+    const signed = ethers.Transaction.from(await signer.signTransaction(tx));
+
+    expect(signed.type).toBe(0);
+    expect(signed.from).toBe(wallet.address);
+    expect(signed.serialized).toBe(await wallet.signTransaction(tx));
+  });
+
+  it('refuses transactions from another address', async () => {
+    await expect(signer.signTransaction({
+      from: '0x1111111111111111111111111111111111111111',
+      to: '0x3333333333333333333333333333333333333333',
+      chainId: 1301
+    })).rejects.toThrow(/can't be signed by remote signer/);
+  });
+
+  it('signs messages (personal_sign)', async () => {
+    const signature = await signer.signMessage('hello smol');
+
+    expect(ethers.verifyMessage('hello smol', signature)).toBe(wallet.address);
+    expect(signature).toBe(await wallet.signMessage('hello smol'));
+  });
+
+  it('signs typed data', async () => {
+    const domain = { name: 'SmolPot', version: '1', chainId: 1301 };
+    const types = { Ping: [{ name: 'amount', type: 'uint256' }] };
+    const value = { amount: 10n };
+
+    const signature = await signer.signTypedData(domain, types, value);
+
+    expect(ethers.verifyTypedData(domain, types, value, signature)).toBe(wallet.address);
+  });
+
+  it('rejects signatures made by another key', async () => {
+    const impostor = new RemoteSigner(url, ethers.Wallet.createRandom().address, { token: TOKEN });
+
+    await expect(impostor.signMessage('hello smol')).rejects.toThrow(/signed the message as/);
+  });
+
+  it('reports the service error without a valid token', async () => {
+    const anonymous = new RemoteSigner(url, wallet.address, { token: 'wrong' });
+
+    await expect(anonymous.signMessage('hello smol'))
+      .rejects.toThrow('Remote signer /sign/message failed: Invalid or missing token');
+  });
+
+  describe('createRemoteSigner', () => {
+    const env = { ...process.env };
+    const tokenFile = path.join(os.tmpdir(), `remote-signer-token-${process.pid}`);
+
+    beforeAll(() => {
+      fs.writeFileSync(tokenFile, `${TOKEN}\n`, { mode: 0o600 });
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(tokenFile);
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('connects with the address the service reports', async () => {
+      process.env.REMOTE_SIGNER_URL = `${url}/`;
+      process.env.REMOTE_SIGNER_TOKEN_FILE = tokenFile;
+
+      const connected = await createRemoteSigner(null);
+
+      expect(await connected.getAddress()).toBe(wallet.address);
+    });
+
+    it('refuses a service signing for another address than the pinned one', async () => {
+      process.env.REMOTE_SIGNER_URL = url;
+      process.env.REMOTE_SIGNER_TOKEN_FILE = tokenFile;
+      process.env.REMOTE_SIGNER_ADDRESS = ethers.Wallet.createRandom().address;
+
+      await expect(createRemoteSigner(null)).rejects.toThrow(/but REMOTE_SIGNER_ADDRESS is/);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ethers } = require('ethers');
+const FakeSupabase = require('../helpers/fakeSupabase');
+
+const mockProvider = {
+  getTransactionReceipt: jest.fn(),
+  getTransaction: jest.fn(),
+  getTransactionCount: jest.fn(),
+  call: jest.fn()
+};
+const mockPool = { requestPinned: jest.fn() };
+const mockLeader = { listeners: [] };
+
+jest.mock('../../src/services/walletService', () => ({
+  getInstance: () => ({
+    getProvider: () => mockProvider,
+    getTreasuryAddress: () => '0x2222222222222222222222222222222222222222'
+  })
+}));
+jest.mock('../../src/services/rpcProviderPool', () => ({
+  getInstance: () => mockPool
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({
+    onLeadershipChange: listener => mockLeader.listeners.push(listener)
+  })
+}));
+
+const SupabaseService = require('../../src/services/supabaseService');
+const TransactionJournal = require('../../src/services/transactionJournal');
+
+const gwei = value => ethers.parseUnits(value, 'gwei');
+const hash = n => `0x${String(n).repeat(64)}`;
+const sentTx = (n, nonce = 7) => ({
+  hash: hash(n),
+  nonce,
+  gasLimit: 100000n,
+  maxFeePerGas: gwei('1'),
+  maxPriorityFeePerGas: gwei('0.1'),
+  gasPrice: null
+});
+const receiptOf = (tx, status = 1) => ({
+  hash: tx.hash,
+  status,
+  blockNumber: 10,
+  gasUsed: 50000n,
+  gasPrice: gwei('1'),
+  logs: []
+});
+
+describe('TransactionJournal', () => {
+  let client;
+  let journal;
+  const entry = { purpose: 'LIFECYCLE', method: 'lockPot', potId: '3' };
+  const rows = () => client.rows('operator_transactions');
+  const statusOf = tx => rows().find(row => row.tx_hash === tx.hash).status;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    mockLeader.listeners = [];
+
+    client = new FakeSupabase({
+      operator_transactions: [
+        'gas_limit', 'max_fee_per_gas', 'max_priority_fee_per_gas',
+        'gas_price', 'gas_used', 'effective_gas_price'
+      ]
+    });
+
+    const supabaseService = SupabaseService.getInstance();
+    supabaseService.client = client;
+    supabaseService.initialized = true;
+
+    journal = TransactionJournal.getInstance();
+
+    mockProvider.getTransactionReceipt.mockResolvedValue(null);
+    mockProvider.getTransaction.mockResolvedValue(null);
+    mockProvider.getTransactionCount.mockResolvedValue(7);
+    mockPool.requestPinned.mockResolvedValue(null);
+  });
+
+  describe('recording sends', () => {
+    it('records sent transactions as PENDING and rejected ones as FAILED', async () => {
+      await journal.recordSent(sentTx(1), entry);
+      await journal.recordFailed({ nonce: 8, gasLimit: 21000n }, entry, new Error('nonce too low'));
+
+      expect(rows()).toEqual([
+        expect.objectContaining({
+          tx_hash: hash(1),
+          status: 'PENDING',
+          nonce: 7,
+          max_fee_per_gas: gwei('1').toString()
+        }),
+        expect.objectContaining({ tx_hash: null, nonce: 8, status: 'FAILED', error: 'nonce too low' })
+      ]);
+    });
+
+    it('marks the mined version MINED and the others REPLACED', async () => {
+      const original = sentTx(1);
+      const replacement = sentTx(2);
+      await journal.recordSent(original, entry);
+      await journal.recordSent(replacement, entry, original.hash);
+
+      await journal.recordMined(receiptOf(replacement), [original, replacement], entry);
+
+      expect(statusOf(original)).toBe('REPLACED');
+      expect(rows()[1]).toMatchObject({
+        status: 'MINED',
+        replaces_tx_hash: original.hash,
+        gas_used: '50000',
+        effective_gas_price: gwei('1').toString()
+      });
+    });
+
+    it('records the revert reason of a reverted transaction', async () => {
+      const tx = sentTx(1);
+      await journal.recordSent(tx, entry);
+      mockProvider.call.mockRejectedValue(Object.assign(new Error('execution reverted'), {
+        reason: 'Pot is not in BETTING phase'
+      }));
+
+      await journal.recordMined(receiptOf(tx, 0), [tx], entry);
+
+      expect(rows()[0]).toMatchObject({
+        status: 'REVERTED',
+        revert_reason: 'Pot is not in BETTING phase'
+      });
+    });
+  });
+
+  describe('recheckPending', () => {
+    beforeEach(async () => {
+      await journal.recordSent(sentTx(1, 5), entry);
+      rows()[0].sent_at = '2025-11-01T00:00:00.000Z';
+    });
+
+    const recheck = () => journal.recheckPending('2025-11-02T00:00:00.000Z');
+
+    it('settles a transaction mined while nobody watched', async () => {
+      mockProvider.getTransactionReceipt.mockResolvedValue(receiptOf(sentTx(1, 5)));
+
+      await expect(recheck()).resolves.toEqual({ checked: 1, updated: 1 });
+      expect(rows()[0].status).toBe('MINED');
+    });
+
+    it('leaves a transaction still in the mempool pending', async () => {
+      mockProvider.getTransaction.mockResolvedValue(sentTx(1, 5));
+
+      await expect(recheck()).resolves.toEqual({ checked: 1, updated: 0 });
+      expect(rows()[0].status).toBe('PENDING');
+    });
+
+    it('marks an unknown transaction REPLACED once its nonce was used', async () => {
+      mockProvider.getTransactionCount.mockResolvedValue(6);
+
+      await recheck();
+
+      expect(rows()[0].status).toBe('REPLACED');
+    });
+
+    it('marks an unknown transaction with a free nonce DROPPED', async () => {
+      mockProvider.getTransactionCount.mockResolvedValue(5);
+
+      await recheck();
+
+      expect(mockPool.requestPinned).toHaveBeenCalledWith('eth_getTransactionByHash', [hash(1)]);
+      expect(rows()[0].status).toBe('DROPPED');
+    });
+
+    it('keeps it pending while the pinned send endpoint still has it', async () => {
+      mockProvider.getTransactionCount.mockResolvedValue(5);
+      mockPool.requestPinned.mockResolvedValue({ hash: hash(1) });
+
+      await recheck();
+
+      expect(rows()[0].status).toBe('PENDING');
+    });
+
+    it('skips entries sent after the takeover', async () => {
+      await expect(journal.recheckPending('2025-10-31T00:00:00.000Z'))
+        .resolves.toEqual({ checked: 0, updated: 0 });
+      expect(mockProvider.getTransactionReceipt).not.toHaveBeenCalled();
+    });
+
+    it('only runs when this replica becomes the leader', async () => {
+      const recheckPending = jest.spyOn(journal, 'recheckPending').mockResolvedValue({});
+      journal.start();
+
+      mockLeader.listeners.forEach(listener => listener(false));
+      expect(recheckPending).not.toHaveBeenCalled();
+
+      mockLeader.listeners.forEach(listener => listener(true));
+      expect(recheckPending).toHaveBeenCalledWith(expect.any(String));
+
+      recheckPending.mockRestore();
+    });
+  });
+});
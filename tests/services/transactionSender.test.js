@@ -0,0 +1,264 @@
+process.env.LOG_LEVEL = 'error';
+process.env.TX_CONFIRM_TIMEOUT_MS = '0';
+process.env.TX_POLL_INTERVAL_MS = '1';
+process.env.TX_MAX_TOTAL_FEE_ETH = '1';
+
+const { ethers } = require('ethers');
+
+const mockProvider = {
+  getTransactionReceipt: jest.fn(),
+  getFeeData: jest.fn(),
+  getTransactionCount: jest.fn()
+};
+const mockWallet = {
+  getProvider: () => mockProvider,
+  getTreasuryAddress: () => '0x2222222222222222222222222222222222222222',
+  sendTransaction: jest.fn(),
+  sendReplacement: jest.fn()
+};
+const mockJournal = {
+  recordSent: jest.fn(),
+  recordFailed: jest.fn(),
+  recordMined: jest.fn(),
+  getFeesPaid: jest.fn()
+};
+const mockLeader = {
+  verifyLease: jest.fn()
+};
+
+jest.mock('../../src/services/walletService', () => ({
+  getInstance: () => mockWallet
+}));
+jest.mock('../../src/services/transactionJournal', () => ({
+  getInstance: () => mockJournal
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => mockLeader
+}));
+
+const TransactionSender = require('../../src/services/transactionSender');
+
+const gwei = value => ethers.parseUnits(value, 'gwei');
+const hash = n => `0x${String(n).repeat(64)}`;
+
+let lastHash = 0;
+const sentTx = (fees, nonce = 7) => {
+  lastHash++;
+  return {
+    hash: hash(lastHash),
+    nonce,
+    gasLimit: 100000n,
+    maxFeePerGas: null,
+    maxPriorityFeePerGas: null,
+    gasPrice: null,
+    ...fees
+  };
+};
+const receiptOf = (tx, status = 1) => ({ hash: tx.hash, status, blockNumber: 10 });
+
+describe('TransactionSender', () => {
+  let sender;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    lastHash = 0;
+
+    sender = TransactionSender.getInstance();
+    sender.inFlight = new Map();
+    sender.maxReplacements = 3;
+    sender.maxFeePerGas = null;
+
+    mockJournal.getFeesPaid.mockResolvedValue(0n);
+    mockLeader.verifyLease.mockResolvedValue('1');
+    mockProvider.getFeeData.mockResolvedValue({});
+    mockProvider.getTransactionReceipt.mockResolvedValue(null);
+    mockProvider.getTransactionCount.mockResolvedValue(7);
+  });
+
+  it('keeps waiting when a receipt request fails', async () => {
+    const tx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+    mockProvider.getTransactionReceipt
+      .mockRejectedValueOnce(new Error('rpc timeout'))
+      .mockResolvedValueOnce(receiptOf(tx));
+    sender.confirmTimeoutMs = 1000;
+
+    const result = await sender.send({}, { label: 'lockPot', priority: 'lifecycle' });
+    sender.confirmTimeoutMs = 0;
+
+    expect(result.txHash).toBe(tx.hash);
+    expect(mockWallet.sendReplacement).not.toHaveBeenCalled();
+    expect(sender.inFlight.size).toBe(0);
+  });
+
+  it('bumps fees and returns the mined replacement', async () => {
+    const tx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') });
+    const replacement = sentTx({ maxFeePerGas: gwei('1.25'), maxPriorityFeePerGas: gwei('0.125') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+    mockWallet.sendReplacement.mockResolvedValue(replacement);
+    mockProvider.getTransactionReceipt.mockImplementation(async txHash =>
+      (txHash === replacement.hash && mockWallet.sendReplacement.mock.calls.length > 0
+        ? receiptOf(replacement)
+        : null));
+
+    const result = await sender.send({}, { label: 'lockPot', priority: 'lifecycle' });
+
+    expect(mockWallet.sendReplacement).toHaveBeenCalledWith(
+      tx,
+      { maxFeePerGas: gwei('1.25'), maxPriorityFeePerGas: gwei('0.125') },
+      'lockPot'
+    );
+    expect(result).toMatchObject({ txHash: replacement.hash, replaced: true });
+  });
+
+  it('clamps the priority fee to a still valid replacement', async () => {
+    sender.maxFeePerGas = gwei('1.1');
+    const tx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('1') });
+    const replacement = sentTx({ maxFeePerGas: gwei('1.1'), maxPriorityFeePerGas: gwei('1.1') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+    mockWallet.sendReplacement.mockResolvedValue(replacement);
+    mockProvider.getTransactionReceipt.mockImplementation(async txHash =>
+      (txHash === replacement.hash ? receiptOf(replacement) : null));
+
+    await sender.send({}, { label: 'enterPotFor' });
+
+    expect(mockWallet.sendReplacement).toHaveBeenCalledWith(
+      tx,
+      { maxFeePerGas: gwei('1.1'), maxPriorityFeePerGas: gwei('1.1') },
+      'enterPotFor'
+    );
+  });
+
+  it('gives up when the fee cap leaves no room for a valid replacement', async () => {
+    sender.maxFeePerGas = gwei('1.05');
+    const tx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.5') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+
+    await expect(sender.send({}, { label: 'enterPotFor' })).rejects.toMatchObject({
+      code: 'TX_STUCK',
+      message: expect.stringMatching(/fee cap of 1\.05 gwei per gas leaves no room for a 10% max fee bump/)
+    });
+    expect(mockWallet.sendReplacement).not.toHaveBeenCalled();
+    expect(sender.inFlight.size).toBe(0);
+  });
+
+  it('does not send once the fee budget is used up', async () => {
+    mockJournal.getFeesPaid.mockResolvedValue(ethers.parseEther('1'));
+
+    await expect(sender.send({}, { label: 'enterPotFor' }))
+      .rejects.toMatchObject({ code: 'TX_FEE_BUDGET' });
+    expect(mockWallet.sendTransaction).not.toHaveBeenCalled();
+    expect(mockJournal.recordFailed).toHaveBeenCalled();
+  });
+
+  it('limits replacements to the fee budget left', async () => {
+    // 0.9 ETH paid: 0.1 ETH left, which is 1000 gwei per gas at 100k gas
+    mockJournal.getFeesPaid.mockResolvedValue(ethers.parseEther('0.9'));
+    const tx = sentTx({ maxFeePerGas: gwei('950'), maxPriorityFeePerGas: gwei('1') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+
+    await expect(sender.send({}, { label: 'enterPotFor' }))
+      .rejects.toMatchObject({ code: 'TX_STUCK', message: expect.stringMatching(/1000\.0 gwei/) });
+    expect(mockWallet.sendReplacement).not.toHaveBeenCalled();
+  });
+
+  it('does not send a lifecycle transaction once the lease is lost', async () => {
+    mockLeader.verifyLease.mockRejectedValue(
+      new Error('This replica is not the game leader (lease lost); refusing to drive the pot')
+    );
+
+    await expect(sender.send({}, { label: 'lockPot', priority: 'lifecycle' }))
+      .rejects.toThrow(/not the game leader/);
+    expect(mockWallet.sendTransaction).not.toHaveBeenCalled();
+    expect(mockJournal.recordFailed).toHaveBeenCalled();
+  });
+
+  it('stops bumping a lifecycle transaction once the lease is lost', async () => {
+    const tx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+    mockLeader.verifyLease
+      .mockResolvedValueOnce('1')
+      .mockRejectedValueOnce(new Error('This replica is not the game leader (lease lost); refusing to drive the pot'));
+
+    await expect(sender.send({}, { label: 'lockPot', priority: 'lifecycle' }))
+      .rejects.toMatchObject({ code: 'TX_STUCK', message: expect.stringMatching(/lease lost/) });
+    expect(mockWallet.sendReplacement).not.toHaveBeenCalled();
+  });
+
+  it('does not check the lease for bets', async () => {
+    const tx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') });
+    mockWallet.sendTransaction.mockResolvedValue(tx);
+    mockProvider.getTransactionReceipt.mockResolvedValue(receiptOf(tx));
+
+    await sender.send({}, { label: 'enterPotFor' });
+
+    expect(mockLeader.verifyLease).not.toHaveBeenCalled();
+  });
+
+  describe('stuck lifecycle transactions', () => {
+    const lifecycle = label => ({ label, priority: 'lifecycle', journal: { potId: '3' } });
+    let stuckTx;
+
+    beforeEach(async () => {
+      sender.maxReplacements = 0;
+      stuckTx = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') });
+      mockWallet.sendTransaction.mockResolvedValueOnce(stuckTx);
+
+      await expect(sender.send({}, lifecycle('lockPot')))
+        .rejects.toMatchObject({ code: 'TX_STUCK' });
+    });
+
+    it('resumes the stuck transaction instead of using a new nonce', async () => {
+      mockProvider.getTransactionReceipt.mockResolvedValue(receiptOf(stuckTx));
+
+      const result = await sender.send({}, lifecycle('lockPot'));
+
+      expect(result.txHash).toBe(stuckTx.hash);
+      expect(mockWallet.sendTransaction).toHaveBeenCalledTimes(1);
+      expect(mockJournal.recordMined).toHaveBeenCalledWith(
+        receiptOf(stuckTx), [stuckTx], expect.any(Object)
+      );
+      expect(sender.inFlight.size).toBe(0);
+    });
+
+    it('keeps waiting on it while it is still pending', async () => {
+      await expect(sender.send({}, lifecycle('lockPot')))
+        .rejects.toMatchObject({ code: 'TX_STUCK', nonce: 7 });
+
+      expect(mockWallet.sendTransaction).toHaveBeenCalledTimes(1);
+      expect(sender.getStatus().inFlight).toEqual([
+        expect.objectContaining({ label: 'lockPot', nonce: 7, stuck: true })
+      ]);
+    });
+
+    it('refuses other lifecycle transactions while it is pending', async () => {
+      await expect(sender.send({}, lifecycle('cancelPot')))
+        .rejects.toMatchObject({ code: 'TX_NONCE_PENDING', nonce: 7 });
+      expect(mockWallet.sendTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not hold back bets', async () => {
+      const bet = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') }, 8);
+      mockWallet.sendTransaction.mockResolvedValueOnce(bet);
+      mockProvider.getTransactionReceipt.mockImplementation(async txHash =>
+        (txHash === bet.hash ? receiptOf(bet) : null));
+
+      const result = await sender.send({}, { label: 'enterPotFor' });
+
+      expect(result.txHash).toBe(bet.hash);
+    });
+
+    it('is forgotten once its nonce is used by another transaction', async () => {
+      const cancel = sentTx({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') }, 8);
+      mockProvider.getTransactionCount.mockResolvedValue(8);
+      mockWallet.sendTransaction.mockResolvedValueOnce(cancel);
+      mockProvider.getTransactionReceipt.mockImplementation(async txHash =>
+        (txHash === cancel.hash ? receiptOf(cancel) : null));
+
+      const result = await sender.send({}, lifecycle('cancelPot'));
+
+      expect(result.txHash).toBe(cancel.hash);
+      expect(sender.inFlight.size).toBe(0);
+    });
+  });
+});
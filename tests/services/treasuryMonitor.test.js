@@ -0,0 +1,124 @@
+process.env.LOG_LEVEL = 'error';
+process.env.TREASURY_TOPUP_ENABLED = 'true';
+process.env.TREASURY_TOPUP_AMOUNT_ETH = '0.1';
+process.env.TREASURY_TOPUP_DAILY_CAP_ETH = '0.25';
+
+const { ethers } = require('ethers');
+const FakeSupabase = require('../helpers/fakeSupabase');
+
+const TREASURY = '0x2222222222222222222222222222222222222222';
+const mockProvider = { getBalance: jest.fn() };
+const mockAlerts = { raise: jest.fn(), resolve: jest.fn(), getActive: () => [] };
+
+jest.mock('../../src/services/walletService', () => ({
+  getInstance: () => ({
+    getProvider: () => mockProvider,
+    getTreasuryAddress: () => '0x2222222222222222222222222222222222222222'
+  })
+}));
+jest.mock('../../src/services/leaderElectionService', () => ({
+  getInstance: () => ({ isLeader: () => true })
+}));
+jest.mock('../../src/services/alertService', () => ({
+  getInstance: () => mockAlerts
+}));
+
+const SupabaseService = require('../../src/services/supabaseService');
+const TreasuryMonitor = require('../../src/services/treasuryMonitor');
+
+const TX_HASH = `0x${'a'.repeat(64)}`;
+
+describe('TreasuryMonitor top-ups', () => {
+  let client;
+  let monitor;
+
+  beforeEach(() => {
+    client = new FakeSupabase({ treasury_topups: ['amount', 'treasury_balance'] });
+
+    const supabaseService = SupabaseService.getInstance();
+    supabaseService.client = client;
+    supabaseService.initialized = true;
+
+    jest.clearAllMocks();
+    mockProvider.getBalance.mockResolvedValue(ethers.parseEther('10'));
+
+    monitor = TreasuryMonitor.getInstance();
+    monitor.fundingWallet = {
+      address: '0x3333333333333333333333333333333333333333',
+      sendTransaction: jest.fn()
+    };
+  });
+
+  const topUps = () => client.rows('treasury_topups');
+
+  it('counts recorded top-ups toward the daily cap', async () => {
+    monitor.fundingWallet.sendTransaction.mockResolvedValue({
+      hash: TX_HASH,
+      wait: async () => ({ status: 1, blockNumber: 5 })
+    });
+
+    await monitor.topUp(ethers.parseEther('0.01'));
+    await monitor.topUp(ethers.parseEther('0.01'));
+
+    const { sent, remaining } = await monitor.getTopUpAllowance();
+    expect(sent).toBe(ethers.parseEther('0.2'));
+    expect(remaining).toBe(ethers.parseEther('0.05'));
+
+    await monitor.topUp(ethers.parseEther('0.01'));
+    expect(monitor.fundingWallet.sendTransaction).toHaveBeenLastCalledWith({
+      to: TREASURY,
+      value: ethers.parseEther('0.05')
+    });
+  });
+
+  it('records the top-up before sending it', async () => {
+    monitor.fundingWallet.sendTransaction.mockImplementation(async () => {
+      expect(topUps()).toHaveLength(1);
+      expect(topUps()[0].status).toBe('PENDING');
+      return { hash: TX_HASH, wait: async () => ({ status: 1, blockNumber: 5 }) };
+    });
+
+    await monitor.topUp(ethers.parseEther('0.01'));
+
+    expect(topUps()[0]).toMatchObject({ status: 'CONFIRMED', tx_hash: TX_HASH });
+  });
+
+  it('keeps counting a sent top-up when recording its hash fails', async () => {
+    monitor.fundingWallet.sendTransaction.mockResolvedValue({
+      hash: TX_HASH,
+      wait: async () => ({ status: 1, blockNumber: 5 })
+    });
+    const supabaseService = SupabaseService.getInstance();
+    jest.spyOn(supabaseService, 'updateTreasuryTopUp').mockRejectedValue(new Error('db down'));
+
+    await monitor.topUp(ethers.parseEther('0.01'));
+    supabaseService.updateTreasuryTopUp.mockRestore();
+
+    expect(topUps()[0].status).toBe('PENDING');
+    const { sent } = await monitor.getTopUpAllowance();
+    expect(sent).toBe(ethers.parseEther('0.1'));
+  });
+
+  it('does not count a top-up the node refused', async () => {
+    monitor.fundingWallet.sendTransaction.mockRejectedValue(new Error('insufficient funds'));
+
+    await monitor.topUp(ethers.parseEther('0.01'));
+
+    expect(topUps()[0]).toMatchObject({ status: 'FAILED', error: 'insufficient funds' });
+    const { sent } = await monitor.getTopUpAllowance();
+    expect(sent).toBe(0n);
+    expect(mockAlerts.raise).toHaveBeenCalledWith(
+      'treasury.topup', 'critical', 'Treasury top-up failed', expect.any(Object)
+    );
+  });
+
+  it('does not send when the top-up cannot be recorded', async () => {
+    const supabaseService = SupabaseService.getInstance();
+    jest.spyOn(supabaseService, 'recordTreasuryTopUp').mockRejectedValue(new Error('db down'));
+
+    await monitor.topUp(ethers.parseEther('0.01'));
+    supabaseService.recordTreasuryTopUp.mockRestore();
+
+    expect(monitor.fundingWallet.sendTransaction).not.toHaveBeenCalled();
+  });
+});
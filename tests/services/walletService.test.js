@@ -0,0 +1,146 @@
+process.env.LOG_LEVEL = 'error';
+
+const TREASURY = '0x2222222222222222222222222222222222222222';
+
+const mockProvider = {
+  getNetwork: jest.fn(),
+  getBalance: jest.fn(),
+  getTransactionCount: jest.fn()
+};
+const mockSigner = {
+  getAddress: jest.fn(),
+  sendTransaction: jest.fn()
+};
+const mockPool = {
+  repinListeners: [],
+  initialize: jest.fn(),
+  getProvider: () => mockProvider,
+  getNetworkProfile: () => ({ displayName: 'Abstract Testnet' }),
+  onRepin: listener => mockPool.repinListeners.push(listener)
+};
+
+jest.mock('../../src/services/rpcProviderPool', () => ({
+  getInstance: () => mockPool
+}));
+jest.mock('../../src/services/signers', () => ({
+  createSigner: async () => ({ signer: mockSigner, backend: 'test' })
+}));
+
+const WalletService = require('../../src/services/walletService');
+
+describe('WalletService nonce manager', () => {
+  let wallet;
+  let sent;
+
+  beforeEach(async () => {
+    jest.resetAllMocks();
+    mockPool.repinListeners = [];
+
+    mockProvider.getNetwork.mockResolvedValue({ chainId: 11124n });
+    mockProvider.getBalance.mockResolvedValue(10n ** 18n);
+    mockProvider.getTransactionCount.mockResolvedValue(5);
+    mockSigner.getAddress.mockResolvedValue(TREASURY);
+
+    sent = [];
+    mockSigner.sendTransaction.mockImplementation(async tx => {
+      sent.push({ label: tx.data, nonce: tx.nonce });
+      return { hash: `0x${String(tx.nonce).padStart(64, '0')}`, nonce: tx.nonce };
+    });
+
+    wallet = WalletService.getInstance();
+    Object.assign(wallet, {
+      initialized: false,
+      txQueue: [],
+      sendingTx: false,
+      nextNonce: null,
+      nonceStale: false,
+      lastSendAt: 0,
+      nonceResyncIdleMs: 30000
+    });
+    await wallet.initialize();
+  });
+
+  const send = (label, priority = 'bet') =>
+    wallet.sendTransaction({ to: TREASURY, data: label }, { priority, label });
+
+  it('assigns consecutive nonces from the pending count', async () => {
+    await send('0x01');
+    const nonceReads = mockProvider.getTransactionCount.mock.calls.length;
+    await send('0x02');
+
+    expect(sent).toEqual([{ label: '0x01', nonce: 5 }, { label: '0x02', nonce: 6 }]);
+    expect(mockProvider.getTransactionCount).toHaveBeenCalledTimes(nonceReads);
+    expect(mockProvider.getTransactionCount).toHaveBeenCalledWith(TREASURY, 'pending');
+  });
+
+  it('sends lifecycle transactions ahead of queued bets', async () => {
+    let release;
+    mockSigner.sendTransaction.mockImplementationOnce(tx => new Promise(resolve => {
+      release = () => {
+        sent.push({ label: tx.data, nonce: tx.nonce });
+        resolve({ hash: '0x00', nonce: tx.nonce });
+      };
+    }));
+
+    const sends = [send('0xb0'), send('0xb1'), send('0xb2'), send('0x1f', 'lifecycle')];
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+    await Promise.all(sends);
+
+    expect(sent).toEqual([
+      { label: '0xb0', nonce: 5 },
+      { label: '0x1f', nonce: 6 },
+      { label: '0xb1', nonce: 7 },
+      { label: '0xb2', nonce: 8 }
+    ]);
+  });
+
+  it('resyncs and retries when the node rejects the nonce', async () => {
+    await send('0x01');
+    mockProvider.getTransactionCount.mockResolvedValue(9);
+    mockSigner.sendTransaction.mockRejectedValueOnce(
+      Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' })
+    );
+
+    const tx = await send('0x02');
+
+    expect(tx.nonce).toBe(9);
+    expect(sent).toEqual([{ label: '0x01', nonce: 5 }, { label: '0x02', nonce: 9 }]);
+  });
+
+  it('asks the node again after a send with an unknown outcome', async () => {
+    mockSigner.sendTransaction.mockRejectedValueOnce(new Error('socket hang up'));
+
+    await expect(send('0x01')).rejects.toThrow('socket hang up');
+    expect(wallet.getNonceStatus().nextNonce).toBeNull();
+
+    mockProvider.getTransactionCount.mockResolvedValue(6);
+    await send('0x02');
+
+    expect(sent).toEqual([{ label: '0x02', nonce: 6 }]);
+  });
+
+  it('resyncs from the new send endpoint after a repin', async () => {
+    await send('0x01');
+    mockProvider.getTransactionCount.mockResolvedValue(8);
+
+    mockPool.repinListeners.forEach(listener => listener('rpc-b', 'rpc-a unhealthy'));
+    await send('0x02');
+
+    expect(sent).toEqual([{ label: '0x01', nonce: 5 }, { label: '0x02', nonce: 8 }]);
+  });
+
+  it('resyncs after being idle', async () => {
+    await send('0x01');
+    mockProvider.getTransactionCount.mockResolvedValue(7);
+    wallet.lastSendAt = Date.now() - 60000;
+
+    await send('0x02');
+
+    expect(sent[1]).toEqual({ label: '0x02', nonce: 7 });
+  });
+
+  it('rejects unknown priorities', () => {
+    expect(() => send('0x01', 'urgent')).toThrow('Unknown transaction priority: urgent');
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  parseSmol,
+  toWei,
+  formatSmol,
+  sumWei,
+  withFormatted,
+  formatRow
+} = require('../../src/utils/amounts');
+
+describe('amounts', () => {
+  describe('parseSmol', () => {
+    it('parses SMOL strings into wei', () => {
+      expect(parseSmol('1')).toBe(10n ** 18n);
+      expect(parseSmol(' 12.5 ')).toBe(125n * 10n ** 17n);
+      expect(parseSmol('0.000000000000000001')).toBe(1n);
+    });
+
+    it('rejects more than 18 decimals', () => {
+      expect(() => parseSmol('0.0000000000000000001')).toThrow();
+    });
+  });
+
+  describe('toWei', () => {
+    it('accepts bigints, integer strings and safe numbers', () => {
+      expect(toWei(5n)).toBe(5n);
+      expect(toWei('1000000000000000000000')).toBe(10n ** 21n);
+      expect(toWei(42)).toBe(42n);
+    });
+
+    it('treats missing values as zero', () => {
+      expect(toWei(null)).toBe(0n);
+      expect(toWei(undefined)).toBe(0n);
+      expect(toWei('')).toBe(0n);
+    });
+
+    it('refuses numbers that lost precision', () => {
+      expect(() => toWei(1e18)).toThrow('Unsafe wei amount');
+      expect(() => toWei(1.5)).toThrow('Unsafe wei amount');
+    });
+  });
+
+  it('formats wei as SMOL', () => {
+    expect(formatSmol(10n ** 18n)).toBe('1.0');
+    expect(formatSmol('1500000000000000000')).toBe('1.5');
+  });
+
+  it('sums wei amounts exactly', () => {
+    const items = [{ amount: '9007199254740993' }, { amount: 1n }, { amount: null }];
+
+    expect(sumWei(items, item => item.amount)).toBe(9007199254740994n);
+  });
+
+  it('adds formatted fields next to wei fields', () => {
+    expect(withFormatted({ totalAmount: 2n * 10n ** 18n, winner: null }, ['totalAmount', 'prize']))
+      .toEqual({ totalAmount: '2000000000000000000', totalAmountFormatted: '2.0', winner: null });
+  });
+
+  it('adds formatted columns next to wei columns', () => {
+    expect(formatRow({ id: 1, amount: '500000000000000000' }, ['amount', 'refund_amount']))
+      .toEqual({ id: 1, amount: '500000000000000000', amount_formatted: '0.5' });
+  });
+});